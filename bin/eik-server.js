@@ -1,10 +1,69 @@
 #!/usr/bin/env node
 
+/* eslint-disable no-console */
 import Fastify from 'fastify'
 import Eik from '../lib/main.js';
+import Backup from '../lib/backup.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+// Value of an option like "--out backup.tar" or "--out=backup.tar"
+const option = (name) => {
+    const index = args.findIndex((arg) => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return undefined;
+    if (args[index].includes('=')) return args[index].split('=').slice(1).join('=');
+    return args[index + 1];
+};
+
+const positional = () => args.find((arg, i) => !arg.startsWith('--') && (i === 0 || !args[i - 1].startsWith('--') || args[i - 1].includes('=')));
 
 const eik = new Eik();
 
+// eik-server export --out backup.tar [--org name]
+// eik-server import backup.tar [--org name]
+// eik-server reindex [--org name]
+if (command === 'export' || command === 'import' || command === 'reindex') {
+    const name = option('org');
+    const org = name ? eik.organizations.find((o) => o.name === name) : eik.organizations[0];
+    if (!org) {
+        console.error(`Organization "${name}" is not configured`);
+        process.exit(1);
+    }
+
+    const backup = new Backup({
+        logger: eik.logger,
+        index: org.index,
+        sink: org.sink,
+        org: org.name,
+    });
+
+    try {
+        if (command === 'reindex') {
+            const size = await org.search.rebuild();
+            console.log(`Rebuilt package index and search index of "${org.name}" from the sink with ${size} versions`);
+        } else if (command === 'export') {
+            const out = option('out') || positional() || `${org.name}.tar`;
+            const manifest = await backup.export(out);
+            console.log(`Exported ${manifest.packages.length} packages and ${manifest.files.length} files from "${org.name}" to ${out}`);
+        } else {
+            const archive = positional();
+            if (!archive) {
+                console.error('Path to the archive to import is missing. Usage: eik-server import backup.tar');
+                process.exit(1);
+            }
+            const manifest = await backup.import(archive);
+            await org.search.rebuild();
+            console.log(`Imported ${manifest.packages.length} packages and ${manifest.files.length} files from ${archive} into "${org.name}"`);
+        }
+    } catch (error) {
+        console.error(error.message);
+        (error.problems || []).forEach((problem) => console.error(`  ${problem}`));
+        process.exit(1);
+    }
+
+    process.exit(0);
+}
+
 const app = Fastify({
     ignoreTrailingSlash: true,
     modifyCoreObjects: false,
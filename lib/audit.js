@@ -0,0 +1,266 @@
+import readline from 'readline';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+
+import * as utils from './utils.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 366;
+const BATCH = 50;
+
+// Records in the sink are named on the time they were made, in
+// milliseconds, so the names of a day sort in the order of the records
+const RECORD = /\/(\d{13})-[0-9a-f]+-\d+\.json$/;
+
+const matches = (record, { type, name, actor, action, since }) => {
+    if (type && record.type !== type) return false;
+    if (name && record.name !== name) return false;
+    if (action && record.action !== action) return false;
+    if (actor && record.actor.user !== actor) return false;
+    if (since && record.timestamp < since) return false;
+    return true;
+};
+
+/**
+ * Append only log of every mutating request. Records are either
+ * appended to a local JSONL file shared by all organizations or kept
+ * as one file per record, in a directory per day, in the sink of each
+ * organization.
+ *
+ * The sink API has no append operation, so each record is written once
+ * and never rewritten. Names of records hold an id unique to each
+ * instance so instances sharing a sink never overwrite each other.
+ *
+ * Sinks can not list their files either, so each instance keeps a list
+ * of the names of the records it wrote each day, and a list of the
+ * instances which wrote records each day tells which lists to read.
+ * Instances adding themselves to the list of a day at the same time can
+ * overwrite each other, so each instance checks that it is listed when it
+ * writes a record.
+ *
+ * @class AuditLog
+ */
+const AuditLog = class AuditLog {
+    constructor({
+        type = 'sink',
+        pathname = '',
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._pathname = pathname;
+        this._queue = Promise.resolve();
+        this._id = crypto.randomBytes(6).toString('hex');
+        this._sequence = 0;
+        this._records = { date: '', names: [] };
+        this._type = type;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    get enabled() {
+        return this._type !== 'disabled';
+    }
+
+    _sinkDirectory(date) {
+        return path.join('/', this._org, 'audit', date, '/');
+    }
+
+    // Instances which wrote records on a day
+    _instancesPath(date) {
+        return path.join('/', this._org, 'audit', `${date}.json`);
+    }
+
+    // Names of the records an instance wrote on a day
+    _recordsPath(date, id) {
+        return path.join('/', this._org, 'audit', `${date}.${id}.json`);
+    }
+
+    async _instances(date) {
+        try {
+            const obj = await utils.readJSON(this._sink, this._instancesPath(date));
+            return obj.instances;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async _register(date) {
+        const instances = await this._instances(date);
+        if (instances.includes(this._id)) return;
+        await utils.writeJSON(this._sink, this._instancesPath(date), { instances: [...instances, this._id] });
+    }
+
+    async _writeToSink(line, time) {
+        const date = new Date(time).toISOString().slice(0, 10);
+        this._sequence += 1;
+        const name = `${String(time).padStart(13, '0')}-${this._id}-${String(this._sequence).padStart(12, '0')}.json`;
+        await utils.writeString(this._sink, path.join(this._sinkDirectory(date), name), line, 'application/json');
+
+        // Records are written one at the time, so the list of names of
+        // the day is only changed here
+        if (this._records.date !== date) this._records = { date, names: [] };
+        this._records.names.push(name);
+        await utils.writeJSON(this._sink, this._recordsPath(date, this._id), { records: this._records.names });
+        await this._register(date);
+    }
+
+    _appendToFile(line) {
+        return fs.promises.appendFile(this._pathname, `${line}\n`);
+    }
+
+    record({
+        action = '',
+        method = '',
+        type = '',
+        name = '',
+        version = '',
+        alias = '',
+        tag = '',
+        actor = {},
+        statusCode = 0,
+        ip = '',
+    } = {}) {
+        if (!this.enabled) return Promise.resolve();
+
+        const time = Date.now();
+        const timestamp = Math.floor(time / 1000);
+        const record = {
+            timestamp,
+            org: this._org,
+            action,
+            method,
+            type,
+            name,
+            version,
+            alias,
+            tag,
+            actor: {
+                user: actor.user || '',
+                name: actor.name || '',
+                key: actor.key || '',
+            },
+            outcome: statusCode < 400 ? 'success' : 'failure',
+            statusCode,
+            ip,
+        };
+        const line = JSON.stringify(record);
+
+        this._queue = this._queue.then(() => {
+            if (this._type === 'file') {
+                return this._appendToFile(line);
+            }
+            return this._writeToSink(line, time);
+        }).catch((error) => {
+            this._log.error(`audit - Failed writing audit record - ${line}`);
+            this._log.error(error);
+        });
+
+        return this._queue;
+    }
+
+    async _readFromFile() {
+        const records = [];
+        try {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(this._pathname),
+                crlfDelay: Infinity,
+            });
+            for await (const line of lines) {
+                if (line.trim() !== '') {
+                    const record = JSON.parse(line);
+                    if (record.org === this._org) records.push(record);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return records;
+    }
+
+    // Names of the records an instance wrote on a day, as paths
+    async _listInstance(date, id) {
+        try {
+            const obj = await utils.readJSON(this._sink, this._recordsPath(date, id));
+            return obj.records.map((name) => path.join(this._sinkDirectory(date), name));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Names of the records of each day from since until now, newest first
+    async _listSink(since) {
+        const now = Date.now();
+        const first = Math.max(since * 1000, now - (MAX_DAYS * DAY));
+        const days = [];
+        for (let time = first; time < now + DAY; time += DAY) {
+            days.push(new Date(time).toISOString().slice(0, 10));
+        }
+
+        const lists = await Promise.all(Array.from(new Set(days)).map(async (date) => {
+            const instances = await this._instances(date);
+            const names = await Promise.all(instances.map((id) => this._listInstance(date, id)));
+            return names.flat();
+        }));
+
+        return lists
+            .flat()
+            .filter((pathname) => {
+                const match = RECORD.exec(pathname);
+                return match && parseInt(match[1], 10) >= since * 1000;
+            })
+            .sort()
+            .reverse();
+    }
+
+    // Read records newest first, a batch at the time, until there are
+    // enough matching records
+    async _readFromSink(filters, limit) {
+        const pathnames = await this._listSink(filters.since);
+        const read = async (records, offset) => {
+            if (records.length >= limit || offset >= pathnames.length) {
+                return records.slice(0, limit);
+            }
+            const batch = await Promise.all(pathnames.slice(offset, offset + BATCH).map(async (pathname) => {
+                try {
+                    return await utils.readJSON(this._sink, pathname);
+                } catch (error) {
+                    return undefined;
+                }
+            }));
+            const matching = batch.filter((record) => record && matches(record, filters));
+            return read([...records, ...matching], offset + BATCH);
+        };
+        return read([], 0);
+    }
+
+    async query({
+        type = '',
+        name = '',
+        actor = '',
+        action = '',
+        since = Math.floor((Date.now() - (30 * DAY)) / 1000),
+        limit = 100,
+    } = {}) {
+        // Wait for pending writes so a query reflects all prior requests
+        await this._queue;
+
+        const filters = { type, name, actor, action, since };
+        if (this._type !== 'file') {
+            return this._readFromSink(filters, limit);
+        }
+
+        // Records are read oldest first. Reverse before the stable sort so
+        // records within the same second are listed newest first too.
+        const records = await this._readFromFile();
+        return records
+            .filter((record) => matches(record, filters))
+            .reverse()
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+    }
+};
+
+export default AuditLog;
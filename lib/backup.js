@@ -0,0 +1,302 @@
+import { pipeline } from 'stream';
+import { once } from 'events';
+import crypto from 'crypto';
+import path from 'path';
+import tar from 'tar';
+import fs from 'fs';
+
+import Precompress from './precompress.js';
+import * as tarball from './tarball.js';
+import * as utils from './utils.js';
+
+const FORMAT = 1;
+const MANIFEST = 'manifest.json';
+const FILES = 'files/';
+
+const integrity = (buffer) => `sha512-${crypto.createHash('sha512').update(buffer).digest('base64')}`;
+
+// Paths in an archive must stay inside the organization
+const legal = (pathname) => {
+    const normalized = path.posix.normalize(pathname);
+    return normalized === pathname && !path.posix.isAbsolute(pathname) && !normalized.startsWith('..');
+};
+
+// Read each entry of a tar archive on disk
+const walk = (pathname, onentry) => new Promise((resolve, reject) => {
+    const queue = [];
+    const parser = new tar.Parse({
+        strict: true,
+        onentry: (entry) => {
+            if (entry.type.toLowerCase() !== 'file') {
+                entry.resume();
+                return;
+            }
+            queue.push(onentry(entry));
+        },
+    });
+
+    pipeline(fs.createReadStream(pathname), parser, (error) => {
+        if (error) return reject(error);
+        return Promise.all(queue).then(resolve, reject);
+    });
+});
+
+const digest = (entry) => new Promise((resolve, reject) => {
+    const hasher = crypto.createHash('sha512');
+    const chunks = [];
+    let size = 0;
+    const collect = entry.path === MANIFEST;
+    entry.on('data', (chunk) => {
+        hasher.update(chunk);
+        size += chunk.length;
+        if (collect) chunks.push(chunk);
+    });
+    entry.on('end', () => resolve({
+        integrity: `sha512-${hasher.digest('base64')}`,
+        body: collect ? Buffer.concat(chunks) : undefined,
+        size,
+    }));
+    entry.on('error', reject);
+});
+
+// Check that every file in the manifest is in the archive with the
+// size and checksum the manifest says it has
+const verify = async (pathname) => {
+    const found = new Map();
+    let manifest;
+
+    await walk(pathname, async (entry) => {
+        const result = await digest(entry);
+        if (entry.path === MANIFEST) {
+            manifest = JSON.parse(result.body);
+        } else if (entry.path.startsWith(FILES)) {
+            found.set(entry.path.slice(FILES.length), result);
+        }
+    });
+
+    if (!manifest) {
+        throw new Error(`Archive does not contain a ${MANIFEST}`);
+    }
+
+    if (manifest.format !== FORMAT) {
+        throw new Error(`Archive is of an unsupported format: ${manifest.format}`);
+    }
+
+    const problems = [];
+    manifest.files.forEach((file) => {
+        const result = found.get(file.pathname);
+        if (!legal(file.pathname)) {
+            problems.push(`Illegal path: ${file.pathname}`);
+        } else if (!result) {
+            problems.push(`Missing file: ${file.pathname}`);
+        } else if (result.size !== file.size || result.integrity !== file.integrity) {
+            problems.push(`Checksum mismatch: ${file.pathname}`);
+        }
+    });
+
+    if (problems.length > 0) {
+        const error = new Error(`Archive is not valid - ${problems.length} problem(s)`);
+        error.problems = problems;
+        throw error;
+    }
+
+    return manifest;
+};
+
+/**
+ * Export every package, npm package and import map of an organization,
+ * with all versions, aliases, tags and meta files, to a tar archive and
+ * import such an archive back into a sink. Everything is read and written
+ * through the sink so an archive can move an organization between sinks
+ * and servers.
+ *
+ * The archive holds each file under "files/" with a path relative to the
+ * organization and ends with a "manifest.json" listing the packages and
+ * the size and checksum of each file.
+ *
+ * @class Backup
+ */
+const Backup = class Backup {
+    constructor({
+        index,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._index = index;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    async _exist(pathname) {
+        try {
+            await this._sink.exist(path.join('/', this._org, pathname));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Files of a package which are present in the sink
+    async _files({
+        type,
+        name,
+        versions,
+        aliases,
+    }) {
+        const base = path.posix.join(type, name);
+        const json = 'application/json';
+        const candidates = [
+            { pathname: `${base}/versions.json`, mimeType: json },
+            { pathname: `${base}/tags.json`, mimeType: json },
+        ];
+
+        aliases.forEach((alias) => {
+            candidates.push({ pathname: `${base}/${alias}.alias.json`, mimeType: json });
+        });
+
+        const perVersion = await Promise.all(versions.map(async (version) => {
+            const tombstone = { pathname: `${base}/${version}.tombstone.json`, mimeType: json };
+
+            if (type === 'map') {
+                return [
+                    tombstone,
+                    { pathname: `${base}/${version}.import-map.json`, mimeType: json },
+                    { pathname: `${base}/${version}.package.json`, mimeType: json },
+                    { pathname: `${base}/${version}.preload.json`, mimeType: json },
+                ];
+            }
+
+            const meta = `${base}/${version}.package.json`;
+            let pkg;
+            try {
+                pkg = await utils.readJSON(this._sink, path.join('/', this._org, meta));
+            } catch (error) {
+                return [tombstone];
+            }
+
+            const files = [...pkg.files];
+            const related = [tombstone, { pathname: meta, mimeType: json }];
+
+            const variants = `${base}/${version}.variants.json`;
+            try {
+                const list = await utils.readJSON(this._sink, path.join('/', this._org, variants));
+                related.push({ pathname: variants, mimeType: json });
+                files.push(...Precompress.files(list));
+            } catch (error) {
+                // Packages published without compressed variants
+            }
+
+            return [
+                ...related,
+                ...files.map((file) => ({
+                    pathname: path.posix.join(base, version, file.pathname),
+                    mimeType: file.mimeType,
+                })),
+            ];
+        }));
+        candidates.push(...perVersion.flat());
+
+        const present = await Promise.all(candidates.map((file) => this._exist(file.pathname)));
+        return candidates.filter((file, i) => present[i]);
+    }
+
+    /**
+     * Write the organization to a tar archive. The package index is
+     * rebuilt from the sink first when the sink can be listed.
+     *
+     * @param {String} pathname Where to write the archive
+     * @returns {Promise<Object>} The manifest of the archive
+     */
+    async export(pathname) {
+        // Packages published before the index existed are only found by
+        // rebuilding it from the sink
+        const rebuilt = await this._index.rebuild();
+        if (rebuilt === undefined && !await this._index.exists()) {
+            throw new Error(`Organization "${this._org}" has no package index and its sink can not be listed to build one. Nothing can be exported`);
+        }
+
+        const packages = await this._index.list();
+        const out = fs.createWriteStream(pathname);
+        const closed = once(out, 'close');
+        const mtime = new Date();
+
+        const write = async (buffer) => {
+            if (!out.write(buffer)) await once(out, 'drain');
+        };
+
+        try {
+            // Entries are written one at the time as they follow each
+            // other in the archive
+            const written = await utils.mapSeries(packages, async (pkg) => {
+                const list = await this._files(pkg);
+                const entries = await utils.mapSeries(list, async (file) => {
+                    const buffer = await utils.readBuffer(this._sink, path.join('/', this._org, file.pathname));
+                    await write(tarball.header(`${FILES}${file.pathname}`, buffer.length, mtime));
+                    await write(buffer);
+                    await write(tarball.padding(buffer.length));
+                    return { ...file, size: buffer.length, integrity: integrity(buffer) };
+                });
+                this._log.info(`backup - Exported package - Type: ${pkg.type} - Name: ${pkg.name} - Files: ${list.length}`);
+                return entries;
+            });
+            const files = written.flat();
+
+            const manifest = {
+                format: FORMAT,
+                org: this._org,
+                created: Math.floor(mtime.getTime() / 1000),
+                packages,
+                files,
+            };
+            const body = Buffer.from(JSON.stringify(manifest, null, 2));
+            await write(tarball.header(MANIFEST, body.length, mtime));
+            await write(body);
+            await write(tarball.padding(body.length));
+            await write(tarball.END);
+
+            out.end();
+            await closed;
+            return manifest;
+        } catch (error) {
+            out.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Restore an archive into the organization. The whole archive is
+     * verified before anything is written to the sink.
+     *
+     * @param {String} pathname Where to read the archive from
+     * @returns {Promise<Object>} The manifest of the archive
+     */
+    async import(pathname) {
+        const manifest = await verify(pathname);
+        const files = new Map(manifest.files.map((file) => [file.pathname, file]));
+
+        await walk(pathname, async (entry) => {
+            const file = files.get(entry.path.slice(FILES.length));
+            if (!entry.path.startsWith(FILES) || !file) {
+                entry.resume();
+                return;
+            }
+
+            const writer = await this._sink.write(path.join('/', this._org, file.pathname), file.mimeType);
+            await new Promise((resolve, reject) => {
+                pipeline(entry, writer, (error) => {
+                    if (error) return reject(error);
+                    return resolve();
+                });
+            });
+        });
+
+        await this._index.merge(manifest.packages);
+
+        this._log.info(`backup - Imported archive - Packages: ${manifest.packages.length} - Files: ${manifest.files.length}`);
+        return manifest;
+    }
+};
+
+export default Backup;
@@ -0,0 +1,180 @@
+import { Readable } from 'stream';
+import crypto from 'crypto';
+
+// Requests asking for more ranges than this are served the whole file
+const MAX_RANGES = 50;
+
+const RANGE = /^(\d*)-(\d*)$/;
+
+/**
+ * Parse a Range header against a file of a given size. Returns undefined
+ * when the header should be ignored and the whole file served, an empty
+ * list when no range can be satisfied or the ranges to serve sorted and
+ * with overlapping and adjacent ranges merged.
+ *
+ * @param {String} header The Range header
+ * @param {Number} size Size of the file in bytes
+ * @returns {Array<Object>|undefined}
+ */
+const parse = (header = '', size = 0) => {
+    const [unit, set = ''] = header.split('=');
+    if (unit.trim().toLowerCase() !== 'bytes') return undefined;
+
+    const specs = set.split(',').map((spec) => spec.trim()).filter(Boolean);
+    if (specs.length === 0 || specs.length > MAX_RANGES) return undefined;
+
+    const ranges = [];
+    for (const spec of specs) {
+        const match = RANGE.exec(spec);
+        if (!match || (match[1] === '' && match[2] === '')) return undefined;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range, the last n bytes
+            const length = parseInt(match[2], 10);
+            start = Math.max(size - length, 0);
+            end = length > 0 ? size - 1 : -1;
+        } else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? Infinity : parseInt(match[2], 10);
+            if (end < start) return undefined;
+        }
+
+        if (start < size && end >= 0) {
+            ranges.push({ start, end: Math.min(end, size - 1) });
+        }
+    }
+
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+        return merged;
+    }, []);
+};
+
+// An If-Range header holds either a strong etag or the date the file was
+// last modified. Ranges are served only when it matches the current file.
+const matches = (ifRange, { etag, lastModified }) => {
+    if (ifRange === undefined) return true;
+    if (ifRange.trim().startsWith('W/')) return false;
+    if (etag && !etag.startsWith('W/') && ifRange.trim() === etag) return true;
+    const date = Date.parse(ifRange);
+    return lastModified !== undefined && !Number.isNaN(date) && Math.floor(date / 1000) === lastModified;
+};
+
+// The bytes of a stream within the given ranges, each led by the head
+// from the given function and followed by a tail when all are read.
+// Reading from the file stops after the last range.
+const slice = async function* slice(stream, ranges, head = () => '', tail = '') {
+    let offset = 0;
+    let index = 0;
+    let started = false;
+
+    for await (const chunk of stream) {
+        const chunkEnd = offset + chunk.length;
+        while (index < ranges.length && ranges[index].start < chunkEnd) {
+            const { start, end } = ranges[index];
+            if (!started) {
+                const lead = head(ranges[index]);
+                if (lead) yield Buffer.from(lead);
+                started = true;
+            }
+            yield chunk.subarray(Math.max(start, offset) - offset, Math.min(end + 1, chunkEnd) - offset);
+            if (end >= chunkEnd) break;
+            index += 1;
+            started = false;
+        }
+        offset = chunkEnd;
+        if (index >= ranges.length) break;
+    }
+
+    if (tail) yield Buffer.from(tail);
+};
+
+/**
+ * Serve parts of a package file for requests with a Range header, with
+ * a single part as is and multiple parts as multipart/byteranges.
+ *
+ * Applies to the file as it is sent, so when a compressed variant of
+ * the file is served the ranges are of the compressed variant.
+ *
+ * @class ByteRanges
+ */
+const ByteRanges = class ByteRanges {
+    constructor({ logger } = {}) {
+        this._log = logger;
+    }
+
+    /**
+     * Respond to a Range request. Returns undefined when the whole file
+     * should be served.
+     *
+     * @param {Object} headers Headers of the request
+     * @param {Object} file The file being served
+     * @param {Readable} file.stream Stream of the whole file
+     * @param {Number} file.size Size of the file in bytes
+     * @param {String} file.mimeType Content type of the file
+     * @param {String} [file.etag] Etag of the file
+     * @param {Number} [file.lastModified] Seconds since epoch the file was published
+     * @returns {Object|undefined} Status code, headers and stream of the response
+     */
+    handler(headers, {
+        stream,
+        size,
+        mimeType,
+        etag,
+        lastModified,
+    }) {
+        if (!headers.range || !matches(headers['if-range'], { etag, lastModified })) {
+            return undefined;
+        }
+
+        const ranges = parse(headers.range, size);
+        if (!ranges) return undefined;
+
+        if (ranges.length === 0) {
+            stream.destroy();
+            this._log.debug(`byte:ranges - Range not satisfiable - Range: ${headers.range} - Size: ${size}`);
+            return {
+                statusCode: 416,
+                headers: { 'content-range': `bytes */${size}` },
+                stream: Readable.from([]),
+            };
+        }
+
+        if (ranges.length === 1) {
+            const [{ start, end }] = ranges;
+            return {
+                statusCode: 206,
+                headers: {
+                    'content-range': `bytes ${start}-${end}/${size}`,
+                    'content-length': end - start + 1,
+                    'content-type': mimeType,
+                },
+                stream: Readable.from(slice(stream, ranges), { objectMode: false }),
+            };
+        }
+
+        const boundary = crypto.randomBytes(16).toString('hex');
+        const head = ({ start, end }) => `\r\n--${boundary}\r\ncontent-type: ${mimeType}\r\ncontent-range: bytes ${start}-${end}/${size}\r\n\r\n`;
+        const tail = `\r\n--${boundary}--\r\n`;
+        const length = ranges.reduce((sum, range) => sum + Buffer.byteLength(head(range)) + range.end - range.start + 1, Buffer.byteLength(tail));
+
+        return {
+            statusCode: 206,
+            headers: {
+                'content-type': `multipart/byteranges; boundary=${boundary}`,
+                'content-length': length,
+            },
+            stream: Readable.from(slice(stream, ranges, head, tail), { objectMode: false }),
+        };
+    }
+};
+
+export default ByteRanges;
@@ -0,0 +1,197 @@
+import { PassThrough, Readable, Transform } from 'stream';
+import { ReadFile } from '@eik/common';
+import Metrics from '@metrics/client';
+
+import * as utils from './utils.js';
+
+// Files of a published version never change. Matches files in a version
+// directory and the meta files of a version of a package or import map.
+const IMMUTABLE = /^\/[^/]+\/(pkg|npm|map)\/(@[^/]+\/)?[^/]+\/\d+\.\d+\.\d+[^/]*(\/.+|\.package\.json|\.import-map\.json|\.variants\.json|\.preload\.json)$/;
+
+const immutable = (filePath) => IMMUTABLE.test(filePath);
+
+const replay = (entry) => {
+    const file = new ReadFile({ mimeType: entry.mimeType, etag: entry.etag });
+    file.stream = Readable.from(entry.chunks, { objectMode: false });
+    return file;
+};
+
+/**
+ * Read through cache in front of another sink. Files read from the sink
+ * are kept in memory, least recently used first out when the cache is
+ * full. Files of published versions are kept until they fall out of the
+ * cache. Other files, like aliases, versions and tags, are kept for a
+ * short while only since they change.
+ *
+ * Files written or deleted through the cache are dropped from it.
+ *
+ * @class CacheSink
+ */
+const CacheSink = class CacheSink {
+    constructor({
+        sink,
+        maxSize = 52428800,
+        maxFileSize = 1048576,
+        maxAge = 5000,
+    } = {}) {
+        this._sink = sink;
+        this._maxSize = maxSize;
+        this._maxFileSize = maxFileSize;
+        this._maxAge = maxAge;
+        this._entries = new Map();
+        this._pending = new Map();
+        this._size = 0;
+
+        this._metrics = new Metrics();
+        this._counter = this._metrics.counter({
+            name: 'eik_service_sink_cache_reads',
+            description: 'Counter of reads from the sink cache',
+            labels: {
+                operation: 'read',
+                hit: false,
+            },
+        });
+        this._gauge = this._metrics.gauge({
+            name: 'eik_service_sink_cache_size',
+            description: 'Number of bytes held in the sink cache',
+        });
+
+        this._stream = new PassThrough({ objectMode: true });
+        this._metrics.pipe(this._stream);
+        if (sink.metrics) sink.metrics.pipe(this._stream);
+    }
+
+    get metrics() {
+        return this._stream;
+    }
+
+    get size() {
+        return this._size;
+    }
+
+    async ready() {
+        if (typeof this._sink.ready === 'function') {
+            await this._sink.ready();
+        }
+    }
+
+    _get(filePath) {
+        const entry = this._entries.get(filePath);
+        if (!entry) return undefined;
+        if (entry.expires && entry.expires < Date.now()) {
+            this._drop(filePath);
+            return undefined;
+        }
+
+        // Most recently used last
+        this._entries.delete(filePath);
+        this._entries.set(filePath, entry);
+        return entry;
+    }
+
+    _set(filePath, entry) {
+        this._drop(filePath);
+        this._entries.set(filePath, entry);
+        this._size += entry.size;
+
+        const keys = this._entries.keys();
+        while (this._size > this._maxSize) {
+            this._drop(keys.next().value);
+        }
+        this._gauge.set(this._size);
+    }
+
+    _drop(filePath) {
+        const entry = this._entries.get(filePath);
+        if (!entry) return;
+        this._entries.delete(filePath);
+        this._size -= entry.size;
+        this._gauge.set(this._size);
+    }
+
+    // Drop a file, or everything under a directory, and anything being
+    // read from there so a read started before a change is not cached
+    invalidate(filePath) {
+        const prefix = filePath.endsWith('/') ? filePath : `${filePath}/`;
+        const matches = (key) => key === filePath || key.startsWith(prefix);
+        Array.from(this._entries.keys()).filter(matches).forEach((key) => this._drop(key));
+        Array.from(this._pending.keys()).filter(matches).forEach((key) => this._pending.delete(key));
+    }
+
+    async write(filePath, contentType) {
+        this.invalidate(filePath);
+        const stream = await this._sink.write(filePath, contentType);
+        stream.on('finish', () => this.invalidate(filePath));
+        return stream;
+    }
+
+    async read(filePath) {
+        const cached = this._get(filePath);
+        if (cached) {
+            this._counter.inc({ labels: { hit: true } });
+            return replay(cached);
+        }
+
+        this._counter.inc({ labels: { hit: false } });
+        const token = Symbol(filePath);
+        this._pending.set(filePath, token);
+
+        let file;
+        try {
+            file = await this._sink.read(filePath);
+        } catch (error) {
+            if (this._pending.get(filePath) === token) this._pending.delete(filePath);
+            throw error;
+        }
+
+        const maxFileSize = this._maxFileSize;
+        const chunks = [];
+        let size = 0;
+
+        const through = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                if (size <= maxFileSize) chunks.push(chunk);
+                callback(null, chunk);
+            },
+        });
+        through.on('end', () => {
+            if (this._pending.get(filePath) !== token) return;
+            this._pending.delete(filePath);
+            if (size > maxFileSize) return;
+            this._set(filePath, {
+                mimeType: file.mimeType,
+                etag: file.etag,
+                expires: immutable(filePath) ? 0 : Date.now() + this._maxAge,
+                chunks,
+                size,
+            });
+        });
+        through.on('close', () => {
+            if (this._pending.get(filePath) === token) this._pending.delete(filePath);
+        });
+        file.stream.on('error', (error) => through.destroy(error));
+        file.stream.pipe(through);
+
+        const result = new ReadFile({ mimeType: file.mimeType, etag: file.etag });
+        result.stream = through;
+        return result;
+    }
+
+    async delete(filePath) {
+        this.invalidate(filePath);
+        await this._sink.delete(filePath);
+        this.invalidate(filePath);
+    }
+
+    async exist(filePath) {
+        if (this._get(filePath)) return undefined;
+        return this._sink.exist(filePath);
+    }
+
+    async list(prefix) {
+        return utils.listFiles(this._sink, prefix);
+    }
+};
+
+export default CacheSink;
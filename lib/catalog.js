@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+
+import { escape, page } from './html.js';
+
+const etag = (body) => `"sha512-${crypto.createHash('sha512').update(body).digest('base64')}"`;
+
+const date = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : '');
+
+/**
+ * Every package, npm package or import map in an organization with its
+ * latest version, aliases, time of last publish and total size of all
+ * its versions. Built from the package index and the search index so
+ * listing does not read the meta file of each version.
+ *
+ * Deleted versions are not counted and packages where every version is
+ * deleted are not listed.
+ *
+ * @class Catalog
+ */
+const Catalog = class Catalog {
+    constructor({
+        rangeGet,
+        search,
+        index,
+        logger,
+    } = {}) {
+        this._rangeGet = rangeGet;
+        this._search = search;
+        this._index = index;
+        this._log = logger;
+    }
+
+    /**
+     * A page of the packages of a type sorted on name
+     *
+     * @param {Object} query
+     * @param {String} query.type pkg, npm or map
+     * @param {Number} [query.offset] Number of packages to skip
+     * @param {Number} [query.limit] Max number of packages
+     * @returns {Promise<Object>} The type, total number of packages and the page of packages
+     */
+    async list({ type, offset = 0, limit = 50 }) {
+        const [packages, versions] = await Promise.all([
+            this._index.list(),
+            this._search.list(),
+        ]);
+
+        const stats = new Map();
+        versions.filter((entry) => entry.type === type).forEach((entry) => {
+            const stat = stats.get(entry.name) || { versions: 0, created: 0, size: 0 };
+            stat.versions += 1;
+            stat.created = Math.max(stat.created, entry.created);
+            stat.size += entry.size || 0;
+            stats.set(entry.name, stat);
+        });
+
+        const listed = packages.filter((entry) => entry.type === type && stats.has(entry.name));
+        const listing = await Promise.all(listed.slice(offset, offset + limit).map(async (entry) => ({
+            name: entry.name,
+            type,
+            latest: await this._rangeGet.resolve({ type, name: entry.name, range: 'latest' }) || null,
+            aliases: entry.aliases.slice().sort(),
+            ...stats.get(entry.name),
+        })));
+
+        return {
+            type,
+            total: listed.length,
+            offset,
+            limit,
+            packages: listing,
+        };
+    }
+
+    /**
+     * The list as JSON with its etag
+     *
+     * @param {Object} result A list from the list method
+     * @returns {Object} Body and etag
+     */
+    static json(result) {
+        const body = JSON.stringify(result);
+        return { body, etag: etag(body) };
+    }
+
+    /**
+     * The list as a HTML page with its etag
+     *
+     * @param {Object} result A list from the list method
+     * @returns {Object} Body and etag
+     */
+    static html(result) {
+        const {
+            type,
+            offset,
+            limit,
+            total,
+        } = result;
+        const base = `/${escape(type)}`;
+
+        const rows = result.packages.map((pkg) => {
+            const url = `${base}/${escape(pkg.name)}`;
+            const latest = pkg.latest ? `<a href="${url}/${escape(pkg.latest)}">${escape(pkg.latest)}</a>` : '';
+            const aliases = pkg.aliases.map((alias) => `<a href="${url}/v${escape(alias)}">v${escape(alias)}</a>`).join(' ');
+            return `<tr><td><a href="${url}">${escape(pkg.name)}</a></td><td>${latest}</td><td>${aliases}</td><td>${pkg.versions}</td><td>${date(pkg.created)}</td><td>${pkg.size}</td></tr>`;
+        });
+
+        const pages = [];
+        if (offset > 0) pages.push(`<a href="${base}?offset=${Math.max(offset - limit, 0)}&amp;limit=${limit}">Previous</a>`);
+        if (offset + limit < total) pages.push(`<a href="${base}?offset=${offset + limit}&amp;limit=${limit}">Next</a>`);
+
+        const body = page({
+            title: `/${type}`,
+            content: [
+                `<p>${total} packages</p>`,
+                '<table>',
+                '<thead><tr><th>Name</th><th>Latest</th><th>Aliases</th><th>Versions</th><th>Last published</th><th>Size</th></tr></thead>',
+                `<tbody>${rows.join('')}</tbody>`,
+                '</table>',
+                `<nav>${pages.join(' ')}</nav>`,
+            ].join('\n'),
+        });
+
+        return { body, etag: etag(body) };
+    }
+};
+
+export default Catalog;
@@ -0,0 +1,159 @@
+import { validators } from '@eik/common';
+import path from 'path';
+
+import * as utils from './utils.js';
+
+// Entity tags compare weakly, a W/ prefix does not matter for If-None-Match
+const opaque = (tag = '') => tag.trim().replace(/^W\//, '');
+
+/**
+ * Validators of package files, package logs and import maps read from
+ * the meta files of the sink, so conditional requests can be answered
+ * without reading the file itself.
+ *
+ * @class Conditional
+ */
+const Conditional = class Conditional {
+    constructor({
+        cacheControl,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._cacheControl = cacheControl || 'public, max-age=31536000, immutable';
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    /**
+     * Whether a request can be answered with 304 Not Modified. As in RFC
+     * 7232, If-Modified-Since is only looked at when there is no
+     * If-None-Match header.
+     *
+     * @param {Object} headers Headers of the request
+     * @param {Object} validators Validators of the resource
+     * @param {String} [validators.etag] Etag of the resource
+     * @param {Number} [validators.lastModified] Seconds since epoch the resource was published
+     * @returns {Boolean}
+     */
+    static notModified(headers, { etag, lastModified } = {}) {
+        const ifNoneMatch = headers['if-none-match'];
+        if (ifNoneMatch !== undefined) {
+            if (!etag) return false;
+            if (ifNoneMatch.trim() === '*') return true;
+            return ifNoneMatch.split(',').some((tag) => opaque(tag) === opaque(etag));
+        }
+
+        const ifModifiedSince = headers['if-modified-since'];
+        if (ifModifiedSince !== undefined && lastModified !== undefined) {
+            const date = Date.parse(ifModifiedSince);
+            return !Number.isNaN(date) && lastModified <= Math.floor(date / 1000);
+        }
+
+        return false;
+    }
+
+    /**
+     * Quote a value as an entity tag, as in RFC 7232. Values which are
+     * entity tags already are kept as they are.
+     *
+     * @param {String} value Like the integrity of a file
+     * @returns {String}
+     */
+    static etag(value) {
+        if (!value || /^(W\/)?".*"$/.test(value)) return value;
+        return `"${value}"`;
+    }
+
+    /**
+     * Format seconds since epoch as a HTTP date
+     *
+     * @param {Number} seconds
+     * @returns {String}
+     */
+    static httpDate(seconds) {
+        return new Date(seconds * 1000).toUTCString();
+    }
+
+    async _meta({ type, name, version }) {
+        const incoming = {
+            name: decodeURIComponent(name),
+            org: this._org,
+            version,
+            type,
+        };
+        try {
+            validators.version(version);
+            validators.name(incoming.name);
+            validators.type(type);
+            return await utils.readJSON(this._sink, utils.createFilePathToPackage(incoming));
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Validators, size and cache control of a file in a package
+     *
+     * @param {Object} params Type, name, version and extras of the request
+     * @returns {Promise<Object|undefined>} Undefined if the file is not in the package
+     */
+    async file(params) {
+        const pkg = await this._meta(params);
+        if (!pkg) return undefined;
+
+        let pathname;
+        try {
+            pathname = path.join('/', decodeURIComponent(params.extras));
+        } catch (error) {
+            return undefined;
+        }
+        const file = pkg.files.find((entry) => path.join('/', entry.pathname) === pathname);
+        if (!file) return undefined;
+
+        return {
+            cacheControl: this._cacheControl,
+            lastModified: pkg.created,
+            etag: Conditional.etag(file.integrity),
+            size: file.size,
+        };
+    }
+
+    /**
+     * Validators and cache control of the log of a package
+     *
+     * @param {Object} params Type, name and version of the request
+     * @returns {Promise<Object|undefined>} Undefined if the package does not exist
+     */
+    async package(params) {
+        const pkg = await this._meta(params);
+        if (!pkg) return undefined;
+
+        return {
+            cacheControl: 'no-cache',
+            lastModified: pkg.created,
+            etag: Conditional.etag(pkg.integrity),
+        };
+    }
+
+    /**
+     * Validators and cache control of an import map. Maps published
+     * before their meta file was written have no validators.
+     *
+     * @param {Object} params Name and version of the request
+     * @returns {Promise<Object|undefined>}
+     */
+    async map({ name, version }) {
+        const map = await this._meta({ type: 'map', name, version });
+        if (!map) return undefined;
+
+        return {
+            cacheControl: this._cacheControl,
+            lastModified: map.created,
+            etag: Conditional.etag(map.integrity),
+        };
+    }
+};
+
+export default Conditional;
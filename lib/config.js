@@ -17,6 +17,18 @@ try {
 
 convict.addParser({ extension: ['yml', 'yaml'], parse: yaml.load });
 
+const readSecret = (value) => {
+    if (path.isAbsolute(value)) {
+        try {
+            const file = fs.readFileSync(value);
+            return file.toString();
+        } catch (error) {
+            throw new Error(`Config could not load secret from path: ${value}`);
+        }
+    }
+    return value;
+};
+
 convict.addFormat({
     name: 'secret-string',
     validate: (value) => {
@@ -24,17 +36,139 @@ convict.addFormat({
             throw new Error('Value must be a String');
         }
     },
-    coerce: (value) => {
-        if (path.isAbsolute(value)) {
-            try {
-                const file = fs.readFileSync(value);
-                return file.toString();
-            } catch (error) {
-                throw new Error(`Config could not load secret from path: ${value}`);
-            }
+    coerce: readSecret,
+});
+
+const isURL = (value) => {
+    try {
+        return Boolean(new URL(value));
+    } catch (error) {
+        return false;
+    }
+};
+
+const validateWebhooks = (value) => {
+    if (!Array.isArray(value)) {
+        throw new Error('Value must be an Array');
+    }
+
+    value.forEach((hook) => {
+        if (!isURL(hook.url)) {
+            throw new Error(`Webhook URL "${hook.url}" is not a valid URL`);
+        }
+        if (hook.events !== undefined && !Array.isArray(hook.events)) {
+            throw new Error(`Webhook "${hook.url}" must have a list of "events"`);
         }
-        return value;
+    });
+};
+
+const coerceWebhooks = (value) => {
+    const hooks = typeof value === 'string' ? JSON.parse(value) : value;
+    return hooks.map((hook) => ({
+        ...hook,
+        secret: hook.secret ? readSecret(hook.secret) : hook.secret,
+    }));
+};
+
+convict.addFormat({
+    name: 'webhooks',
+    validate: validateWebhooks,
+    coerce: coerceWebhooks,
+});
+
+const validatePeers = (value) => {
+    if (!Array.isArray(value)) {
+        throw new Error('Value must be an Array');
     }
+
+    value.forEach((peer) => {
+        if (!isURL(peer.url)) {
+            throw new Error(`Peer URL "${peer.url}" is not a valid URL`);
+        }
+        if (typeof peer.key !== 'string' || peer.key === '') {
+            throw new Error(`Peer "${peer.url}" must have a "key"`);
+        }
+    });
+};
+
+const coercePeers = (value) => {
+    const peers = typeof value === 'string' ? JSON.parse(value) : value;
+    return peers.map((peer) => ({
+        ...peer,
+        key: peer.key ? readSecret(peer.key) : peer.key,
+    }));
+};
+
+convict.addFormat({
+    name: 'peers',
+    validate: validatePeers,
+    coerce: coercePeers,
+});
+
+convict.addFormat({
+    name: 'prefix',
+    validate: (value) => {
+        if (typeof value !== 'string' || !/^\/[^?#]*[^/?#]$/.test(value)) {
+            throw new Error('Value must be a path starting with a "/" and not ending with a "/"');
+        }
+    },
+});
+
+convict.addFormat({
+    name: 'organizations',
+    validate: (value) => {
+        if (!Array.isArray(value)) {
+            throw new Error('Value must be an Array');
+        }
+
+        const hostnames = new Set();
+        value.forEach((org) => {
+            if (typeof org.name !== 'string' || org.name === '') {
+                throw new Error('Each organization must have a "name"');
+            }
+            if (!Array.isArray(org.hostnames) || org.hostnames.length === 0) {
+                throw new Error(`Organization "${org.name}" must have at least one hostname`);
+            }
+            org.hostnames.forEach((hostname) => {
+                if (hostnames.has(hostname)) {
+                    throw new Error(`Hostname "${hostname}" is mapped to more than one organization`);
+                }
+                hostnames.add(hostname);
+            });
+            if (org.webhooks) {
+                validateWebhooks(org.webhooks);
+            }
+            if (org.peers) {
+                validatePeers(org.peers);
+            }
+        });
+    },
+    coerce: (value) => {
+        const orgs = typeof value === 'string' ? JSON.parse(value) : value;
+        return orgs.map((org) => {
+            const {
+                basicAuth = {},
+                jwt = {},
+                sink = {},
+                webhooks = [],
+                peers = [],
+            } = org;
+            return {
+                ...org,
+                webhooks: coerceWebhooks(webhooks),
+                peers: coercePeers(peers),
+                basicAuth: {
+                    ...basicAuth,
+                    key: basicAuth.key ? readSecret(basicAuth.key) : basicAuth.key,
+                },
+                jwt: {
+                    ...jwt,
+                    secret: jwt.secret ? readSecret(jwt.secret) : jwt.secret,
+                },
+                sink,
+            };
+        });
+    },
 });
 
 const conf = convict({
@@ -51,10 +185,17 @@ const conf = convict({
         arg: 'node-env',
     },
     metrics: {
+        doc: 'Collect metrics and expose them in Prometheus text format',
         format: Boolean,
         default: true,
         env: 'METRICS',
     },
+    metricsPathname: {
+        doc: 'Pathname the Prometheus metrics route should be mounted on',
+        format: String,
+        default: '/metrics',
+        env: 'METRICS_PATHNAME',
+    },
     log: {
         level: {
             doc: 'Log level to log at',
@@ -91,6 +232,72 @@ const conf = convict({
             default: true,
             env: 'COMPRESSION_GLOBAL',
         },
+        precompress: {
+            doc: 'Make brotli and gzip variants of compressible files in packages when they are published. Variants are served as is instead of being compressed on each request',
+            format: Boolean,
+            default: true,
+            env: 'COMPRESSION_PRECOMPRESS',
+        },
+        threshold: {
+            doc: 'Min size in bytes of a file to make compressed variants of at publish',
+            format: 'nat',
+            default: 1024,
+            env: 'COMPRESSION_THRESHOLD',
+        },
+        quality: {
+            doc: 'Brotli quality, from 0 to 11, of variants made at publish. Higher gives smaller files but publishing large packages takes longer. 11 takes about twenty times longer than 5',
+            format: 'int',
+            default: 5,
+            env: 'COMPRESSION_QUALITY',
+        },
+    },
+    preload: {
+        enabled: {
+            doc: 'Send the entry files of an import map as modulepreload links in a 103 Early Hints response when the map is requested. The files are listed when the map is published',
+            format: Boolean,
+            default: false,
+            env: 'PRELOAD_ENABLED',
+        },
+        push: {
+            doc: 'Push the entry files of an import map instead of sending early hints when the server runs HTTP/2 and the client allows push. Only files of published package versions on the host of the request are pushed',
+            format: Boolean,
+            default: false,
+            env: 'PRELOAD_PUSH',
+        },
+        max: {
+            doc: 'Max number of entry files of an import map to preload',
+            format: 'nat',
+            default: 20,
+            env: 'PRELOAD_MAX',
+        },
+    },
+    ui: {
+        enabled: {
+            doc: 'Serve HTML pages for browsing the catalog, versions, files and aliases of the organization',
+            format: Boolean,
+            default: false,
+            env: 'UI_ENABLED',
+        },
+        prefix: {
+            doc: 'Path the HTML pages are served under',
+            format: 'prefix',
+            default: '/ui',
+            env: 'UI_PREFIX',
+        },
+        previewSize: {
+            doc: 'Max size in bytes of a text file to show a highlighted preview of',
+            format: 'nat',
+            default: 262144,
+            env: 'UI_PREVIEW_SIZE',
+        },
+    },
+    diff: {
+        maxSize: {
+            doc: 'Max size in bytes of a text file to include a unified diff of when comparing two versions of a package',
+            format: 'nat',
+            default: 1048576,
+            env: 'DIFF_MAX_SIZE',
+        },
     },
     jwt: {
         secret: {
@@ -110,7 +317,7 @@ const conf = convict({
     basicAuth: {
         type: {
             doc: 'Type of basic auth to use',
-            format: ['key', 'disabled'],
+            format: ['key', 'keystore', 'disabled'],
             default: 'key',
             env: 'BASIC_AUTH_TYPE',
         },
@@ -121,6 +328,40 @@ const conf = convict({
             env: 'BASIC_AUTH_KEY',
             sensitive: true,
         },
+        keystore: {
+            path: {
+                doc: 'Absolute path to a YAML or JSON file, or a directory of secrets, holding named keys. Used when "basicAuth.type" is "keystore"',
+                format: String,
+                default: '',
+                env: 'BASIC_AUTH_KEYSTORE_PATH',
+            },
+            refresh: {
+                doc: 'Seconds between each reload of the keystore. 0 disables reloading',
+                format: 'nat',
+                default: 60,
+                env: 'BASIC_AUTH_KEYSTORE_REFRESH',
+            },
+        },
+        permissions: {
+            names: {
+                doc: 'Package names tokens issued by the key can write to. "*" matches any sequence of characters, ex "@podium/*"',
+                format: Array,
+                default: ['*'],
+                env: 'BASIC_AUTH_PERMISSIONS_NAMES',
+            },
+            types: {
+                doc: 'Package types tokens issued by the key can write to',
+                format: Array,
+                default: ['pkg', 'npm', 'map'],
+                env: 'BASIC_AUTH_PERMISSIONS_TYPES',
+            },
+            verbs: {
+                doc: 'Operations tokens issued by the key can perform. Any of "publish", "alias", "delete", "purge" and "admin"',
+                format: Array,
+                default: ['publish', 'alias', 'delete'],
+                env: 'BASIC_AUTH_PERMISSIONS_VERBS',
+            },
+        },
     },
     organization: {
         name: {
@@ -136,10 +377,202 @@ const conf = convict({
             env: 'ORG_HOSTNAMES',
         },
     },
+    organizations: {
+        doc: 'List of organizations to host. Each entry holds a "name", a list of "hostnames" and optionally its own "basicAuth.key", "basicAuth.keystore.path", "basicAuth.permissions", "jwt.secret", "sink.path", "sink.options", "webhooks" and "peers". When empty, the single "organization" is used',
+        format: 'organizations',
+        default: [],
+        env: 'ORGANIZATIONS',
+        sensitive: true,
+    },
+    mapValidation: {
+        enabled: {
+            doc: 'Validate import maps on upload. Maps with problems, like addresses to files not on the server, are rejected',
+            format: Boolean,
+            default: false,
+            env: 'MAP_VALIDATION',
+        },
+        scopeDepth: {
+            doc: 'Minimum number of path segments in a scope of an import map. Scopes with fewer segments are too broad',
+            format: 'nat',
+            default: 2,
+            env: 'MAP_VALIDATION_SCOPE_DEPTH',
+        },
+    },
+    npmProxy: {
+        enabled: {
+            doc: 'Fetch npm packages not published to the server from an upstream registry on the first request for them',
+            format: Boolean,
+            default: false,
+            env: 'NPM_PROXY',
+        },
+        registry: {
+            doc: 'URL to the npm compatible registry to fetch packages from',
+            format: String,
+            default: 'https://registry.npmjs.org',
+            env: 'NPM_PROXY_REGISTRY',
+        },
+        allow: {
+            doc: 'Names of packages which can be fetched from the registry. A "*" matches any sequence of characters, like "lit-*" or "@lit/*"',
+            format: Array,
+            default: [],
+            env: 'NPM_PROXY_ALLOW',
+        },
+        timeout: {
+            doc: 'Milliseconds to wait for the registry to respond',
+            format: 'nat',
+            default: 30000,
+            env: 'NPM_PROXY_TIMEOUT',
+        },
+        maxManifestSize: {
+            doc: 'Max size in bytes of the manifest of a version fetched from the registry',
+            format: 'nat',
+            default: 1048576,
+            env: 'NPM_PROXY_MAX_MANIFEST_SIZE',
+        },
+        maxTarballSize: {
+            doc: 'Max size in bytes of a tarball fetched from the registry',
+            format: 'nat',
+            default: 104857600,
+            env: 'NPM_PROXY_MAX_TARBALL_SIZE',
+        },
+    },
+    audit: {
+        type: {
+            doc: 'Where to write the audit log of mutating requests. "sink" keeps it in the sink of each organization, "file" appends to a local JSONL file',
+            format: ['sink', 'file', 'disabled'],
+            default: 'sink',
+            env: 'AUDIT_TYPE',
+        },
+        path: {
+            doc: 'Absolute path to the JSONL file to append to when using the "file" audit log',
+            format: String,
+            default: path.join(os.tmpdir(), '/eik-audit.jsonl'),
+            env: 'AUDIT_PATH',
+        },
+    },
+    events: {
+        size: {
+            doc: 'Number of changes kept in memory for clients of the event stream to resume from',
+            format: 'nat',
+            default: 1000,
+            env: 'EVENTS_SIZE',
+        },
+        heartbeat: {
+            doc: 'Milliseconds between each heartbeat sent to keep connections to the event stream open',
+            format: 'nat',
+            default: 15000,
+            env: 'EVENTS_HEARTBEAT',
+        },
+    },
+    webhooks: {
+        hooks: {
+            doc: 'List of webhooks to notify on changes. Each entry holds a "url" and optionally a list of "events" (any of "publish", "alias", "alias:delete", "tag", "tag:delete", "delete" and "purge"), "types", "names" and a "secret" to sign the body with. These are notified of changes in every organization',
+            format: 'webhooks',
+            default: [],
+            env: 'WEBHOOKS',
+            sensitive: true,
+        },
+        attempts: {
+            doc: 'Number of attempts to deliver each event to a webhook before giving up',
+            format: 'nat',
+            default: 5,
+            env: 'WEBHOOKS_ATTEMPTS',
+        },
+        delay: {
+            doc: 'Milliseconds to wait before the first retry of a failed delivery. Doubled for each following retry',
+            format: 'nat',
+            default: 1000,
+            env: 'WEBHOOKS_DELAY',
+        },
+        timeout: {
+            doc: 'Milliseconds to wait for a webhook to respond before the delivery is considered failed',
+            format: 'nat',
+            default: 10000,
+            env: 'WEBHOOKS_TIMEOUT',
+        },
+    },
+    replication: {
+        peers: {
+            doc: 'List of peer Eik servers to push published packages, import maps and alias changes to. Each entry holds the "url" of the peer and the "key" to log in with. These receive changes in every organization',
+            format: 'peers',
+            default: [],
+            env: 'REPLICATION_PEERS',
+            sensitive: true,
+        },
+        path: {
+            doc: 'Absolute path to the directory to persist the retry queue of failed pushes in. One file per organization',
+            format: String,
+            default: path.join(os.tmpdir(), '/eik-replication'),
+            env: 'REPLICATION_PATH',
+        },
+        delay: {
+            doc: 'Milliseconds to wait before the first retry of a failed push. Doubled for each following retry',
+            format: 'nat',
+            default: 1000,
+            env: 'REPLICATION_DELAY',
+        },
+        maxDelay: {
+            doc: 'Maximum number of milliseconds to wait between retries of a failed push',
+            format: 'nat',
+            default: 3600000,
+            env: 'REPLICATION_MAX_DELAY',
+        },
+        interval: {
+            doc: 'Milliseconds between each check of the retry queue for pushes which are due',
+            format: 'nat',
+            default: 5000,
+            env: 'REPLICATION_INTERVAL',
+        },
+        reconcile: {
+            doc: 'Milliseconds between each reconciliation of version listings with the peers. 0 disables reconciliation',
+            format: 'nat',
+            default: 3600000,
+            env: 'REPLICATION_RECONCILE',
+        },
+        timeout: {
+            doc: 'Milliseconds to wait for a peer to respond',
+            format: 'nat',
+            default: 10000,
+            env: 'REPLICATION_TIMEOUT',
+        },
+        secret: {
+            doc: 'Secret shared by the peers. Sent in the "x-eik-replication" header of pushed changes, and changes received with it are not pushed again. Set the same secret on servers which replicate to each other or changes are pushed back and forth between them',
+            format: 'secret-string',
+            default: '',
+            env: 'REPLICATION_SECRET',
+            sensitive: true,
+        },
+    },
+    cache: {
+        enabled: {
+            doc: 'Keep files read from the sink in memory. Files of published versions are kept until they are the least recently used when the cache is full',
+            format: Boolean,
+            default: false,
+            env: 'CACHE_ENABLED',
+        },
+        size: {
+            doc: 'Max number of bytes to keep in the cache',
+            format: 'nat',
+            default: 52428800,
+            env: 'CACHE_SIZE',
+        },
+        fileSize: {
+            doc: 'Max size in bytes of a file to keep in the cache. Larger files are always read from the sink',
+            format: 'nat',
+            default: 1048576,
+            env: 'CACHE_FILE_SIZE',
+        },
+        maxAge: {
+            doc: 'Milliseconds to keep files which can change, like aliases, versions and tags, in the cache. Changes made through this server are seen at once',
+            format: 'nat',
+            default: 5000,
+            env: 'CACHE_MAX_AGE',
+        },
+    },
     sink: {
         type: {
-            doc: 'Type of sink to use',
-            format: ['fs', 'mem', 'test'],
+            doc: 'Type of sink to use. "module" loads the sink from the module given in "sink.module"',
+            format: ['fs', 'mem', 'module'],
             default: 'fs',
             env: 'SINK_TYPE',
         },
@@ -149,6 +582,19 @@ const conf = convict({
             default: path.join(os.tmpdir(), '/eik'),
             env: 'SINK_PATH',
         },
+        module: {
+            doc: 'Package name or path, relative to where the server is started, of the module to load the sink from when using the "module" sink. The module must export a sink class as default',
+            format: String,
+            default: '',
+            env: 'SINK_MODULE',
+        },
+        options: {
+            doc: 'Options passed to the constructor of the sink class when using the "module" sink. Given as JSON when set from the environment',
+            format: Object,
+            default: {},
+            env: 'SINK_OPTIONS',
+            sensitive: true,
+        },
     }
 });
 
@@ -0,0 +1,109 @@
+import path from 'path';
+
+import { escape } from './html.js';
+
+const COMMENT_C = /\/\/[^\n]*|\/\*[\s\S]*?\*\//;
+const COMMENT_BLOCK = /\/\*[\s\S]*?\*\//;
+const COMMENT_MARKUP = /<!--[\s\S]*?-->/;
+const STRING = /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"/;
+const TEMPLATE = /`(?:\\[\s\S]|[^`\\])*`/;
+const NUMBER = /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+
+const KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally',
+    'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new',
+    'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof',
+    'var', 'void', 'while', 'with', 'yield',
+];
+
+// Tokens of each language, tried in order at each position. Patterns
+// must not have capturing groups of their own.
+const LANGUAGES = {
+    javascript: [
+        ['comment', COMMENT_C],
+        ['string', STRING],
+        ['string', TEMPLATE],
+        ['keyword', new RegExp(`\\b(?:${KEYWORDS.join('|')})\\b`)],
+        ['literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b/],
+        ['number', NUMBER],
+    ],
+    json: [
+        ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+        ['string', /"(?:\\.|[^"\\\n])*"/],
+        ['literal', /\b(?:true|false|null)\b/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+    ],
+    css: [
+        ['comment', COMMENT_BLOCK],
+        ['string', STRING],
+        ['at-rule', /@[\w-]+/],
+        ['property', /[\w-]+(?=\s*:[^:{]*[;}])/],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?/],
+    ],
+    markup: [
+        ['comment', COMMENT_MARKUP],
+        ['tag', /<\/?[\w:-]+|\/?>/],
+        ['attribute', /\b[\w:-]+(?==)/],
+        ['string', STRING],
+    ],
+};
+
+const compiled = new Map(Object.entries(LANGUAGES).map(([name, rules]) => [
+    name,
+    {
+        pattern: new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'g'),
+        classes: rules.map(([token]) => token),
+    },
+]));
+
+/**
+ * The language of a file to highlight it as, from its name and content type
+ *
+ * @param {String} pathname Path of the file
+ * @param {String} [mimeType] Content type of the file
+ * @returns {String|undefined} The language or undefined if it is not highlighted
+ */
+const languageOf = (pathname, mimeType = '') => {
+    const extension = path.extname(pathname).toLowerCase();
+    if (['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'].includes(extension) || /javascript|typescript/.test(mimeType)) return 'javascript';
+    if (['.json', '.map'].includes(extension) || /json/.test(mimeType)) return 'json';
+    if (extension === '.css' || mimeType === 'text/css') return 'css';
+    if (['.html', '.htm', '.xml', '.svg'].includes(extension) || /html|xml|svg/.test(mimeType)) return 'markup';
+    return undefined;
+};
+
+/**
+ * Escape source code for HTML with its tokens wrapped in spans with a
+ * class for each kind of token. Unknown languages are escaped only.
+ *
+ * @param {String} source The source code
+ * @param {String} [language] Language from languageOf
+ * @returns {String} HTML
+ */
+const highlight = (source, language) => {
+    const grammar = compiled.get(language);
+    if (!grammar) return escape(source);
+
+    const { pattern, classes } = grammar;
+    const parts = [];
+    let last = 0;
+    pattern.lastIndex = 0;
+
+    let match = pattern.exec(source);
+    while (match) {
+        const index = match.slice(1).findIndex((group) => group !== undefined);
+        parts.push(escape(source.slice(last, match.index)));
+        parts.push(`<span class="${classes[index]}">${escape(match[0])}</span>`);
+        last = match.index + match[0].length;
+        match = pattern.exec(source);
+    }
+    parts.push(escape(source.slice(last)));
+
+    return parts.join('');
+};
+
+export {
+    languageOf,
+    highlight,
+};
@@ -0,0 +1,49 @@
+const escape = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Styles of the HTML pages, inlined so pages need nothing but themselves
+const STYLE = `
+body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1d1d1f; }
+a { color: #0b5cad; text-decoration: none; }
+a:hover { text-decoration: underline; }
+table { border-collapse: collapse; }
+th, td { text-align: left; padding: 0.25rem 1rem 0.25rem 0; vertical-align: top; }
+code, pre, .integrity { font: 12px/1.5 ui-monospace, monospace; }
+.integrity { color: #6e6e73; word-break: break-all; }
+ul.tree { list-style: none; padding-left: 1.25rem; }
+.source { display: flex; border: 1px solid #e5e5ea; overflow: auto; }
+.source pre { margin: 0; padding: 0.5rem; }
+.source .lines { color: #8e8e93; text-align: right; user-select: none; border-right: 1px solid #e5e5ea; }
+.comment { color: #6e7781; }
+.string { color: #0a3069; }
+.number, .literal { color: #0550ae; }
+.keyword, .at-rule { color: #cf222e; }
+.property, .attribute { color: #8250df; }
+.tag { color: #116329; }
+`;
+
+// A whole HTML page with a title, breadcrumbs and the given content
+const page = ({ title, crumbs = [], content = '' }) => [
+    '<!doctype html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escape(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    crumbs.length > 0 ? `<nav>${crumbs.map(([href, text]) => (href ? `<a href="${escape(href)}">${escape(text)}</a>` : escape(text))).join(' / ')}</nav>` : '',
+    `<h1>${escape(title)}</h1>`,
+    content,
+    '</body>',
+    '</html>',
+].join('\n');
+
+export {
+    escape,
+    page,
+};
@@ -0,0 +1,78 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+/**
+ * Bounded in memory journal of changes to an organization. Each change
+ * gets an id of the epoch of the process and an increasing number, as
+ * "<epoch>-<n>", so clients of the event stream can resume from the last
+ * change they saw. Only the latest changes are kept and the journal
+ * starts over with a new epoch on restart.
+ *
+ * The event stream is open to anyone, so who made a change is left out.
+ * It is found in the audit log.
+ *
+ * Emits "change" for each change appended.
+ *
+ * @class Journal
+ */
+const Journal = class Journal extends EventEmitter {
+    constructor({ size = 1000 } = {}) {
+        super();
+        // One listener per connected client of the event stream
+        this.setMaxListeners(0);
+        this._entries = [];
+        this._size = size;
+        this._epoch = crypto.randomBytes(6).toString('hex');
+        this._id = 0;
+    }
+
+    get size() {
+        return this._entries.length;
+    }
+
+    get id() {
+        return `${this._epoch}-${this._id}`;
+    }
+
+    append({
+        event = '',
+        type = '',
+        name = '',
+        version = '',
+        alias = '',
+    } = {}) {
+        this._id += 1;
+        const change = {
+            id: `${this._epoch}-${this._id}`,
+            event,
+            timestamp: Math.floor(Date.now() / 1000),
+            type,
+            name,
+            version,
+            alias,
+        };
+
+        this._entries.push(change);
+        if (this._entries.length > this._size) {
+            this._entries.shift();
+        }
+
+        this.emit('change', change);
+        return change;
+    }
+
+    // Changes after the given id. An id of another epoch is from before
+    // a restart, so all retained changes are returned.
+    since(id = '') {
+        const match = /^([0-9a-f]+)-([0-9]+)$/.exec(id);
+        const n = match ? parseInt(match[2], 10) : 0;
+        if (!match || match[1] !== this._epoch || n > this._id) {
+            return [...this._entries];
+        }
+        // The retained changes are the last ones numbered up to the id
+        const after = Math.min(this._id - n, this._entries.length);
+        return after > 0 ? this._entries.slice(-after) : [];
+    }
+};
+
+export default Journal;
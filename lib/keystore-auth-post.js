@@ -0,0 +1,39 @@
+import HttpError from 'http-errors';
+import eik from '@eik/core';
+
+// Auth handler resolving the submitted key against a keystore instead of
+// the single key the core handler compares with.
+const KeystoreAuthPost = class KeystoreAuthPost extends eik.http.AuthPost {
+    constructor({ keystore, ...options } = {}) {
+        super(options);
+        this._keystore = keystore;
+    }
+
+    _parser(incoming) {
+        return this._multipart.parse(incoming).then((result) => {
+            const obj = result[0];
+            if (!obj || obj.constructor.name !== 'FormField') {
+                throw new HttpError.BadRequest();
+            }
+
+            const entry = this._keystore.match(obj.value);
+            if (!entry) {
+                this._log.info('auth:post - Auth submitted a key not in the keystore');
+                throw new HttpError.Unauthorized();
+            }
+
+            if (!this._keystore.valid(entry.name)) {
+                this._log.info(`auth:post - Auth submitted a revoked or expired key - Key: ${entry.name}`);
+                throw new HttpError.Unauthorized();
+            }
+
+            return {
+                user: entry.name,
+                name: entry.name,
+                key: entry.name,
+            };
+        });
+    }
+};
+
+export default KeystoreAuthPost;
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import yaml from 'js-yaml';
+import path from 'path';
+import fs from 'fs';
+
+import Permissions from './permissions.js';
+
+const PARSABLE = ['.json', '.yaml', '.yml'];
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+const readKey = (value) => {
+    if (path.isAbsolute(value)) {
+        return fs.readFileSync(value).toString().trim();
+    }
+    return value;
+};
+
+const createEntry = ({
+    name,
+    key,
+    expires,
+    revoked = false,
+    permissions,
+} = {}) => {
+    if (typeof name !== 'string' || name === '') {
+        throw new Error('Each key in the keystore must have a "name"');
+    }
+    if (typeof key !== 'string' || key === '') {
+        throw new Error(`Key "${name}" in the keystore must have a "key"`);
+    }
+
+    const expiry = expires ? new Date(expires) : null;
+    if (expiry && Number.isNaN(expiry.getTime())) {
+        throw new Error(`Key "${name}" in the keystore has an illegal expiry date: ${expires}`);
+    }
+
+    return {
+        name,
+        hash: hash(readKey(key)),
+        expires: expiry,
+        revoked: Boolean(revoked),
+        permissions: permissions ? new Permissions(permissions) : undefined,
+    };
+};
+
+// Read a YAML or JSON file holding either a list of keys or an object
+// with a "keys" property holding the list
+const readFile = (pathname) => {
+    const obj = yaml.load(fs.readFileSync(pathname).toString());
+    const list = Array.isArray(obj) ? obj : (obj && obj.keys) || [];
+    return list.map(createEntry);
+};
+
+// Read a directory of secrets where each file is one key and the file
+// name is the name of the key. Files in YAML or JSON format can hold the
+// same properties as an entry in a keystore file, other files are read
+// as the raw key.
+const readDirectory = (pathname) => fs.readdirSync(pathname)
+    .filter((file) => !file.startsWith('.'))
+    .map((file) => {
+        const filePath = path.join(pathname, file);
+        const ext = path.extname(file);
+        const name = path.basename(file, ext);
+
+        if (PARSABLE.includes(ext)) {
+            const obj = yaml.load(fs.readFileSync(filePath).toString()) || {};
+            return createEntry({ name, ...obj });
+        }
+        return createEntry({ name, key: fs.readFileSync(filePath).toString().trim() });
+    });
+
+const Keystore = class Keystore {
+    constructor({ pathname = '', refresh = 60, logger } = {}) {
+        this._pathname = pathname;
+        this._entries = new Map();
+        this._log = logger;
+        this.load();
+
+        // Reload the keystore so keys can be added, rotated and revoked
+        // without restarting the server.
+        if (refresh > 0) {
+            this._timer = setInterval(() => {
+                try {
+                    this.load();
+                } catch (error) {
+                    if (this._log) {
+                        this._log.warn(`Failed reloading keystore from "${this._pathname}" - Keeping previously loaded keys`);
+                        this._log.error(error);
+                    }
+                }
+            }, refresh * 1000);
+            this._timer.unref();
+        }
+    }
+
+    get pathname() {
+        return this._pathname;
+    }
+
+    get size() {
+        return this._entries.size;
+    }
+
+    load() {
+        const stat = fs.statSync(this._pathname);
+        const entries = stat.isDirectory() ? readDirectory(this._pathname) : readFile(this._pathname);
+        this._entries = new Map(entries.map((entry) => [entry.name, entry]));
+    }
+
+    close() {
+        clearInterval(this._timer);
+    }
+
+    // Find the named key matching a submitted key value
+    match(value = '') {
+        const submitted = hash(value);
+        return Array.from(this._entries.values()).find((entry) => crypto.timingSafeEqual(entry.hash, submitted));
+    }
+
+    // Check that a named key still exists, has not expired and
+    // is not revoked
+    valid(name) {
+        const entry = this._entries.get(name);
+        if (!entry) return false;
+        if (entry.revoked) return false;
+        if (entry.expires && entry.expires.getTime() < Date.now()) return false;
+        return true;
+    }
+
+    get(name) {
+        return this._entries.get(name);
+    }
+};
+
+export default Keystore;
@@ -1,12 +1,23 @@
-import { PassThrough } from 'stream';
+import { PassThrough, pipeline } from 'stream';
+import http from 'http';
 import compression from 'fastify-compress';
 import HttpError from 'http-errors';
 import pino from 'pino';
 import cors from 'fastify-cors';
+import originalUrl from 'original-url';
 import jwt from 'fastify-jwt';
 import eik from '@eik/core';
 
-
+import MetricsCollector from './metrics.js';
+import Organization from './organization.js';
+import Keystore from './keystore.js';
+import Permissions from './permissions.js';
+import RangeGet from './range-get.js';
+import ModuleSink from './module-sink.js';
+import CacheSink from './cache-sink.js';
+import Conditional from './conditional.js';
+import Catalog from './catalog.js';
+import PkgDiff from './pkg-diff.js';
 import config from './config.js';
 import * as utils from './utils.js';
 
@@ -22,28 +33,124 @@ const EikService = class EikService {
         let sink;
         if (customSink) {
             sink = customSink;
+        } else if (config.get('sink.type') === 'module') {
+            logger.info(`Server is running with the sink from the "${config.get('sink.module')}" module`);
+            sink = new ModuleSink({
+                specifier: config.get('sink.module'),
+                options: config.get('sink.options'),
+                logger,
+            });
         } else if (config.get('sink.type') === 'mem') {
             logger.info(`Server is running with a in memory sink. Uploaded files will be lost on restart!`);
             sink = new eik.sink.MEM();
         } else {
             logger.info(`Server is running with the file system sink. Uploaded files will be stored under "${config.get('sink.path')}"`);
-            sink = new eik.sink.FS();
+            sink = new eik.sink.FS({ sinkFsRootPath: config.get('sink.path') });
+        }
+
+        // Transform organization config. When no list of organizations is
+        // configured, fall back to the single organization.
+        let orgs = config.get('organizations');
+        if (orgs.length === 0) {
+            orgs = [{
+                name: config.get('organization.name'),
+                hostnames: config.get('organization.hostnames'),
+            }];
         }
 
-        // Transform organization config
-        const organizations = config.get('organization.hostnames').map((hostname) => [hostname, config.get('organization.name')]);
-
-        this._versionsGet = new eik.http.VersionsGet({ organizations, sink, logger });
-        this._aliasPost = new eik.http.AliasPost({ organizations, sink, logger });
-        this._aliasDel = new eik.http.AliasDel({ organizations, sink, logger });
-        this._aliasGet = new eik.http.AliasGet({ organizations, sink, logger });
-        this._aliasPut = new eik.http.AliasPut({ organizations, sink, logger });
-        this._authPost = new eik.http.AuthPost({ organizations, logger, authKey: config.get('basicAuth.key') });
-        this._pkgLog = new eik.http.PkgLog({ organizations, sink, logger });
-        this._pkgGet = new eik.http.PkgGet({ organizations, sink, logger });
-        this._pkgPut = new eik.http.PkgPut({ organizations, sink, logger });
-        this._mapGet = new eik.http.MapGet({ organizations, sink, logger });
-        this._mapPut = new eik.http.MapPut({ organizations, sink, logger });
+        // Organizations pointing to the same keystore shares it
+        const keystores = new Map();
+        const createKeystore = (pathname, name) => {
+            if (!pathname) {
+                throw new Error(`Organization "${name}" uses named keys but no "basicAuth.keystore.path" is set`);
+            }
+            if (!keystores.has(pathname)) {
+                logger.info(`Server is running with named keys loaded from "${pathname}"`);
+                keystores.set(pathname, new Keystore({
+                    refresh: config.get('basicAuth.keystore.refresh'),
+                    pathname,
+                    logger,
+                }));
+            }
+            return keystores.get(pathname);
+        };
+
+        const caches = new Map();
+        if (config.get('cache.enabled')) {
+            logger.info(`Server is running with a cache of ${config.get('cache.size')} bytes in front of the sink`);
+        }
+
+        const organizations = orgs.map((org) => {
+            const { basicAuth = {}, jwt: orgJwt = {}, sink: orgSink = {} } = org;
+
+            let keystore;
+            if (config.get('basicAuth.type') === 'keystore') {
+                const { keystore: orgKeystore = {} } = basicAuth;
+                keystore = createKeystore(orgKeystore.path || config.get('basicAuth.keystore.path'), org.name);
+            }
+
+            let sinkForOrg = sink;
+            if (!customSink && orgSink.options && config.get('sink.type') === 'module') {
+                logger.info(`Files for the "${org.name}" organization will be stored in a sink with its own options`);
+                sinkForOrg = new ModuleSink({
+                    specifier: config.get('sink.module'),
+                    options: { ...config.get('sink.options'), ...orgSink.options },
+                    logger,
+                });
+            } else if (!customSink && orgSink.path && config.get('sink.type') === 'fs') {
+                logger.info(`Files for the "${org.name}" organization will be stored under "${orgSink.path}"`);
+                sinkForOrg = new eik.sink.FS({ sinkFsRootPath: orgSink.path });
+            }
+
+            // Organizations sharing a sink shares its cache too
+            if (config.get('cache.enabled')) {
+                if (!caches.has(sinkForOrg)) {
+                    caches.set(sinkForOrg, new CacheSink({
+                        maxSize: config.get('cache.size'),
+                        maxFileSize: config.get('cache.fileSize'),
+                        maxAge: config.get('cache.maxAge'),
+                        sink: sinkForOrg,
+                    }));
+                }
+                sinkForOrg = caches.get(sinkForOrg);
+            }
+
+            return new Organization({
+                name: org.name,
+                hostnames: org.hostnames,
+                permissions: new Permissions(basicAuth.permissions || config.get('basicAuth.permissions')),
+                authKey: basicAuth.key || config.get('basicAuth.key'),
+                keystore,
+                mapValidation: config.get('mapValidation'),
+                npmProxy: config.get('npmProxy'),
+                compression: config.get('compression'),
+                preload: config.get('preload'),
+                ui: config.get('ui'),
+                diff: config.get('diff'),
+                audit: config.get('audit'),
+                events: config.get('events'),
+                webhooks: {
+                    ...config.get('webhooks'),
+                    hooks: [...config.get('webhooks.hooks'), ...(org.webhooks || [])],
+                },
+                replication: {
+                    ...config.get('replication'),
+                    peers: [...config.get('replication.peers'), ...(org.peers || [])],
+                },
+                jwtSecret: orgJwt.secret || config.get('jwt.secret'),
+                sink: sinkForOrg,
+                logger,
+            });
+        });
+
+        const hostnames = new Map();
+        organizations.forEach((org) => {
+            org.hostnames.forEach((hostname) => {
+                hostnames.set(hostname, org);
+            });
+        });
+
+        const sinks = Array.from(new Set(organizations.map((org) => org.sink)));
 
         const mergeStreams = (...streams) => {
             const str = new PassThrough({ objectMode: true });
@@ -69,51 +176,67 @@ const EikService = class EikService {
 
         // pipe metrics
         const metrics = mergeStreams(
-            this._versionsGet.metrics,
-            this._aliasPost.metrics,
-            this._aliasDel.metrics,
-            this._aliasGet.metrics,
-            this._aliasPut.metrics,
-            this._authPost.metrics,
-            this._pkgLog.metrics,
-            this._pkgGet.metrics,
-            this._pkgPut.metrics,
-            this._mapGet.metrics,
-            this._mapPut.metrics,
-            sink.metrics,
+            ...organizations.flatMap((org) => org.metrics),
+            ...sinks.map((s) => s.metrics),
         );
 
         metrics.on('error', err => {
             logger.error(err);
         });
 
+        // Collect metrics for the Prometheus route
+        const collector = new MetricsCollector({ logger });
+        if (config.get('metrics')) {
+            metrics.pipe(collector);
+        }
+
+        this.organizations = organizations;
+        this._hostnames = hostnames;
+        this.collector = collector;
         this.metrics = metrics;
         this.config = config;
         this.logger = logger;
-        this.sink = sink;
+        this.sinks = sinks;
+        this.sink = caches.get(sink) || sink;
 
         // Print warnings
 
-        if (config.get('basicAuth.type') === 'key' && config.get('basicAuth.key') === config.default('basicAuth.key')) {
-            logger.warn('Server is running with default basic authorization key configured! For security purposes, it is highly recommended to set a custom value!')
-        }
+        organizations.forEach((org) => {
+            if (config.get('basicAuth.type') === 'key' && org.authKey === config.default('basicAuth.key')) {
+                logger.warn(`Server is running with default basic authorization key configured for the "${org.name}" organization! For security purposes, it is highly recommended to set a custom value!`)
+            }
 
-        if (config.get('jwt.secret') === config.default('jwt.secret')) {
-            logger.warn('Server is running with default jwt secret configured! For security purposes, it is highly recommended to set a custom value!')
-        }
+            if (org.jwtSecret === config.default('jwt.secret')) {
+                logger.warn(`Server is running with default jwt secret configured for the "${org.name}" organization! For security purposes, it is highly recommended to set a custom value!`)
+            }
+        });
 
         // Print info
 
-        const hosts = config.get('organization.hostnames').join(', ');
-        logger.info(`Files for "${hosts}" will be stored in the "${config.get('organization.name')}" organization space`);
+        organizations.forEach((org) => {
+            const hosts = org.hostnames.join(', ');
+            logger.info(`Files for "${hosts}" will be stored in the "${org.name}" organization space`);
+        });
+    }
+
+    _organization(req) {
+        const url = originalUrl(req);
+        const org = this._hostnames.get(url.hostname);
+        if (!org) {
+            this.logger.info(`Hostname does not match a configured organization - ${url.hostname}`);
+            throw new HttpError.InternalServerError();
+        }
+        return org;
     }
 
     async health() {
-        const health = new eik.HealthCheck({
-            logger: this.logger,
-            sink: this.sink,
-        });
-        await health.check();
+        await Promise.all(this.sinks.map((sink) => {
+            const health = new eik.HealthCheck({
+                logger: this.logger,
+                sink,
+            });
+            return health.check();
+        }));
     }
 
     api() {
@@ -122,11 +245,25 @@ const EikService = class EikService {
                 this.logger.warn('Fastify is configured with "ignoreTrailingSlash" set to "false". Its adviced to set "ignoreTrailingSlash" to "true"');
             }
 
+            // Sinks loaded from a module must be in place before serving
+            app.addHook('onReady', async () => {
+                await Promise.all(this.sinks.filter((sink) => typeof sink.ready === 'function').map((sink) => sink.ready()));
+            });
+
+            // Retry failed pushes to peers while the server is running
+            app.addHook('onReady', async () => {
+                this.organizations.forEach((org) => org.replication.start());
+            });
+            app.addHook('onClose', async () => {
+                await Promise.all(this.organizations.map((org) => org.replication.stop()));
+            });
+
             app.register(cors);
 
             // Authentication
+            // Each organization signs and verifies with its own secret
             app.register(jwt, {
-                secret: config.get('jwt.secret'),
+                secret: async (request) => this._organization(request.raw).jwtSecret,
                 messages: {
                     badRequestErrorMessage: 'Autorization header is malformatted. Format is "Authorization: Bearer [token]"',
                     noAuthorizationInHeaderMessage: 'Autorization header is missing!',
@@ -140,11 +277,205 @@ const EikService = class EikService {
                   await request.jwtVerify()
                 } catch (error) {
                   reply.send(error)
+                  return;
+                }
+
+                // Tokens issued before multiple organizations were supported
+                // does not carry an organization and are only accepted when
+                // there is just one organization to pick from.
+                const org = this._organization(request.raw);
+                const claim = request.user.org;
+                if (claim !== org.name && (claim !== undefined || this.organizations.length > 1)) {
+                  reply.send(new HttpError.Unauthorized('Authorization token is not valid for this organization'));
+                  return;
+                }
+
+                // Tokens issued from a named key are only valid as long as
+                // the key is present in the keystore and not revoked or expired.
+                if (org.keystore && !org.keystore.valid(request.user.key)) {
+                  reply.send(new HttpError.Unauthorized('Authorization token was issued from a revoked or expired key'));
                 }
             });
 
+            // Authorization - Tokens carry the names, types and verbs
+            // the key they were issued from is allowed to operate on
+            const authorize = (verb, applies = () => true) => async (request, reply) => {
+                if (reply.sent || !applies(request)) return;
+                const params = utils.sanitizeParameters(request.raw.url);
+                const name = decodeURIComponent(params.name);
+                const permissions = Permissions.fromClaim(request.user.permissions);
+                if (!permissions.allows({ verb, type: params.type, name })) {
+                    this.logger.info(`Authorization token does not permit "${verb}" on "${params.type}/${name}"`);
+                    throw new HttpError.Forbidden(`Authorization token does not permit "${verb}" on this package`);
+                }
+            };
+
+            // Administration of the organization, like reading the audit
+            // log, is not tied to a package
+            const authorizeAdmin = async (request, reply) => {
+                if (reply.sent) return;
+                const permissions = Permissions.fromClaim(request.user.permissions);
+                if (!permissions.permits('admin')) {
+                    this.logger.info('Authorization token does not permit "admin"');
+                    throw new HttpError.Forbidden('Authorization token does not permit "admin" on this organization');
+                }
+            };
+
+            const isPurge = (request) => request.query.purge === 'true';
+            const isDryRun = (request) => request.query.dryRun === 'true';
+
+            // Deleted versions keep their tombstone and can not be published
+            // again, also not after being purged
+            const refuseDeleted = async (org, request, params) => {
+                if (await org.pkgDel.isDeleted(params)) {
+                    request.raw.resume();
+                    throw new HttpError.Conflict(`Version ${params.version} of ${decodeURIComponent(params.name)} is deleted and can not be published again`);
+                }
+            };
+
+            // Not modified - Answer a conditional request without a body. The
+            // validators are sent so caches can update the response they hold.
+            const notModified = (reply, { cacheControl, etag, lastModified }) => {
+                reply.header('cache-control', cacheControl);
+                if (etag) {
+                    reply.header('etag', etag);
+                }
+                if (lastModified !== undefined) {
+                    reply.header('last-modified', Conditional.httpDate(lastModified));
+                }
+                reply.code(304);
+                reply.send();
+            };
+
+            // Send the response of a core handler. Conditional requests the core
+            // handlers only match exactly, like lists of etags, are answered too.
+            const sendOutgoing = (request, reply, outgoing, validators = {}) => {
+                const etag = validators.etag || Conditional.etag(outgoing.etag);
+                const { lastModified } = validators;
+                if (outgoing.statusCode === 200 && Conditional.notModified(request.headers, { etag, lastModified })) {
+                    outgoing.stream.destroy();
+                    notModified(reply, { cacheControl: outgoing.cacheControl, etag, lastModified });
+                    return;
+                }
+
+                reply.header('cache-control', outgoing.cacheControl);
+                if (etag) {
+                    reply.header('etag', etag);
+                }
+                if (lastModified !== undefined) {
+                    reply.header('last-modified', Conditional.httpDate(lastModified));
+                }
+                reply.type(outgoing.mimeType);
+                reply.code(outgoing.statusCode);
+                reply.send(outgoing.stream);
+            };
+
+            // Audit and notify - Record each mutating request when its response
+            // is sent and notify the event stream and webhooks of the successful ones
+            const tracked = (action, { alias = false, tag = false } = {}) => async (request, reply) => {
+                // Dry runs does not change anything
+                if (request.dryRun) return;
+
+                try {
+                    const org = this._organization(request.raw);
+                    const params = utils.sanitizeParameters(request.raw.url);
+                    const record = {
+                        action: typeof action === 'function' ? action(request) : action,
+                        method: request.method,
+                        actor: request.user || {},
+                        statusCode: reply.statusCode,
+                        ip: request.ip,
+                    };
+
+                    if (action !== 'login') {
+                        record.type = params.type;
+                        record.name = decodeURIComponent(params.name);
+                    }
+
+                    if (alias) {
+                        record.alias = params.alias;
+                    } else if (tag) {
+                        record.tag = request.params.tag;
+                    } else if (action !== 'login') {
+                        record.version = params.version;
+                    }
+
+                    // The version an alias points to is posted in the body
+                    // which is consumed by core. Read it back from the sink.
+                    if (alias && request.method !== 'DELETE' && reply.statusCode < 400) {
+                        const obj = await utils.readJSON(org.sink, utils.createFilePathToAlias({ ...record, org: org.name }));
+                        record.version = obj.version;
+                    }
+
+                    if (tag && request.method !== 'DELETE' && reply.statusCode < 400) {
+                        const tags = await org.tags.list(record);
+                        record.version = tags[record.tag];
+                    }
+
+                    if (record.action !== 'login' && reply.statusCode < 400) {
+                        let event = record.action;
+                        if (alias && request.method === 'DELETE') event = 'alias:delete';
+                        if (tag && request.method === 'DELETE') event = 'tag:delete';
+
+                        if (event === 'publish' || event === 'alias') {
+                            await org.index.add(record);
+                        } else if (event === 'alias:delete') {
+                            await org.index.removeAlias(record);
+                        }
+
+                        org.journal.append({ ...record, event });
+                        org.webhooks.dispatch({ ...record, event });
+
+                        // Changes pushed from a peer are already replicated
+                        if (!org.replication.fromPeer(request.headers)) {
+                            org.replication.replicate(record);
+                        }
+                    }
+
+                    await org.audit.record(record);
+                } catch (error) {
+                    this.logger.error(error);
+                }
+            };
+
+
             const authOptions = {
-                preValidation: [app.authenticate]
+                onResponse: [tracked('login')]
+            }
+
+            const publishOptions = {
+                preValidation: [app.authenticate, authorize('publish')],
+                onResponse: [tracked('publish')],
+            }
+
+            const aliasOptions = {
+                preValidation: [app.authenticate, authorize('alias')],
+                onResponse: [tracked('alias', { alias: true })],
+            }
+
+            const deleteOptions = {
+                preValidation: [app.authenticate, authorize('delete')],
+                onResponse: [tracked('delete', { alias: true })],
+            }
+
+            // Tags are moved around like aliases and need the same permissions
+            const tagOptions = {
+                preValidation: [app.authenticate, authorize('alias')],
+                onResponse: [tracked('tag', { tag: true })],
+            }
+
+            const tagDeleteOptions = {
+                preValidation: [app.authenticate, authorize('delete')],
+                onResponse: [tracked('delete', { tag: true })],
+            }
+
+            const pkgDeleteOptions = {
+                preValidation: [app.authenticate, authorize('delete'), authorize('purge', isPurge)],
+                onResponse: [tracked((request) => (isPurge(request) ? 'purge' : 'delete'))],
+            }
+
+            const auditOptions = {
+                preValidation: [app.authenticate, authorizeAdmin],
             }
 
             // Handle multipart upload
@@ -174,6 +505,17 @@ const EikService = class EikService {
                 this.logger.debug('Error occured during request. Error is available on trace log level.');
                 this.logger.trace(error);
                 reply.header('cache-control', 'no-store');
+                // Include the list of problems of errors having them
+                if (error.statusCode && error.errors) {
+                    reply.code(error.statusCode);
+                    reply.send({
+                        statusCode: error.statusCode,
+                        error: http.STATUS_CODES[error.statusCode],
+                        message: error.message,
+                        errors: error.errors,
+                    });
+                    return;
+                }
                 if (error.statusCode) {
                     reply.send(error);
                     return;
@@ -187,27 +529,46 @@ const EikService = class EikService {
             //
 
             const authPostRoutes = async (request, reply) => {
-                const outgoing = await this._authPost.handler(
+                const org = this._organization(request.raw);
+                const outgoing = await org.authPost.handler(
                     request.raw,
                 );
 
-                // Workaround due to .jwt.sign() being able to only
+                // Workaround due to .jwtSign() being able to only
                 // deal with object literals for some reason :/
                 const body = JSON.parse(JSON.stringify(outgoing.body));
+                body.org = org.name;
+                body.permissions = org.permissions.toJSON();
+
+                if (org.keystore) {
+                    // The key can be gone if the keystore was reloaded
+                    // after the key was checked
+                    const entry = org.keystore.get(body.key);
+                    if (!entry) {
+                        throw new HttpError.Unauthorized();
+                    }
+                    if (entry.permissions) {
+                        body.permissions = entry.permissions.toJSON();
+                    }
+                }
 
-                const token = app.jwt.sign(body, {
+                const token = await reply.jwtSign(body, {
                     expiresIn: config.get('jwt.expire'),
                 });
 
+                // Let the audit log know who logged in
+                request.user = body;
+
                 reply.header('cache-control', outgoing.cacheControl);
                 reply.type(outgoing.mimeType);
                 reply.code(outgoing.statusCode);
                 reply.send({ token });
             };
 
-            const pkgGetRoute = async (request, reply) => {
+            const rangeGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._pkgGet.handler(
+                const outgoing = await org.rangeGet.handler(
                     request.raw,
                     params.type,
                     params.name,
@@ -215,50 +576,183 @@ const EikService = class EikService {
                     params.extras,
                 );
                 reply.header('cache-control', outgoing.cacheControl);
-                reply.header('etag', outgoing.etag);
                 reply.type(outgoing.mimeType);
                 reply.code(outgoing.statusCode);
-                reply.send(outgoing.stream);
+                reply.redirect(outgoing.location);
+            };
+
+            const pkgGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const params = utils.sanitizeParameters(request.raw.url);
+                if (RangeGet.isRange(params.version)) {
+                    await rangeGetRoute(request, reply);
+                    return;
+                }
+                if (await org.pkgDel.isDeleted(params)) {
+                    throw new HttpError.Gone();
+                }
+                if (params.type === eik.prop.base_npm && org.npmProxy) {
+                    await org.npmProxy.ensure(params);
+                }
+
+                // Conditional requests are answered from the package meta
+                // before the file is read
+                const file = await org.conditional.file(params);
+
+                // Files compressed at publish are served as is
+                const variant = file && org.precompress && await org.precompress.variant(params, request.headers['accept-encoding']);
+                if (variant) {
+                    reply.header('vary', 'accept-encoding');
+                }
+                const validators = file && {
+                    etag: variant && variant.encoding ? variant.etag : file.etag,
+                    lastModified: file.lastModified,
+                    cacheControl: file.cacheControl,
+                };
+                if (validators && Conditional.notModified(request.headers, validators)) {
+                    notModified(reply, validators);
+                    return;
+                }
+
+                // Variants are files next to the file they are made from,
+                // typed as that file
+                const outgoing = await org.pkgGet.handler(
+                    request.raw,
+                    params.type,
+                    params.name,
+                    params.version,
+                    variant && variant.encoding ? `${params.extras}${variant.extension}` : params.extras,
+                );
+                if (variant && variant.encoding) {
+                    outgoing.mimeType = variant.mimeType;
+                    reply.header('content-encoding', variant.encoding);
+                }
+
+                // Parts of the file for range requests are written directly,
+                // bypassing compression which would change what the ranges are of
+                if (outgoing.statusCode === 200 && request.headers.range && file) {
+                    const partial = org.byteRanges.handler(request.headers, {
+                        size: variant && variant.encoding ? variant.size : file.size,
+                        lastModified: validators.lastModified,
+                        mimeType: outgoing.mimeType,
+                        stream: outgoing.stream,
+                        etag: validators.etag,
+                    });
+                    if (partial) {
+                        reply.header('accept-ranges', 'bytes');
+                        reply.header('cache-control', outgoing.cacheControl);
+                        reply.header('etag', validators.etag);
+                        reply.header('last-modified', Conditional.httpDate(validators.lastModified));
+                        reply.type(outgoing.mimeType);
+                        reply.hijack();
+                        reply.raw.writeHead(partial.statusCode, {
+                            ...reply.getHeaders(),
+                            ...partial.headers,
+                        });
+                        pipeline(partial.stream, reply.raw, (error) => {
+                            if (error) this.logger.debug(`Failed sending parts of file - ${error.message}`);
+                        });
+                        return;
+                    }
+                }
+
+                reply.header('accept-ranges', 'bytes');
+                sendOutgoing(request, reply, outgoing, validators);
             };
 
             const pkgLogRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._pkgLog.handler(
+                if (RangeGet.isRange(params.version)) {
+                    await rangeGetRoute(request, reply);
+                    return;
+                }
+                if (await org.pkgDel.isDeleted(params)) {
+                    throw new HttpError.Gone();
+                }
+                if (params.type === eik.prop.base_npm && org.npmProxy) {
+                    await org.npmProxy.ensure(params);
+                }
+
+                const validators = await org.conditional.package(params);
+                if (validators && Conditional.notModified(request.headers, validators)) {
+                    notModified(reply, validators);
+                    return;
+                }
+
+                const outgoing = await org.pkgLog.handler(
                     request.raw,
                     params.type,
                     params.name,
                     params.version,
                 );
-                reply.header('cache-control', outgoing.cacheControl);
-                reply.header('etag', outgoing.etag);
-                reply.type(outgoing.mimeType);
-                reply.code(outgoing.statusCode);
-                reply.send(outgoing.stream);
+                sendOutgoing(request, reply, outgoing, validators);
+            };
+
+            const pkgDiffRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const { type } = utils.sanitizeParameters(request.raw.url);
+                const { scope, name, from, to } = request.params;
+                const params = {
+                    type,
+                    name: scope ? `@${scope}/${name}` : name,
+                    from,
+                    to,
+                };
+
+                if (type === eik.prop.base_npm && org.npmProxy) {
+                    await Promise.all([
+                        org.npmProxy.ensure({ name: params.name, version: from }),
+                        org.npmProxy.ensure({ name: params.name, version: to }),
+                    ]);
+                }
+
+                const result = await org.pkgDiff.diff(params, request.query.unified === 'true');
+                const { body, etag } = PkgDiff.json(result);
+
+                if (Conditional.notModified(request.headers, { etag })) {
+                    notModified(reply, { cacheControl: 'no-cache', etag });
+                    return;
+                }
+
+                reply.header('cache-control', 'no-cache');
+                reply.header('etag', etag);
+                reply.type('application/json');
+                reply.code(200);
+                reply.send(body);
             };
 
             const versionsGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._versionsGet.handler(
+                const outgoing = await org.versionsGet.handler(
                     request.raw,
                     params.type,
                     params.name,
                 );
-                reply.header('cache-control', outgoing.cacheControl);
-                reply.header('etag', outgoing.etag);
-                reply.type(outgoing.mimeType);
-                reply.code(outgoing.statusCode);
-                reply.send(outgoing.stream);
+                if (outgoing.statusCode === 304) {
+                    notModified(reply, outgoing);
+                    return;
+                }
+                sendOutgoing(request, reply, outgoing);
             };
 
             const pkgPutRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._pkgPut.handler(
+                await refuseDeleted(org, request, params);
+                const outgoing = await org.pkgPut.handler(
                     request.raw,
                     request.user,
                     params.type,
                     params.name,
                     params.version,
                 );
+                // Compressed in the background so publishing does not wait on it
+                if (org.precompress) {
+                    org.precompress.schedule(params);
+                }
+                await org.search.add(params);
                 reply.header('cache-control', outgoing.cacheControl);
                 reply.type(outgoing.mimeType);
                 reply.code(outgoing.statusCode);
@@ -266,37 +760,104 @@ const EikService = class EikService {
             };
 
             const mapGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._mapGet.handler(
+                if (RangeGet.isRange(params.version)) {
+                    await rangeGetRoute(request, reply);
+                    return;
+                }
+                if (await org.pkgDel.isDeleted(params)) {
+                    throw new HttpError.Gone();
+                }
+
+                const validators = await org.conditional.map(params);
+                if (validators && Conditional.notModified(request.headers, validators)) {
+                    notModified(reply, validators);
+                    return;
+                }
+
+                const outgoing = await org.mapGet.handler(
                     request.raw,
                     params.name,
                     params.version,
                 );
-                reply.header('cache-control', outgoing.cacheControl);
-                reply.header('etag', outgoing.etag);
-                reply.type(outgoing.mimeType);
-                reply.code(outgoing.statusCode);
-                reply.send(outgoing.stream);
+
+                // Entry files of the map are preloaded before the map is sent
+                if (org.preload && outgoing.statusCode === 200) {
+                    await org.preload.handler(request.raw, reply.raw, params);
+                }
+
+                sendOutgoing(request, reply, outgoing, validators);
             };
 
             const mapPutRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._mapPut.handler(
+                await refuseDeleted(org, request, params);
+
+                if (isDryRun(request)) {
+                    request.dryRun = true;
+                    const result = await org.mapPut.dryRun(
+                        request.raw,
+                        params.name,
+                        params.version,
+                    );
+                    reply.header('cache-control', result.cacheControl);
+                    reply.type(result.mimeType);
+                    reply.code(result.statusCode);
+                    reply.send(result.body);
+                    return;
+                }
+
+                const outgoing = await org.mapPut.handler(
                     request.raw,
                     request.user,
                     params.name,
                     params.version,
                 );
+                if (org.preload) {
+                    await org.preload.write(params);
+                }
+                await org.search.add(params);
                 reply.header('cache-control', outgoing.cacheControl);
                 reply.type(outgoing.mimeType);
                 reply.code(outgoing.statusCode);
                 reply.redirect(outgoing.location);
             };
 
+            const mapComposeRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const { m = [], strict } = request.query;
+                const outgoing = await org.mapCompose.handler(
+                    request.raw,
+                    Array.isArray(m) ? m : [m],
+                    strict === 'true',
+                );
+
+                // Specifiers mapped to different addresses by multiple maps
+                if (outgoing.conflicts.length > 0) {
+                    const specifiers = Array.from(new Set(outgoing.conflicts.map(({ specifier }) => encodeURIComponent(specifier))));
+                    reply.header('x-import-map-conflicts', specifiers.join(', '));
+                }
+
+                if (outgoing.statusCode === 200 && Conditional.notModified(request.headers, outgoing)) {
+                    notModified(reply, outgoing);
+                    return;
+                }
+
+                reply.header('cache-control', outgoing.cacheControl);
+                if (outgoing.etag) {
+                    reply.header('etag', outgoing.etag);
+                }
+                reply.type(outgoing.mimeType);
+                reply.code(outgoing.statusCode);
+                reply.send(outgoing.body);
+            };
 
             const aliasGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._aliasGet.handler(
+                const outgoing = await org.aliasGet.handler(
                     request.raw,
                     params.type,
                     params.name,
@@ -310,8 +871,9 @@ const EikService = class EikService {
             };
 
             const aliasPutRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._aliasPut.handler(
+                const outgoing = await org.aliasPut.handler(
                     request.raw,
                     request.user,
                     params.type,
@@ -325,8 +887,9 @@ const EikService = class EikService {
             };
 
             const aliasPostRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._aliasPost.handler(
+                const outgoing = await org.aliasPost.handler(
                     request.raw,
                     request.user,
                     params.type,
@@ -340,8 +903,9 @@ const EikService = class EikService {
             };
 
             const aliasDelRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
                 const params = utils.sanitizeParameters(request.raw.url);
-                const outgoing = await this._aliasDel.handler(
+                const outgoing = await org.aliasDel.handler(
                     request.raw,
                     request.user,
                     params.type,
@@ -354,6 +918,283 @@ const EikService = class EikService {
                 reply.send(outgoing.body);
             };
 
+            const tagGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const params = utils.sanitizeParameters(request.raw.url);
+                const outgoing = await org.tags.get(
+                    request.raw,
+                    params.type,
+                    params.name,
+                    request.params.tag,
+                    request.params['*'],
+                );
+                reply.header('cache-control', outgoing.cacheControl);
+                reply.type(outgoing.mimeType);
+                reply.code(outgoing.statusCode);
+                reply.redirect(outgoing.location);
+            };
+
+            const tagPutRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const params = utils.sanitizeParameters(request.raw.url);
+                const outgoing = await org.tags.put(
+                    request.raw,
+                    request.user,
+                    params.type,
+                    params.name,
+                    request.params.tag,
+                );
+                reply.header('cache-control', outgoing.cacheControl);
+                reply.type(outgoing.mimeType);
+                reply.code(outgoing.statusCode);
+                reply.redirect(outgoing.location);
+            };
+
+            const tagPostRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const params = utils.sanitizeParameters(request.raw.url);
+                const outgoing = await org.tags.post(
+                    request.raw,
+                    request.user,
+                    params.type,
+                    params.name,
+                    request.params.tag,
+                );
+                reply.header('cache-control', outgoing.cacheControl);
+                reply.type(outgoing.mimeType);
+                reply.code(outgoing.statusCode);
+                reply.redirect(outgoing.location);
+            };
+
+            const tagDelRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const params = utils.sanitizeParameters(request.raw.url);
+                const outgoing = await org.tags.del(
+                    request.raw,
+                    request.user,
+                    params.type,
+                    params.name,
+                    request.params.tag,
+                );
+                reply.header('cache-control', outgoing.cacheControl);
+                reply.type(outgoing.mimeType);
+                reply.code(outgoing.statusCode);
+                reply.send();
+            };
+
+            const pkgDelRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const params = utils.sanitizeParameters(request.raw.url);
+                const outgoing = await org.pkgDel.handler(
+                    request.raw,
+                    request.user,
+                    params.type,
+                    params.name,
+                    params.version,
+                    isPurge(request),
+                );
+                await org.search.remove(params);
+                reply.header('cache-control', outgoing.cacheControl);
+                reply.type(outgoing.mimeType);
+                reply.code(outgoing.statusCode);
+                reply.send();
+            };
+
+            const auditGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const { query } = request;
+                const limit = query.limit ? parseInt(query.limit, 10) : 100;
+                const since = query.since ? parseInt(query.since, 10) : undefined;
+
+                if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+                    throw new HttpError.BadRequest('Query parameter "limit" must be an integer between 1 and 1000');
+                }
+
+                if (since !== undefined && !Number.isInteger(since)) {
+                    throw new HttpError.BadRequest('Query parameter "since" must be a unix timestamp in seconds');
+                }
+
+                const records = await org.audit.query({
+                    type: query.type,
+                    name: query.name,
+                    actor: query.actor,
+                    action: query.action,
+                    since,
+                    limit,
+                });
+
+                reply.header('cache-control', 'no-store');
+                reply.type('application/json');
+                reply.code(200);
+                reply.send({ records });
+            };
+
+            // Pagination - Offset and limit query parameters of listing routes
+            const pagination = (query, { limit: fallback, max }) => {
+                const limit = query.limit ? parseInt(query.limit, 10) : fallback;
+                const offset = query.offset ? parseInt(query.offset, 10) : 0;
+
+                if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+                    throw new HttpError.BadRequest(`Query parameter "limit" must be an integer between 1 and ${max}`);
+                }
+
+                if (!Number.isInteger(offset) || offset < 0) {
+                    throw new HttpError.BadRequest('Query parameter "offset" must be a positive integer');
+                }
+
+                return { limit, offset };
+            };
+
+            const searchGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const { query } = request;
+                const { limit, offset } = pagination(query, { limit: 20, max: 100 });
+                const order = query.order || 'desc';
+
+                if (query.type && ![eik.prop.base_pkg, eik.prop.base_npm, eik.prop.base_map].includes(query.type)) {
+                    throw new HttpError.BadRequest(`Query parameter "type" must be one of "${eik.prop.base_pkg}", "${eik.prop.base_npm}" or "${eik.prop.base_map}"`);
+                }
+
+                if (!['asc', 'desc'].includes(order)) {
+                    throw new HttpError.BadRequest('Query parameter "order" must be "asc" or "desc"');
+                }
+
+                const result = await org.search.query({
+                    q: typeof query.q === 'string' ? query.q : '',
+                    type: query.type,
+                    order,
+                    offset,
+                    limit,
+                });
+
+                reply.header('cache-control', 'no-cache');
+                reply.type('application/json');
+                reply.code(200);
+                reply.send(result);
+            };
+
+            const catalogGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const { type } = utils.sanitizeParameters(request.raw.url);
+                const { limit, offset } = pagination(request.query, { limit: 50, max: 500 });
+                const result = await org.catalog.list({ type, offset, limit });
+
+                // Browsers get a page, everything else JSON
+                const html = (request.headers.accept || '').includes('text/html');
+                const { body, etag } = html ? Catalog.html(result) : Catalog.json(result);
+
+                reply.header('vary', 'accept');
+                if (Conditional.notModified(request.headers, { etag })) {
+                    notModified(reply, { cacheControl: 'no-cache', etag });
+                    return;
+                }
+
+                reply.header('cache-control', 'no-cache');
+                reply.header('etag', etag);
+                reply.type(html ? 'text/html; charset=utf-8' : 'application/json');
+                reply.code(200);
+                reply.send(body);
+            };
+
+            const uiGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const { params } = request;
+                const name = params.scope ? `@${params.scope}/${params.name}` : params.name;
+
+                let body;
+                if (params['*'] !== undefined) {
+                    body = await org.ui.file(params.type, name, params.version, params['*']);
+                } else if (params.version) {
+                    body = await org.ui.files(params.type, name, params.version);
+                } else if (params.name) {
+                    body = await org.ui.versions(params.type, name);
+                } else if (params.type) {
+                    body = await org.ui.catalog(params.type, pagination(request.query, { limit: 50, max: 500 }));
+                } else {
+                    body = await org.ui.home();
+                }
+
+                reply.header('cache-control', 'no-cache');
+                reply.type('text/html; charset=utf-8');
+                reply.code(200);
+                reply.send(body);
+            };
+
+            // Open event streams are ended when the server closes so
+            // they do not keep it from shutting down. Registered when ready
+            // so it runs before Fastify waits for open connections to end.
+            const streams = new Set();
+            app.addHook('onReady', (next) => {
+                app.onClose((instance, closed) => {
+                    streams.forEach((stream) => stream.end());
+                    closed();
+                });
+                next();
+            });
+
+            const eventsGetRoute = async (request, reply) => {
+                const org = this._organization(request.raw);
+                const { type = '', name = '' } = request.query;
+
+                if (type && ![eik.prop.base_pkg, eik.prop.base_npm, eik.prop.base_map].includes(type)) {
+                    throw new HttpError.BadRequest('Query parameter "type" must be one of "pkg", "npm" or "map"');
+                }
+
+                const stream = reply.raw;
+
+                // Changes are always written, but heartbeats only keep an
+                // idle connection open so none are written while the client
+                // has not read what is already sent
+                let draining = false;
+                const send = (chunk) => {
+                    if (stream.write(chunk) || draining) return;
+                    draining = true;
+                    stream.once('drain', () => {
+                        draining = false;
+                    });
+                };
+
+                const write = (change) => {
+                    if (type && change.type !== type) return;
+                    if (!change.name.startsWith(name)) return;
+                    send(`id: ${change.id}\nevent: ${change.event}\ndata: ${JSON.stringify(change)}\n\n`);
+                };
+
+                // The stream is written to directly, bypassing compression
+                // which would buffer the events
+                reply.hijack();
+                stream.writeHead(200, {
+                    ...reply.getHeaders(),
+                    'cache-control': 'no-store',
+                    'content-type': 'text/event-stream; charset=utf-8',
+                });
+                send(': connected\n\n');
+
+                const lastEventId = request.headers['last-event-id'];
+                if (lastEventId) {
+                    org.journal.since(lastEventId).forEach(write);
+                }
+
+                org.journal.on('change', write);
+                const heartbeat = setInterval(() => {
+                    if (!draining) send(': heartbeat\n\n');
+                }, config.get('events.heartbeat'));
+
+                streams.add(stream);
+                request.raw.on('close', () => {
+                    org.journal.removeListener('change', write);
+                    clearInterval(heartbeat);
+                    streams.delete(stream);
+                });
+            };
+
+            const metricsGetRoute = async (request, reply) => {
+                reply.header('cache-control', 'no-store');
+                reply.type('text/plain; version=0.0.4; charset=utf-8');
+                reply.code(200);
+                reply.send(this.collector.toPrometheus());
+            };
+
 
             //
             // Authentication
@@ -361,7 +1202,82 @@ const EikService = class EikService {
 
             // curl -X POST -i -F key=foo http://localhost:4001/auth/login
 
-            app.post(`/${eik.prop.base_auth}/login`, authPostRoutes);
+            app.post(`/${eik.prop.base_auth}/login`, authOptions, authPostRoutes);
+
+
+            //
+            // Audit log
+            //
+
+            // curl -X GET -H "Authorization: Bearer [token]" http://localhost:4001/audit?name=@cuz/fuzz
+            // curl -X GET -H "Authorization: Bearer [token]" http://localhost:4001/audit?actor=generic_user
+
+            app.get('/audit', auditOptions, auditGetRoute);
+
+
+            //
+            // Events
+            //
+
+            // curl -X GET -N http://localhost:4001/events
+            // curl -X GET -N http://localhost:4001/events?type=pkg&name=@cuz/
+
+            app.get('/events', eventsGetRoute);
+
+
+            //
+            // Search
+            //
+
+            // curl -X GET http://localhost:4001/search?q=index.js
+            // curl -X GET http://localhost:4001/search?q=@cuz/&type=pkg&order=asc&offset=20&limit=20
+
+            app.get('/search', searchGetRoute);
+
+
+            //
+            // Catalog
+            //
+
+            // curl -X GET http://localhost:4001/pkg
+            // curl -X GET http://localhost:4001/npm?offset=50&limit=50
+            // curl -X GET -H "Accept: text/html" http://localhost:4001/map
+
+            app.get(`/${eik.prop.base_pkg}`, catalogGetRoute);
+            app.get(`/${eik.prop.base_npm}`, catalogGetRoute);
+            app.get(`/${eik.prop.base_map}`, catalogGetRoute);
+
+
+            //
+            // Web UI
+            //
+
+            // curl -X GET http://localhost:4001/ui
+            // curl -X GET http://localhost:4001/ui/pkg/@cuz/fuzz/8.4.1
+            // curl -X GET http://localhost:4001/ui/pkg/fuzz/8.4.1/main/index.js
+
+            if (config.get('ui.enabled')) {
+                const prefix = config.get('ui.prefix');
+                app.get(prefix, uiGetRoute);
+                app.get(`${prefix}/:type`, uiGetRoute);
+                app.get(`${prefix}/:type/@:scope/:name`, uiGetRoute);
+                app.get(`${prefix}/:type/:name`, uiGetRoute);
+                app.get(`${prefix}/:type/@:scope/:name/:version`, uiGetRoute);
+                app.get(`${prefix}/:type/:name/:version`, uiGetRoute);
+                app.get(`${prefix}/:type/@:scope/:name/:version/*`, uiGetRoute);
+                app.get(`${prefix}/:type/:name/:version/*`, uiGetRoute);
+            }
+
+
+            //
+            // Metrics
+            //
+
+            // curl -X GET http://localhost:4001/metrics
+
+            if (config.get('metrics')) {
+                app.get(config.get('metricsPathname'), metricsGetRoute);
+            }
 
 
             //
@@ -374,8 +1290,19 @@ const EikService = class EikService {
 
             // Get public package - non-scoped
             // curl -X GET http://localhost:4001/pkg/fuzz/8.4.1/main/index.js
+            // curl -X GET -L http://localhost:4001/pkg/fuzz/^8.4/main/index.js
+            // curl -X GET -L http://localhost:4001/pkg/fuzz/latest/main/index.js
             app.get(`/${eik.prop.base_pkg}/:name/:version/*`, pkgGetRoute);
 
+            // Compare package versions - scoped
+            // curl -X GET http://localhost:4001/pkg/@cuz/fuzz/diff/8.4.1/8.5.0
+            app.get(`/${eik.prop.base_pkg}/@:scope/:name/diff/:from/:to`, pkgDiffRoute);
+
+            // Compare package versions - non-scoped
+            // curl -X GET http://localhost:4001/pkg/fuzz/diff/8.4.1/8.5.0
+            // curl -X GET http://localhost:4001/pkg/fuzz/diff/8.4.1/8.5.0?unified=true
+            app.get(`/${eik.prop.base_pkg}/:name/diff/:from/:to`, pkgDiffRoute);
+
             // Get package overview - scoped
             // curl -X GET http://localhost:4001/pkg/@cuz/fuzz/8.4.1/
             app.get(`/${eik.prop.base_pkg}/@:scope/:name/:version`, pkgLogRoute);
@@ -394,11 +1321,21 @@ const EikService = class EikService {
 
             // Put package - scoped
             // curl -X PUT -i -F filedata=@archive.tgz http://localhost:4001/pkg/@cuz/fuzz/8.4.1/
-            app.put(`/${eik.prop.base_pkg}/@:scope/:name/:version`, authOptions, pkgPutRoute);
+            app.put(`/${eik.prop.base_pkg}/@:scope/:name/:version`, publishOptions, pkgPutRoute);
 
             // Put package - non-scoped
             // curl -X PUT -i -F filedata=@archive.tgz http://localhost:4001/pkg/fuzz/8.4.1/
-            app.put(`/${eik.prop.base_pkg}/:name/:version`, authOptions, pkgPutRoute);
+            app.put(`/${eik.prop.base_pkg}/:name/:version`, publishOptions, pkgPutRoute);
+
+            // Delete package version - scoped
+            // curl -X DELETE http://localhost:4001/pkg/@cuz/fuzz/8.4.1
+            // curl -X DELETE http://localhost:4001/pkg/@cuz/fuzz/8.4.1?purge=true
+            app.delete(`/${eik.prop.base_pkg}/@:scope/:name/:version`, pkgDeleteOptions, pkgDelRoute);
+
+            // Delete package version - non-scoped
+            // curl -X DELETE http://localhost:4001/pkg/fuzz/8.4.1
+            // curl -X DELETE http://localhost:4001/pkg/fuzz/8.4.1?purge=true
+            app.delete(`/${eik.prop.base_pkg}/:name/:version`, pkgDeleteOptions, pkgDelRoute);
 
 
             //
@@ -413,6 +1350,15 @@ const EikService = class EikService {
             // curl -X GET http://localhost:4001/npm/fuzz/8.4.1/main/index.js
             app.get(`/${eik.prop.base_npm}/:name/:version/*`, pkgGetRoute);
 
+            // Compare NPM package versions - scoped
+            // curl -X GET http://localhost:4001/npm/@cuz/fuzz/diff/8.4.1/8.5.0
+            app.get(`/${eik.prop.base_npm}/@:scope/:name/diff/:from/:to`, pkgDiffRoute);
+
+            // Compare NPM package versions - non-scoped
+            // curl -X GET http://localhost:4001/npm/fuzz/diff/8.4.1/8.5.0
+            // curl -X GET http://localhost:4001/npm/fuzz/diff/8.4.1/8.5.0?unified=true
+            app.get(`/${eik.prop.base_npm}/:name/diff/:from/:to`, pkgDiffRoute);
+
             // Get NPM package overview - scoped
             // curl -X GET http://localhost:4001/npm/@cuz/fuzz/8.4.1/
             app.get(`/${eik.prop.base_npm}/@:scope/:name/:version`, pkgLogRoute);
@@ -431,23 +1377,49 @@ const EikService = class EikService {
 
             // Put NPM package - scoped
             // curl -X PUT -i -F filedata=@archive.tgz http://localhost:4001/npm/@cuz/fuzz/8.4.1/
-            app.put(`/${eik.prop.base_npm}/@:scope/:name/:version`, authOptions, pkgPutRoute);
+            app.put(`/${eik.prop.base_npm}/@:scope/:name/:version`, publishOptions, pkgPutRoute);
 
             // Put NPM package - non-scoped
             // curl -X PUT -i -F filedata=@archive.tgz http://localhost:4001/npm/fuzz/8.4.1/
-            app.put(`/${eik.prop.base_npm}/:name/:version`, authOptions, pkgPutRoute);
+            app.put(`/${eik.prop.base_npm}/:name/:version`, publishOptions, pkgPutRoute);
+
+            // Delete NPM package version - scoped
+            // curl -X DELETE http://localhost:4001/npm/@cuz/fuzz/8.4.1
+            // curl -X DELETE http://localhost:4001/npm/@cuz/fuzz/8.4.1?purge=true
+            app.delete(`/${eik.prop.base_npm}/@:scope/:name/:version`, pkgDeleteOptions, pkgDelRoute);
+
+            // Delete NPM package version - non-scoped
+            // curl -X DELETE http://localhost:4001/npm/fuzz/8.4.1
+            // curl -X DELETE http://localhost:4001/npm/fuzz/8.4.1?purge=true
+            app.delete(`/${eik.prop.base_npm}/:name/:version`, pkgDeleteOptions, pkgDelRoute);
 
 
             //
             // Import Maps
             //
 
+            // Compose maps - merged in the given order. Outside of "/map" so
+            // it does not shadow the versions of a map named "compose"
+            // curl -X GET "http://localhost:4001/compose?m=@cuz/buzz/v4&m=fuzz/1.2.3"
+            // curl -X GET "http://localhost:4001/compose?m=@cuz/buzz/v4&m=fuzz/1.2.3&strict=true"
+            app.get('/compose', mapComposeRoute);
+
+            // Compare map versions - scoped
+            // curl -X GET http://localhost:4001/map/@cuz/buzz/diff/4.2.2/4.3.0
+            app.get(`/${eik.prop.base_map}/@:scope/:name/diff/:from/:to`, pkgDiffRoute);
+
+            // Compare map versions - non-scoped
+            // curl -X GET http://localhost:4001/map/buzz/diff/4.2.2/4.3.0
+            // curl -X GET http://localhost:4001/map/buzz/diff/4.2.2/4.3.0?unified=true
+            app.get(`/${eik.prop.base_map}/:name/diff/:from/:to`, pkgDiffRoute);
+
             // Get map - scoped
             // curl -X GET http://localhost:4001/map/@cuz/buzz/4.2.2
             app.get(`/${eik.prop.base_map}/@:scope/:name/:version`, mapGetRoute);
 
             // Get map - non-scoped
             // curl -X GET http://localhost:4001/map/buzz/4.2.2
+            // curl -X GET -L http://localhost:4001/map/buzz/~4.2.0
             app.get(`/${eik.prop.base_map}/:name/:version`, mapGetRoute);
 
             // Get map versions - scoped
@@ -460,11 +1432,23 @@ const EikService = class EikService {
 
             // Put map - scoped
             // curl -X PUT -i -F map=@import-map.json http://localhost:4001/map/@cuz/buzz/4.2.2
-            app.put(`/${eik.prop.base_map}/@:scope/:name/:version`, authOptions, mapPutRoute);
+            // curl -X PUT -i -F map=@import-map.json http://localhost:4001/map/@cuz/buzz/4.2.2?dryRun=true
+            app.put(`/${eik.prop.base_map}/@:scope/:name/:version`, publishOptions, mapPutRoute);
 
             // Put map - non-scoped
             // curl -X PUT -i -F map=@import-map.json http://localhost:4001/map/buzz/4.2.2
-            app.put(`/${eik.prop.base_map}/:name/:version`, authOptions, mapPutRoute);
+            // curl -X PUT -i -F map=@import-map.json http://localhost:4001/map/buzz/4.2.2?dryRun=true
+            app.put(`/${eik.prop.base_map}/:name/:version`, publishOptions, mapPutRoute);
+
+            // Delete map version - scoped
+            // curl -X DELETE http://localhost:4001/map/@cuz/buzz/4.2.2
+            // curl -X DELETE http://localhost:4001/map/@cuz/buzz/4.2.2?purge=true
+            app.delete(`/${eik.prop.base_map}/@:scope/:name/:version`, pkgDeleteOptions, pkgDelRoute);
+
+            // Delete map version - non-scoped
+            // curl -X DELETE http://localhost:4001/map/buzz/4.2.2
+            // curl -X DELETE http://localhost:4001/map/buzz/4.2.2?purge=true
+            app.delete(`/${eik.prop.base_map}/:name/:version`, pkgDeleteOptions, pkgDelRoute);
 
 
             //
@@ -484,22 +1468,22 @@ const EikService = class EikService {
             app.get(`/${eik.prop.base_pkg}/:name/v:alias/*`, aliasGetRoute);
 
             // curl -X PUT -i -F version=8.4.1 http://localhost:4001/pkg/@cuz/fuzz/v8
-            app.put(`/${eik.prop.base_pkg}/@:scope/:name/v:alias`, authOptions, aliasPutRoute);
+            app.put(`/${eik.prop.base_pkg}/@:scope/:name/v:alias`, aliasOptions, aliasPutRoute);
 
             // curl -X PUT -i -F version=8.4.1 http://localhost:4001/pkg/fuzz/v8
-            app.put(`/${eik.prop.base_pkg}/:name/v:alias`, authOptions, aliasPutRoute);
+            app.put(`/${eik.prop.base_pkg}/:name/v:alias`, aliasOptions, aliasPutRoute);
 
             // curl -X POST -i -F version=8.4.1 http://localhost:4001/pkg/@cuz/lit-html/v8
-            app.post(`/${eik.prop.base_pkg}/@:scope/:name/v:alias`, authOptions, aliasPostRoute);
+            app.post(`/${eik.prop.base_pkg}/@:scope/:name/v:alias`, aliasOptions, aliasPostRoute);
 
             // curl -X POST -i -F version=8.4.1 http://localhost:4001/pkg/lit-html/v8
-            app.post(`/${eik.prop.base_pkg}/:name/v:alias`, authOptions, aliasPostRoute);
+            app.post(`/${eik.prop.base_pkg}/:name/v:alias`, aliasOptions, aliasPostRoute);
 
             // curl -X DELETE http://localhost:4001/pkg/@cuz/fuzz/v8
-            app.delete(`/${eik.prop.base_pkg}/@:scope/:name/v:alias`, authOptions, aliasDelRoute);
+            app.delete(`/${eik.prop.base_pkg}/@:scope/:name/v:alias`, deleteOptions, aliasDelRoute);
 
             // curl -X DELETE http://localhost:4001/pkg/fuzz/v8
-            app.delete(`/${eik.prop.base_pkg}/:name/v:alias`, authOptions, aliasDelRoute);
+            app.delete(`/${eik.prop.base_pkg}/:name/v:alias`, deleteOptions, aliasDelRoute);
 
 
             //
@@ -519,22 +1503,22 @@ const EikService = class EikService {
             app.get(`/${eik.prop.base_npm}/:name/v:alias/*`, aliasGetRoute);
 
             // curl -X PUT -i -F version=8.4.1 http://localhost:4001/npm/@cuz/fuzz/v8
-            app.put(`/${eik.prop.base_npm}/@:scope/:name/v:alias`, authOptions, aliasPutRoute);
+            app.put(`/${eik.prop.base_npm}/@:scope/:name/v:alias`, aliasOptions, aliasPutRoute);
 
             // curl -X PUT -i -F version=8.4.1 http://localhost:4001/npm/fuzz/v8
-            app.put(`/${eik.prop.base_npm}/:name/v:alias`, authOptions, aliasPutRoute);
+            app.put(`/${eik.prop.base_npm}/:name/v:alias`, aliasOptions, aliasPutRoute);
 
             // curl -X POST -i -F version=8.4.1 http://localhost:4001/npm/@cuz/lit-html/v8
-            app.post(`/${eik.prop.base_npm}/@:scope/:name/v:alias`, authOptions, aliasPostRoute);
+            app.post(`/${eik.prop.base_npm}/@:scope/:name/v:alias`, aliasOptions, aliasPostRoute);
 
             // curl -X POST -i -F version=8.4.1 http://localhost:4001/npm/lit-html/v8
-            app.post(`/${eik.prop.base_npm}/:name/v:alias`, authOptions, aliasPostRoute);
+            app.post(`/${eik.prop.base_npm}/:name/v:alias`, aliasOptions, aliasPostRoute);
 
             // curl -X DELETE http://localhost:4001/npm/@cuz/fuzz/v8
-            app.delete(`/${eik.prop.base_npm}/@:scope/:name/v:alias`, authOptions, aliasDelRoute);
+            app.delete(`/${eik.prop.base_npm}/@:scope/:name/v:alias`, deleteOptions, aliasDelRoute);
 
             // curl -X DELETE http://localhost:4001/npm/fuzz/v8
-            app.delete(`/${eik.prop.base_npm}/:name/v:alias`, authOptions, aliasDelRoute);
+            app.delete(`/${eik.prop.base_npm}/:name/v:alias`, deleteOptions, aliasDelRoute);
 
 
             //
@@ -548,22 +1532,121 @@ const EikService = class EikService {
             app.get(`/${eik.prop.base_map}/:name/v:alias`, aliasGetRoute);
 
             // curl -X PUT -i -F version=4.2.2 http://localhost:4001/map/@cuz/buzz/v4
-            app.put(`/${eik.prop.base_map}/@:scope/:name/v:alias`, authOptions, aliasPutRoute);
+            app.put(`/${eik.prop.base_map}/@:scope/:name/v:alias`, aliasOptions, aliasPutRoute);
 
             // curl -X PUT -i -F version=4.2.2 http://localhost:4001/map/buzz/v4
-            app.put(`/${eik.prop.base_map}/:name/v:alias`, authOptions, aliasPutRoute);
+            app.put(`/${eik.prop.base_map}/:name/v:alias`, aliasOptions, aliasPutRoute);
 
             // curl -X POST -i -F version=4.4.2 http://localhost:4001/map/@cuz/buzz/v4
-            app.post(`/${eik.prop.base_map}/@:scope/:name/v:alias`, authOptions, aliasPostRoute);
+            app.post(`/${eik.prop.base_map}/@:scope/:name/v:alias`, aliasOptions, aliasPostRoute);
 
             // curl -X POST -i -F version=4.4.2 http://localhost:4001/map/buzz/v4
-            app.post(`/${eik.prop.base_map}/:name/v:alias`, authOptions, aliasPostRoute);
+            app.post(`/${eik.prop.base_map}/:name/v:alias`, aliasOptions, aliasPostRoute);
 
             // curl -X DELETE http://localhost:4001/map/@cuz/buzz/v4
-            app.delete(`/${eik.prop.base_map}/@:scope/:name/v:alias`, authOptions, aliasDelRoute);
+            app.delete(`/${eik.prop.base_map}/@:scope/:name/v:alias`, deleteOptions, aliasDelRoute);
 
             // curl -X DELETE http://localhost:4001/map/buzz/v4
-            app.delete(`/${eik.prop.base_map}/:name/v:alias`, authOptions, aliasDelRoute);
+            app.delete(`/${eik.prop.base_map}/:name/v:alias`, deleteOptions, aliasDelRoute);
+
+
+            //
+            // Tags Packages
+            //
+
+            // curl -X GET -L http://localhost:4001/pkg/@cuz/fuzz/tags/next
+            app.get(`/${eik.prop.base_pkg}/@:scope/:name/tags/:tag`, tagGetRoute);
+
+            // curl -X GET -L http://localhost:4001/pkg/fuzz/tags/next
+            app.get(`/${eik.prop.base_pkg}/:name/tags/:tag`, tagGetRoute);
+
+            // curl -X GET -L http://localhost:4001/pkg/@cuz/fuzz/tags/next/main/index.js
+            app.get(`/${eik.prop.base_pkg}/@:scope/:name/tags/:tag/*`, tagGetRoute);
+
+            // curl -X GET -L http://localhost:4001/pkg/fuzz/tags/next/main/index.js
+            app.get(`/${eik.prop.base_pkg}/:name/tags/:tag/*`, tagGetRoute);
+
+            // curl -X PUT -i -F version=9.0.0-beta.1 http://localhost:4001/pkg/@cuz/fuzz/tags/next
+            app.put(`/${eik.prop.base_pkg}/@:scope/:name/tags/:tag`, tagOptions, tagPutRoute);
+
+            // curl -X PUT -i -F version=9.0.0-beta.1 http://localhost:4001/pkg/fuzz/tags/next
+            app.put(`/${eik.prop.base_pkg}/:name/tags/:tag`, tagOptions, tagPutRoute);
+
+            // curl -X POST -i -F version=9.0.0-beta.1 http://localhost:4001/pkg/@cuz/fuzz/tags/next
+            app.post(`/${eik.prop.base_pkg}/@:scope/:name/tags/:tag`, tagOptions, tagPostRoute);
+
+            // curl -X POST -i -F version=9.0.0-beta.1 http://localhost:4001/pkg/fuzz/tags/next
+            app.post(`/${eik.prop.base_pkg}/:name/tags/:tag`, tagOptions, tagPostRoute);
+
+            // curl -X DELETE http://localhost:4001/pkg/@cuz/fuzz/tags/next
+            app.delete(`/${eik.prop.base_pkg}/@:scope/:name/tags/:tag`, tagDeleteOptions, tagDelRoute);
+
+            // curl -X DELETE http://localhost:4001/pkg/fuzz/tags/next
+            app.delete(`/${eik.prop.base_pkg}/:name/tags/:tag`, tagDeleteOptions, tagDelRoute);
+
+
+            //
+            // Tags NPM Packages
+            //
+
+            // curl -X GET -L http://localhost:4001/npm/@cuz/fuzz/tags/next
+            app.get(`/${eik.prop.base_npm}/@:scope/:name/tags/:tag`, tagGetRoute);
+
+            // curl -X GET -L http://localhost:4001/npm/fuzz/tags/next
+            app.get(`/${eik.prop.base_npm}/:name/tags/:tag`, tagGetRoute);
+
+            // curl -X GET -L http://localhost:4001/npm/@cuz/fuzz/tags/next/main/index.js
+            app.get(`/${eik.prop.base_npm}/@:scope/:name/tags/:tag/*`, tagGetRoute);
+
+            // curl -X GET -L http://localhost:4001/npm/fuzz/tags/next/main/index.js
+            app.get(`/${eik.prop.base_npm}/:name/tags/:tag/*`, tagGetRoute);
+
+            // curl -X PUT -i -F version=9.0.0-beta.1 http://localhost:4001/npm/@cuz/fuzz/tags/next
+            app.put(`/${eik.prop.base_npm}/@:scope/:name/tags/:tag`, tagOptions, tagPutRoute);
+
+            // curl -X PUT -i -F version=9.0.0-beta.1 http://localhost:4001/npm/fuzz/tags/next
+            app.put(`/${eik.prop.base_npm}/:name/tags/:tag`, tagOptions, tagPutRoute);
+
+            // curl -X POST -i -F version=9.0.0-beta.1 http://localhost:4001/npm/@cuz/fuzz/tags/next
+            app.post(`/${eik.prop.base_npm}/@:scope/:name/tags/:tag`, tagOptions, tagPostRoute);
+
+            // curl -X POST -i -F version=9.0.0-beta.1 http://localhost:4001/npm/fuzz/tags/next
+            app.post(`/${eik.prop.base_npm}/:name/tags/:tag`, tagOptions, tagPostRoute);
+
+            // curl -X DELETE http://localhost:4001/npm/@cuz/fuzz/tags/next
+            app.delete(`/${eik.prop.base_npm}/@:scope/:name/tags/:tag`, tagDeleteOptions, tagDelRoute);
+
+            // curl -X DELETE http://localhost:4001/npm/fuzz/tags/next
+            app.delete(`/${eik.prop.base_npm}/:name/tags/:tag`, tagDeleteOptions, tagDelRoute);
+
+
+            //
+            // Tags Import Maps
+            //
+
+            // curl -X GET -L http://localhost:4001/map/@cuz/buzz/tags/next
+            app.get(`/${eik.prop.base_map}/@:scope/:name/tags/:tag`, tagGetRoute);
+
+            // curl -X GET -L http://localhost:4001/map/buzz/tags/next
+            app.get(`/${eik.prop.base_map}/:name/tags/:tag`, tagGetRoute);
+
+            // curl -X PUT -i -F version=5.0.0-beta.1 http://localhost:4001/map/@cuz/buzz/tags/next
+            app.put(`/${eik.prop.base_map}/@:scope/:name/tags/:tag`, tagOptions, tagPutRoute);
+
+            // curl -X PUT -i -F version=5.0.0-beta.1 http://localhost:4001/map/buzz/tags/next
+            app.put(`/${eik.prop.base_map}/:name/tags/:tag`, tagOptions, tagPutRoute);
+
+            // curl -X POST -i -F version=5.0.0-beta.1 http://localhost:4001/map/@cuz/buzz/tags/next
+            app.post(`/${eik.prop.base_map}/@:scope/:name/tags/:tag`, tagOptions, tagPostRoute);
+
+            // curl -X POST -i -F version=5.0.0-beta.1 http://localhost:4001/map/buzz/tags/next
+            app.post(`/${eik.prop.base_map}/:name/tags/:tag`, tagOptions, tagPostRoute);
+
+            // curl -X DELETE http://localhost:4001/map/@cuz/buzz/tags/next
+            app.delete(`/${eik.prop.base_map}/@:scope/:name/tags/:tag`, tagDeleteOptions, tagDelRoute);
+
+            // curl -X DELETE http://localhost:4001/map/buzz/tags/next
+            app.delete(`/${eik.prop.base_map}/:name/tags/:tag`, tagDeleteOptions, tagDelRoute);
 
 
             done();
@@ -0,0 +1,219 @@
+import { validators } from '@eik/common';
+import HttpError from 'http-errors';
+import Metrics from '@metrics/client';
+import crypto from 'crypto';
+
+import * as utils from './utils.js';
+
+// Parse a reference to a map like "@cuz/buzz/v4" or "buzz/4.2.2"
+const parseReference = (reference) => {
+    const parts = reference.split('/');
+    const scoped = parts[0].startsWith('@');
+    const name = scoped ? parts.slice(0, 2).join('/') : parts[0];
+    const ref = (scoped ? parts[2] : parts[1]) || '';
+
+    if (parts.length !== (scoped ? 3 : 2)) {
+        throw new Error(`Map reference is not valid - Value: ${reference}`);
+    }
+
+    validators.name(name);
+
+    if (ref.startsWith('v')) {
+        return { reference, name, alias: validators.alias(utils.sanitizeAlias(ref)) };
+    }
+    return { reference, name, version: validators.version(ref) };
+};
+
+// Merge specifiers of each map into one object. Later maps override
+// earlier ones. Specifiers mapped to different addresses are returned
+// as conflicts.
+const mergeSpecifiers = (entries, scope = '') => {
+    const merged = {};
+    const sources = new Map();
+
+    entries.forEach(({ reference, specifiers }) => {
+        Object.keys(specifiers).forEach((specifier) => {
+            const address = specifiers[specifier];
+            if (!sources.has(specifier)) sources.set(specifier, []);
+            sources.get(specifier).push({ map: reference, address });
+            merged[specifier] = address;
+        });
+    });
+
+    const conflicts = [];
+    sources.forEach((maps, specifier) => {
+        const addresses = new Set(maps.map(({ address }) => address));
+        if (addresses.size > 1) {
+            conflicts.push({ specifier, scope, maps });
+        }
+    });
+
+    return { merged, conflicts };
+};
+
+/**
+ * Compose multiple import maps into one. Maps are referenced by name and
+ * either an exact version or an alias and are merged in the order given.
+ *
+ * @class MapCompose
+ */
+const MapCompose = class MapCompose {
+    constructor({
+        cacheControl,
+        aliasCacheControl,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._cacheControl = cacheControl || 'public, max-age=31536000, immutable';
+        this._aliasCacheControl = aliasCacheControl || 'public, max-age=1200';
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+        this._metrics = new Metrics();
+        this._histogram = this._metrics.histogram({
+            name: 'eik_service_map_compose_handler',
+            description: 'Histogram measuring time taken in MapCompose handler method',
+            labels: {
+                success: true,
+                type: 'map',
+            },
+            buckets: [
+                0.005,
+                0.01,
+                0.06,
+                0.1,
+                0.6,
+                1.0,
+                2.0,
+                4.0,
+            ],
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    async _resolve({ reference, name, alias, version }) {
+        let resolved = version;
+        if (alias) {
+            try {
+                const obj = await utils.readJSON(this._sink, utils.createFilePathToAlias({
+                    org: this._org,
+                    type: 'map',
+                    name,
+                    alias,
+                }));
+                resolved = obj.version;
+            } catch (error) {
+                throw new HttpError.NotFound(`Import map alias "${reference}" not found`);
+            }
+        }
+
+        const incoming = {
+            org: this._org,
+            type: 'map',
+            version: resolved,
+            name,
+        };
+
+        let deleted = true;
+        try {
+            await this._sink.exist(utils.createFilePathToTombstone(incoming));
+        } catch (error) {
+            deleted = false;
+        }
+
+        if (deleted) {
+            throw new HttpError.Gone(`Import map "${reference}" is deleted`);
+        }
+
+        try {
+            const map = await utils.readJSON(this._sink, utils.createFilePathToImportMap(incoming));
+            return { reference, map };
+        } catch (error) {
+            throw new HttpError.NotFound(`Import map "${reference}" not found`);
+        }
+    }
+
+    async handler(req, references = [], strict = false) {
+        const end = this._histogram.timer();
+
+        let parsed;
+        try {
+            if (references.length === 0) {
+                throw new Error('At least one map must be referenced');
+            }
+            parsed = references.map(parseReference);
+        } catch (error) {
+            this._log.info(`map:compose - Validation failed - ${error.message}`);
+            const e = new HttpError.BadRequest(error.message);
+            end({ labels: { success: false, status: e.status } });
+            throw e;
+        }
+
+        let maps;
+        try {
+            maps = await Promise.all(parsed.map((ref) => this._resolve(ref)));
+        } catch (error) {
+            this._log.debug(`map:compose - ${error.message}`);
+            end({ labels: { success: false, status: error.status } });
+            throw error;
+        }
+
+        const imports = mergeSpecifiers(maps.map(({ reference, map }) => ({
+            specifiers: map.imports || {},
+            reference,
+        })));
+
+        const scopeNames = new Set(maps.flatMap(({ map }) => Object.keys(map.scopes || {})));
+        const scopes = {};
+        const conflicts = [...imports.conflicts];
+        scopeNames.forEach((scope) => {
+            const result = mergeSpecifiers(maps
+                .filter(({ map }) => map.scopes && map.scopes[scope])
+                .map(({ reference, map }) => ({ specifiers: map.scopes[scope], reference })), scope);
+            scopes[scope] = result.merged;
+            conflicts.push(...result.conflicts);
+        });
+
+        // Anything resolved through an alias can change when the alias moves
+        const aliased = parsed.some((ref) => ref.alias);
+
+        if (strict && conflicts.length > 0) {
+            this._log.debug(`map:compose - Import maps have conflicting specifiers - Maps: ${references.join(', ')}`);
+            end({ labels: { success: false, status: 409 } });
+            return {
+                cacheControl: 'no-store',
+                statusCode: 409,
+                mimeType: 'application/json',
+                conflicts,
+                body: { conflicts },
+            };
+        }
+
+        const body = { imports: imports.merged };
+        if (scopeNames.size > 0) {
+            body.scopes = scopes;
+        }
+
+        const hash = crypto.createHash('sha512');
+        hash.update(JSON.stringify(body));
+        const etag = `"sha512-${hash.digest('base64')}"`;
+
+        end({ labels: { status: 200 } });
+
+        // Conditional requests are answered by the route
+        return {
+            cacheControl: aliased ? this._aliasCacheControl : this._cacheControl,
+            statusCode: 200,
+            mimeType: 'application/json',
+            conflicts,
+            etag,
+            body,
+        };
+    }
+};
+
+export default MapCompose;
@@ -0,0 +1,167 @@
+import { validators } from '@eik/common';
+import HttpError from 'http-errors';
+import Busboy from 'busboy';
+import crypto from 'crypto';
+import eik from '@eik/core';
+
+import * as utils from './utils.js';
+
+// Import map upload handler validating the map before it is written to
+// the sink. Maps with problems are rejected with a 422 listing each of them.
+const MapPut = class MapPut extends eik.http.MapPut {
+    constructor({ validator, org, ...options } = {}) {
+        super(options);
+        this._validator = validator;
+        this._org = org;
+    }
+
+    // Buffer up the uploaded map. Only one file on the "map" field is accepted.
+    _collect(incoming) {
+        return new Promise((resolve, reject) => {
+            const queue = [];
+
+            const busboy = new Busboy({
+                headers: incoming.headers,
+                limits: {
+                    fields: 0,
+                    files: 1,
+                    fileSize: this._mapMaxFileSize,
+                },
+            });
+
+            busboy.on('file', (fieldname, file) => {
+                if (fieldname !== 'map') {
+                    this._log.info(`map:put - Import map submitted on wrong field name - Field: ${fieldname}`);
+                    file.resume();
+                    queue.push(new HttpError.BadRequest());
+                    return;
+                }
+
+                queue.push(new Promise((done, fail) => {
+                    const chunks = [];
+                    file.on('data', (chunk) => chunks.push(chunk));
+                    file.on('end', () => done(Buffer.concat(chunks).toString()));
+                    file.on('error', fail);
+                }));
+            });
+
+            busboy.on('finish', () => {
+                Promise.all(queue).then((items) => {
+                    const [item] = items;
+                    if (item === undefined) {
+                        throw new HttpError.BadRequest();
+                    }
+                    if (item instanceof Error) {
+                        throw item;
+                    }
+                    resolve(item);
+                }).catch(reject);
+            });
+
+            busboy.on('error', reject);
+
+            incoming.request.pipe(busboy);
+        });
+    }
+
+    async _read(incoming) {
+        const str = await this._collect(incoming);
+        try {
+            return { str, obj: JSON.parse(str) };
+        } catch (error) {
+            this._log.error(`map:put - Import map can not be parsed`);
+            this._log.trace(error);
+            throw new HttpError.UnsupportedMediaType();
+        }
+    }
+
+    async _validate(obj, incoming) {
+        if (!this._validator) return;
+
+        const errors = await this._validator.validate(obj, {
+            name: incoming.name,
+            version: incoming.version,
+            host: incoming.headers.host,
+        });
+        if (errors.length > 0) {
+            this._log.info(`map:put - Import map is not valid - Problems: ${errors.length} - Name: ${incoming.name} - Version: ${incoming.version}`);
+            throw new HttpError(422, 'Import map is not valid', { errors });
+        }
+    }
+
+    async _parser(incoming) {
+        const path = utils.createFilePathToImportMap(incoming);
+        const { str, obj } = await this._read(incoming);
+
+        await this._validate(obj, incoming);
+
+        const hasher = crypto.createHash('sha512');
+        hasher.update(str);
+        const integrity = `sha512-${hasher.digest('base64')}`;
+
+        // Meta file of the map, holding what conditional requests for the
+        // map are answered by without reading the map itself
+        const meta = {
+            integrity,
+            version: incoming.version,
+            created: Math.floor(Date.now() / 1000),
+            author: incoming.author,
+            type: 'map',
+            name: incoming.name,
+            org: incoming.org,
+        };
+
+        try {
+            this._log.info(`map:put - Start writing import map to sink - Pathname: ${path}`);
+            await utils.writeJSON(this._sink, path, obj);
+            await utils.writeJSON(this._sink, utils.createFilePathToPackage(meta), meta);
+        } catch (error) {
+            this._log.error(`map:put - Failed writing import map to sink - Pathname: ${path}`);
+            this._log.trace(error);
+            throw new HttpError.BadGateway();
+        }
+
+        this._log.info(`map:put - Successfully wrote import map to sink - Pathname: ${path}`);
+
+        return integrity;
+    }
+
+    // Validate an uploaded map without storing it. Versions which can not
+    // be published are refused just like the upload itself would be.
+    async dryRun(req, name, version) {
+        let incoming;
+        try {
+            incoming = {
+                version: validators.version(decodeURIComponent(version)),
+                name: validators.name(decodeURIComponent(name)),
+                headers: req.headers,
+                request: req,
+                org: this._org,
+                type: 'map',
+            };
+        } catch (error) {
+            this._log.info(`map:put - Validation failed - ${error.message}`);
+            throw new HttpError.BadRequest();
+        }
+
+        const versions = await this._readVersions(incoming);
+        if (!versions.check(incoming.version)) {
+            this._log.info(`map:put - Semver version is lower than previous version of the package - Org: ${incoming.org} - Name: ${incoming.name} - Version: ${incoming.version}`);
+            // Drain the upload since it is not read
+            req.resume();
+            throw new HttpError.Conflict();
+        }
+
+        const { obj } = await this._read(incoming);
+        await this._validate(obj, incoming);
+
+        return {
+            cacheControl: 'no-store',
+            statusCode: 200,
+            mimeType: 'application/json',
+            body: { valid: true, errors: [] },
+        };
+    }
+};
+
+export default MapPut;
@@ -0,0 +1,255 @@
+import { validators } from '@eik/common';
+import eik from '@eik/core';
+
+import * as utils from './utils.js';
+
+const KEYS = ['imports', 'scopes', 'integrity'];
+const TYPES = [eik.prop.base_pkg, eik.prop.base_npm, eik.prop.base_map];
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Addresses must be absolute URLs or relative to the map
+const isAddress = (value) => {
+    if (value.startsWith('/') || value.startsWith('./') || value.startsWith('../')) return true;
+    try {
+        return Boolean(new URL(value));
+    } catch (error) {
+        return false;
+    }
+};
+
+// Port of a URL, with the default port of its protocol when none is given
+const portOf = (url) => url.port || (url.protocol === 'https:' ? '443' : '80');
+
+const problem = (code, message, { scope, specifier, address } = {}) => {
+    const obj = { code, message };
+    if (scope !== undefined) obj.scope = scope;
+    if (specifier !== undefined) obj.specifier = specifier;
+    if (address !== undefined) obj.address = address;
+    return obj;
+};
+
+/**
+ * Validate an import map before it is stored. Checks the structure of
+ * the map, that every address pointing to the package, npm or map space
+ * of this organization exists in the sink and that no scope is too broad.
+ *
+ * @class MapValidator
+ */
+const MapValidator = class MapValidator {
+    constructor({
+        scopeDepth = 2,
+        hostnames = [],
+        sink,
+        org,
+    } = {}) {
+        this._scopeDepth = scopeDepth;
+        this._hostnames = hostnames;
+        this._sink = sink;
+        this._org = org;
+    }
+
+    async _exist(path) {
+        try {
+            await this._sink.exist(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Resolve where in the sink an address on this server points to.
+    // Returns an error message or an empty string if the target exists.
+    async _resolve(url) {
+        const params = utils.sanitizeParameters(url.pathname);
+        const { type } = params;
+
+        let name;
+        try {
+            name = validators.name(decodeURIComponent(params.name));
+        } catch (error) {
+            return `Address does not point to a valid ${type} name`;
+        }
+
+        let { version } = params;
+        if (version.startsWith('v')) {
+            const { alias } = params;
+            try {
+                const obj = await utils.readJSON(this._sink, utils.createFilePathToAlias({
+                    org: this._org,
+                    type,
+                    name,
+                    alias,
+                }));
+                version = obj.version;
+            } catch (error) {
+                return `Alias "v${alias}" of "${name}" does not exist`;
+            }
+        }
+
+        try {
+            validators.version(version);
+        } catch (error) {
+            return `Address does not point to a valid version of "${name}"`;
+        }
+
+        const incoming = {
+            org: this._org,
+            type,
+            name,
+            version,
+        };
+
+        if (await this._exist(utils.createFilePathToTombstone(incoming))) {
+            return `Version "${version}" of "${name}" is deleted`;
+        }
+
+        if (type === eik.prop.base_map) {
+            if (await this._exist(utils.createFilePathToImportMap(incoming))) return '';
+            return `Import map "${name}" does not have version "${version}"`;
+        }
+
+        // Addresses to a prefix of a package only need the package to exist
+        if (params.extras === '' || url.pathname.endsWith('/')) {
+            if (await this._exist(utils.createFilePathToPackage(incoming))) return '';
+            return `Package "${name}" does not have version "${version}"`;
+        }
+
+        const file = `${utils.createFilePathToVersionDirectory(incoming)}/${params.extras}`;
+        if (await this._exist(file)) return '';
+        return `File "${params.extras}" does not exist in version "${version}" of "${name}"`;
+    }
+
+    // Addresses are on this server when on one of the hostnames of the
+    // organization and the port the map is uploaded on. Without a port
+    // in the Host header, as behind most proxies, only addresses on the
+    // default port of their protocol are.
+    _isLocal(url, host) {
+        if (!this._hostnames.includes(url.hostname)) return false;
+        if (host.port) return portOf(url) === host.port;
+        return url.port === '';
+    }
+
+    async _checkAddress(address, base, host, context) {
+        const url = new URL(address, base);
+        const [, type] = url.pathname.split('/');
+        if (!this._isLocal(url, host) || !TYPES.includes(type)) {
+            return [];
+        }
+
+        const message = await this._resolve(url);
+        if (message) {
+            return [problem('missing-target', message, { ...context, address })];
+        }
+        return [];
+    }
+
+    _checkSpecifiers(specifiers, base, host, scope) {
+        const problems = [];
+        const checks = [];
+
+        if (!isObject(specifiers)) {
+            const where = scope === undefined ? '"imports"' : `Scope "${scope}"`;
+            return { problems: [problem('invalid-schema', `${where} must be a JSON object`, { scope })], checks };
+        }
+
+        Object.keys(specifiers).forEach((specifier) => {
+            const address = specifiers[specifier];
+            const context = { scope, specifier };
+
+            if (specifier === '') {
+                problems.push(problem('invalid-schema', 'Specifier must not be empty', context));
+                return;
+            }
+
+            if (typeof address !== 'string' || !isAddress(address)) {
+                problems.push(problem('invalid-schema', `Address of "${specifier}" must be a URL or a path starting with "/", "./" or "../"`, context));
+                return;
+            }
+
+            if (specifier.endsWith('/') && !address.endsWith('/')) {
+                problems.push(problem('invalid-schema', `Address of "${specifier}" must end with "/" since the specifier does`, { ...context, address }));
+                return;
+            }
+
+            checks.push(this._checkAddress(address, base, host, context));
+        });
+
+        return { problems, checks };
+    }
+
+    _checkScope(scope, base) {
+        if (!scope.endsWith('/')) return [];
+
+        let url;
+        try {
+            url = new URL(scope, base);
+        } catch (error) {
+            return [problem('invalid-schema', `Scope "${scope}" must be a URL or a path`, { scope })];
+        }
+
+        const depth = url.pathname.split('/').filter((segment) => segment !== '').length;
+        if (depth < this._scopeDepth) {
+            return [problem('broad-scope', `Scope "${scope}" is too broad. Scopes must be at least ${this._scopeDepth} path segments deep`, { scope })];
+        }
+        return [];
+    }
+
+    /**
+     * Problems of an import map. Empty when the map is valid.
+     *
+     * @param {Object} map The import map
+     * @param {Object} [options]
+     * @param {String} [options.name] Name of the map
+     * @param {String} [options.version] Version of the map
+     * @param {String} [options.host] Host header of the upload, telling which port addresses on this server are on
+     * @returns {Promise<Array>}
+     */
+    async validate(map, { name = '', version = '', host = '' } = {}) {
+        if (!isObject(map)) {
+            return [problem('invalid-schema', 'Import map must be a JSON object')];
+        }
+
+        const problems = [];
+        const checks = [];
+
+        Object.keys(map).forEach((key) => {
+            if (!KEYS.includes(key)) {
+                problems.push(problem('invalid-schema', `Unknown top level key "${key}"`));
+            }
+        });
+
+        // Relative addresses resolve against the URL the map will be served on
+        let server;
+        try {
+            server = new URL(`http://${host}`);
+        } catch (error) {
+            server = new URL(`http://${this._hostnames[0]}`);
+        }
+        const base = `${server.origin}/${eik.prop.base_map}/${name}/${version}`;
+
+        if (map.imports !== undefined) {
+            const result = this._checkSpecifiers(map.imports, base, server);
+            problems.push(...result.problems);
+            checks.push(...result.checks);
+        }
+
+        if (map.scopes !== undefined) {
+            if (!isObject(map.scopes)) {
+                problems.push(problem('invalid-schema', '"scopes" must be a JSON object'));
+            } else {
+                Object.keys(map.scopes).forEach((scope) => {
+                    problems.push(...this._checkScope(scope, base));
+                    const result = this._checkSpecifiers(map.scopes[scope], base, server, scope);
+                    problems.push(...result.problems);
+                    checks.push(...result.checks);
+                });
+            }
+        }
+
+        const missing = await Promise.all(checks);
+        return [...problems, ...missing.flat()];
+    }
+};
+
+export default MapValidator;
@@ -0,0 +1,138 @@
+import { Writable } from 'stream';
+
+// Metric types as defined by @metrics/metric
+const TYPES = new Map([
+    [1, 'gauge'],
+    [2, 'counter'],
+    [5, 'histogram'],
+    [7, 'summary'],
+]);
+
+const escapeHelp = (value = '') => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels = []) => {
+    if (labels.length === 0) return '';
+    const pairs = labels.map(({ name, value }) => `${name}="${escapeLabelValue(value)}"`);
+    return `{${pairs.join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+// Labels with an undefined or null value carry no information and
+// are dropped so series with and without them are treated as one.
+const normalizeLabels = (labels = []) => labels
+    .filter(({ value }) => value !== undefined && value !== null)
+    .map(({ name, value }) => ({ name, value: String(value) }))
+    .sort((a, b) => (a.name > b.name ? 1 : -1));
+
+const MetricsCollector = class MetricsCollector extends Writable {
+    constructor({ logger } = {}) {
+        super({ objectMode: true });
+        this._families = new Map();
+        this._log = logger;
+    }
+
+    _write(metric, encoding, callback) {
+        try {
+            this.collect(metric);
+        } catch (error) {
+            if (this._log) this._log.debug(error);
+        }
+        callback();
+    }
+
+    collect(metric) {
+        const type = TYPES.get(metric.type);
+        if (!type) return;
+
+        let family = this._families.get(metric.name);
+        if (!family) {
+            family = {
+                name: metric.name,
+                help: metric.description,
+                type,
+                series: new Map(),
+            };
+            this._families.set(metric.name, family);
+        }
+
+        const labels = normalizeLabels(metric.labels);
+        const key = JSON.stringify(labels);
+        let series = family.series.get(key);
+
+        if (type === 'gauge') {
+            family.series.set(key, { labels, value: metric.value });
+            return;
+        }
+
+        if (type === 'counter') {
+            if (!series) {
+                series = { labels, value: 0 };
+                family.series.set(key, series);
+            }
+            series.value += metric.value;
+            return;
+        }
+
+        if (!series) {
+            const buckets = (metric.meta && metric.meta.buckets) || [];
+            series = {
+                labels,
+                buckets: new Map(buckets.map((bucket) => [bucket, 0])),
+                count: 0,
+                sum: 0,
+            };
+            family.series.set(key, series);
+        }
+
+        series.count += 1;
+        series.sum += metric.value;
+        for (const bucket of series.buckets.keys()) {
+            if (metric.value <= bucket) {
+                series.buckets.set(bucket, series.buckets.get(bucket) + 1);
+            }
+        }
+    }
+
+    reset() {
+        this._families.clear();
+    }
+
+    toPrometheus() {
+        const lines = [];
+
+        for (const family of this._families.values()) {
+            lines.push(`# HELP ${family.name} ${escapeHelp(family.help)}`);
+            lines.push(`# TYPE ${family.name} ${family.type}`);
+
+            for (const series of family.series.values()) {
+                if (family.type === 'gauge' || family.type === 'counter') {
+                    lines.push(`${family.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                } else {
+                    if (family.type === 'histogram') {
+                        const buckets = Array.from(series.buckets.keys()).sort((a, b) => a - b);
+                        for (const bucket of buckets) {
+                            const labels = [...series.labels, { name: 'le', value: formatValue(bucket) }];
+                            lines.push(`${family.name}_bucket${formatLabels(labels)} ${series.buckets.get(bucket)}`);
+                        }
+                        const labels = [...series.labels, { name: 'le', value: '+Inf' }];
+                        lines.push(`${family.name}_bucket${formatLabels(labels)} ${series.count}`);
+                    }
+                    lines.push(`${family.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+                    lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+                }
+            }
+        }
+
+        lines.push('');
+        return lines.join('\n');
+    }
+};
+
+export default MetricsCollector;
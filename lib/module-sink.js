@@ -0,0 +1,110 @@
+import { PassThrough } from 'stream';
+import { pathToFileURL } from 'url';
+import path from 'path';
+
+import * as utils from './utils.js';
+
+const METHODS = ['write', 'read', 'delete', 'exist'];
+
+// Relative paths are relative to where the server is started. Anything
+// else, like a package name, is imported as is.
+const resolve = (specifier) => {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+        return pathToFileURL(path.resolve(process.cwd(), specifier)).href;
+    }
+    return specifier;
+};
+
+const validate = (sink, specifier) => {
+    const missing = METHODS.filter((method) => typeof sink[method] !== 'function');
+    if (!sink.metrics || typeof sink.metrics.pipe !== 'function') {
+        missing.push('metrics');
+    }
+    if (missing.length > 0) {
+        throw new Error(`Sink module "${specifier}" does not implement the sink interface - Missing: ${missing.join(', ')}`);
+    }
+    return sink;
+};
+
+const load = async (specifier, options) => {
+    if (!specifier) {
+        throw new Error('No module to load the sink from is configured. Set "sink.module" when using the "module" sink');
+    }
+    const mod = await import(resolve(specifier));
+    const Sink = mod.default || mod.Sink;
+    if (typeof Sink !== 'function') {
+        throw new Error(`Sink module "${specifier}" does not export a sink class as default`);
+    }
+    return validate(new Sink(options), specifier);
+};
+
+/**
+ * Sink loaded from a module given by a specifier in config. The module
+ * must export a class, as default, which implements the sink interface
+ * and takes the options from config in its constructor.
+ *
+ * Modules are imported asynchronously so this is in place of the loaded
+ * sink from the start and hands each operation over to it once it is
+ * loaded. Await .ready() to know if loading failed.
+ *
+ * @class ModuleSink
+ */
+const ModuleSink = class ModuleSink {
+    constructor({
+        specifier,
+        options = {},
+        logger,
+    } = {}) {
+        this._metrics = new PassThrough({ objectMode: true });
+        this._specifier = specifier;
+        this._log = logger;
+
+        this._sink = load(specifier, options).then((sink) => {
+            this._log.info(`Sink module "${specifier}" is loaded`);
+            sink.metrics.pipe(this._metrics);
+            return sink;
+        });
+
+        // Failures are surfaced through .ready() and each operation
+        this._sink.catch((error) => {
+            this._log.error(`Failed loading sink module "${specifier}"`);
+            this._log.error(error);
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    async ready() {
+        await this._sink;
+    }
+
+    async write(filePath, contentType) {
+        const sink = await this._sink;
+        return sink.write(filePath, contentType);
+    }
+
+    async read(filePath) {
+        const sink = await this._sink;
+        return sink.read(filePath);
+    }
+
+    async delete(filePath) {
+        const sink = await this._sink;
+        return sink.delete(filePath);
+    }
+
+    async exist(filePath) {
+        const sink = await this._sink;
+        return sink.exist(filePath);
+    }
+
+    // Listing is optional for sink modules
+    async list(prefix) {
+        const sink = await this._sink;
+        return utils.listFiles(sink, prefix);
+    }
+};
+
+export default ModuleSink;
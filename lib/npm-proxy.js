@@ -0,0 +1,317 @@
+import { validators } from '@eik/common';
+import { pipeline } from 'stream';
+import HttpError from 'http-errors';
+import Metrics from '@metrics/client';
+import crypto from 'crypto';
+import https from 'https';
+import http from 'http';
+import path from 'path';
+import semver from 'semver';
+import mime from 'mime/lite.js';
+import ssri from 'ssri';
+import tar from 'tar';
+
+import * as utils from './utils.js';
+
+/**
+ * Pull through proxy to an npm compatible registry. npm packages not
+ * published to the server are fetched from the registry on the first
+ * request, checked against the integrity the registry states for the
+ * tarball and stored in the sink just like a published package.
+ *
+ * Only packages matching the allowlist are fetched.
+ *
+ * @class NpmProxy
+ */
+const NpmProxy = class NpmProxy {
+    constructor({
+        registry = 'https://registry.npmjs.org',
+        allow = [],
+        timeout = 30000,
+        maxManifestSize = 1048576,
+        maxTarballSize = 104857600,
+        search,
+        index,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._registry = new URL(registry.endsWith('/') ? registry : `${registry}/`);
+        this._allow = allow.map((pattern) => utils.patternToRegExp(pattern));
+        this._timeout = timeout;
+        this._maxManifestSize = maxManifestSize;
+        this._maxTarballSize = maxTarballSize;
+        this._search = search;
+        this._index = index;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+        this._pending = new Map();
+        this._metrics = new Metrics();
+        this._counter = this._metrics.counter({
+            name: 'eik_service_npm_proxy_fetches',
+            description: 'Counter of packages fetched from the upstream npm registry',
+            labels: {
+                success: true,
+            },
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    allows(name) {
+        return this._allow.some((pattern) => pattern.test(name));
+    }
+
+    _get(url, { accept = '*/*', maxSize = this._maxTarballSize } = {}, redirects = 3) {
+        const client = url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = client.get(url, {
+                headers: {
+                    'accept': accept,
+                    'user-agent': 'eik-server',
+                },
+            }, (res) => {
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                    res.resume();
+                    this._get(new URL(res.headers.location, url), { accept, maxSize }, redirects - 1).then(resolve, reject);
+                    return;
+                }
+
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    const error = new Error(`Registry responded with http status ${res.statusCode} - URL: ${url}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                    return;
+                }
+
+                const chunks = [];
+                let size = 0;
+                res.on('data', (chunk) => {
+                    size += chunk.length;
+                    if (size > maxSize) {
+                        reject(new Error(`Registry response exceeds ${maxSize} bytes - URL: ${url}`));
+                        req.destroy();
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                res.on('end', () => resolve(Buffer.concat(chunks)));
+                res.on('error', reject);
+            });
+
+            req.setTimeout(this._timeout, () => {
+                req.destroy(new Error(`Registry did not respond within ${this._timeout}ms - URL: ${url}`));
+            });
+            req.on('error', reject);
+        });
+    }
+
+    // Only the manifest of the version is fetched, since the document
+    // of every version of a package can be many megabytes. Scoped names
+    // are requested with the slash encoded.
+    async _manifest(name, version) {
+        const url = new URL(`${name.replace('/', '%2f')}/${version}`, this._registry);
+        try {
+            return JSON.parse(await this._get(url, {
+                accept: 'application/json',
+                maxSize: this._maxManifestSize,
+            }));
+        } catch (error) {
+            if (error.statusCode === 404) return undefined;
+            throw error;
+        }
+    }
+
+    // Extract each file in the tarball into the version directory. The
+    // top level directory of npm tarballs, usually "package/", is dropped.
+    _extract(incoming, tarball) {
+        return new Promise((resolve, reject) => {
+            const queue = [];
+
+            const extract = new tar.Parse({
+                strict: true,
+                onentry: (entry) => {
+                    const pathname = entry.path.split('/').slice(1).join('/');
+                    if (entry.type.toLowerCase() !== 'file' || pathname === '') {
+                        entry.resume();
+                        return;
+                    }
+                    queue.push(this._persist(incoming, pathname, entry));
+                },
+            });
+
+            extract.on('error', reject);
+            extract.on('end', () => {
+                Promise.all(queue).then(resolve).catch(reject);
+            });
+            extract.end(tarball);
+        });
+    }
+
+    async _persist(incoming, pathname, entry) {
+        const file = {
+            integrity: '',
+            pathname: path.join('/', pathname),
+            mimeType: mime.getType(pathname) || 'application/octet-stream',
+            type: incoming.type,
+            size: entry.size,
+        };
+
+        const writer = await this._sink.write(
+            path.join(utils.createFilePathToVersionDirectory(incoming), file.pathname),
+            file.mimeType,
+        );
+
+        return new Promise((resolve, reject) => {
+            const integrity = ssri.integrityStream({ single: true });
+            integrity.once('integrity', (value) => {
+                file.integrity = value.toString();
+            });
+            pipeline(entry, integrity, writer, (error) => {
+                if (error) return reject(error);
+                return resolve(file);
+            });
+        });
+    }
+
+    // The version listing only holds the latest version of each major
+    async _listVersion(incoming, integrity) {
+        const pathname = utils.createFilePathToVersion(incoming);
+        let obj;
+        try {
+            obj = await utils.readJSON(this._sink, pathname);
+        } catch (error) {
+            obj = {
+                versions: [],
+                type: incoming.type,
+                name: incoming.name,
+                org: incoming.org,
+            };
+        }
+
+        const major = semver.major(incoming.version);
+        const versions = new Map(obj.versions);
+        const previous = versions.get(major);
+        if (previous && semver.gte(previous.version, incoming.version)) {
+            return;
+        }
+
+        versions.set(major, { version: incoming.version, integrity });
+        obj.versions = Array.from(versions.entries()).sort((a, b) => b[0] - a[0]);
+        await utils.writeJSON(this._sink, pathname, obj);
+    }
+
+    async _pull(incoming) {
+        const manifest = await this._manifest(incoming.name, incoming.version);
+        if (!manifest || !manifest.dist) {
+            this._log.debug(`npm:proxy - Version not found in registry - Name: ${incoming.name} - Version: ${incoming.version}`);
+            return false;
+        }
+
+        if (!manifest.dist.integrity) {
+            this._log.warn(`npm:proxy - Registry does not state integrity of tarball - Name: ${incoming.name} - Version: ${incoming.version}`);
+            throw new HttpError.BadGateway();
+        }
+
+        const tarball = await this._get(new URL(manifest.dist.tarball, this._registry), {
+            maxSize: this._maxTarballSize,
+        });
+
+        if (!ssri.checkData(tarball, manifest.dist.integrity)) {
+            this._log.warn(`npm:proxy - Tarball does not match integrity stated by registry - Name: ${incoming.name} - Version: ${incoming.version}`);
+            throw new HttpError.BadGateway();
+        }
+
+        const files = await this._extract(incoming, tarball);
+
+        const hasher = crypto.createHash('sha512');
+        files.map((file) => file.integrity).sort().forEach((hash) => hasher.update(hash));
+        const integrity = `sha512-${hasher.digest('base64')}`;
+
+        // Written last since the package meta file marks the version as
+        // present. A failure before this leaves nothing to be served.
+        await this._listVersion(incoming, integrity);
+        await utils.writeJSON(this._sink, utils.createFilePathToPackage(incoming), {
+            integrity,
+            version: incoming.version,
+            created: Math.floor(Date.now() / 1000),
+            author: {
+                name: 'npm',
+                user: this._registry.host,
+            },
+            type: incoming.type,
+            name: incoming.name,
+            org: incoming.org,
+            files,
+            meta: [],
+        });
+
+        if (this._index) {
+            await this._index.add(incoming);
+        }
+        if (this._search) {
+            await this._search.add(incoming);
+        }
+
+        this._log.info(`npm:proxy - Successfully stored package from registry - Name: ${incoming.name} - Version: ${incoming.version}`);
+        return true;
+    }
+
+    /**
+     * Make sure an allowed npm package is present in the sink, fetching it
+     * from the registry if it is not. Concurrent requests for the same
+     * version share one fetch.
+     *
+     * @param {Object} params
+     * @returns {Promise<Boolean>} If the package was fetched from the registry
+     */
+    async ensure({ name, version }) {
+        let incoming;
+        try {
+            incoming = {
+                name: validators.name(decodeURIComponent(name)),
+                version: validators.version(version),
+                type: 'npm',
+                org: this._org,
+            };
+        } catch (error) {
+            return false;
+        }
+
+        if (!this.allows(incoming.name)) return false;
+
+        try {
+            await this._sink.exist(utils.createFilePathToPackage(incoming));
+            return false;
+        } catch (error) {
+            // Not in the sink, fetch it
+        }
+
+        const key = `${incoming.name}@${incoming.version}`;
+        if (!this._pending.has(key)) {
+            const pending = this._pull(incoming)
+                .then((fetched) => {
+                    if (fetched) this._counter.inc({ labels: { success: true } });
+                    return fetched;
+                })
+                .catch((error) => {
+                    this._counter.inc({ labels: { success: false } });
+                    this._log.error(`npm:proxy - Failed fetching package from registry - Name: ${incoming.name} - Version: ${incoming.version}`);
+                    this._log.trace(error);
+                    throw error instanceof HttpError.HttpError ? error : new HttpError.BadGateway();
+                })
+                .finally(() => {
+                    this._pending.delete(key);
+                });
+            this._pending.set(key, pending);
+        }
+
+        return this._pending.get(key);
+    }
+};
+
+export default NpmProxy;
@@ -0,0 +1,233 @@
+import eik from '@eik/core';
+import path from 'path';
+
+import KeystoreAuthPost from './keystore-auth-post.js';
+import AuditLog from './audit.js';
+import Permissions from './permissions.js';
+import MapValidator from './map-validator.js';
+import MapCompose from './map-compose.js';
+import MapPut from './map-put.js';
+import RangeGet from './range-get.js';
+import PkgDel from './pkg-delete.js';
+import ByteRanges from './byte-ranges.js';
+import Conditional from './conditional.js';
+import NpmProxy from './npm-proxy.js';
+import Precompress from './precompress.js';
+import Preload from './preload.js';
+import VersionsGet from './versions-get.js';
+import Tags from './tags.js';
+import PackageIndex from './package-index.js';
+import SearchIndex from './search-index.js';
+import Catalog from './catalog.js';
+import UI from './ui.js';
+import PkgDiff from './pkg-diff.js';
+import Replication from './replication.js';
+import Webhooks from './webhooks.js';
+import Journal from './journal.js';
+
+const Organization = class Organization {
+    constructor({
+        name = '',
+        hostnames = [],
+        permissions = new Permissions(),
+        mapValidation = {},
+        npmProxy = {},
+        compression = {},
+        preload = {},
+        ui = {},
+        diff = {},
+        audit = {},
+        webhooks = {},
+        replication = {},
+        events = {},
+        keystore,
+        authKey,
+        jwtSecret,
+        sink,
+        logger,
+    } = {}) {
+        // The core handlers resolves the organization from the hostname
+        // themselves. Each set of handlers only knows about this organization
+        // so nothing can leak between organizations.
+        const organizations = hostnames.map((hostname) => [hostname, name]);
+
+        this.index = new PackageIndex({ org: name, sink, logger });
+        this.tags = new Tags({ org: name, sink, logger });
+        this.versionsGet = new VersionsGet({
+            tags: this.tags,
+            org: name,
+            organizations,
+            sink,
+            logger,
+        });
+        this.aliasPost = new eik.http.AliasPost({ organizations, sink, logger });
+        this.aliasDel = new eik.http.AliasDel({ organizations, sink, logger });
+        this.aliasGet = new eik.http.AliasGet({ organizations, sink, logger });
+        this.aliasPut = new eik.http.AliasPut({ organizations, sink, logger });
+        this.authPost = keystore
+            ? new KeystoreAuthPost({ organizations, logger, keystore })
+            : new eik.http.AuthPost({ organizations, logger, authKey });
+        this.pkgLog = new eik.http.PkgLog({ organizations, sink, logger });
+        this.pkgGet = new eik.http.PkgGet({ organizations, sink, logger });
+        this.pkgPut = new eik.http.PkgPut({ organizations, sink, logger });
+        this.mapGet = new eik.http.MapGet({ organizations, sink, logger });
+        this.mapPut = new MapPut({
+            validator: mapValidation.enabled ? new MapValidator({
+                scopeDepth: mapValidation.scopeDepth,
+                org: name,
+                hostnames,
+                sink,
+            }) : undefined,
+            org: name,
+            organizations,
+            sink,
+            logger,
+        });
+        this.mapCompose = new MapCompose({ org: name, sink, logger });
+        this.rangeGet = new RangeGet({
+            tags: this.tags,
+            org: name,
+            sink,
+            logger,
+        });
+        this.pkgDel = new PkgDel({ org: name, sink, logger });
+        this.search = new SearchIndex({
+            pkgDel: this.pkgDel,
+            index: this.index,
+            org: name,
+            sink,
+            logger,
+        });
+        this.catalog = new Catalog({
+            rangeGet: this.rangeGet,
+            search: this.search,
+            index: this.index,
+            logger,
+        });
+        this.pkgDiff = new PkgDiff({
+            maxSize: diff.maxSize,
+            pkgDel: this.pkgDel,
+            org: name,
+            sink,
+            logger,
+        });
+        this.byteRanges = new ByteRanges({ logger });
+        this.conditional = new Conditional({ org: name, sink, logger });
+        this.npmProxy = npmProxy.enabled ? new NpmProxy({
+            registry: npmProxy.registry,
+            timeout: npmProxy.timeout,
+            maxManifestSize: npmProxy.maxManifestSize,
+            maxTarballSize: npmProxy.maxTarballSize,
+            allow: npmProxy.allow,
+            search: this.search,
+            index: this.index,
+            org: name,
+            sink,
+            logger,
+        }) : undefined;
+
+        this.precompress = compression.precompress ? new Precompress({
+            threshold: compression.threshold,
+            quality: compression.quality,
+            org: name,
+            sink,
+            logger,
+        }) : undefined;
+
+        this.preload = preload.enabled ? new Preload({
+            pkgDel: this.pkgDel,
+            push: preload.push,
+            max: preload.max,
+            org: name,
+            sink,
+            logger,
+        }) : undefined;
+
+        this.ui = ui.enabled ? new UI({
+            prefix: ui.prefix,
+            previewSize: ui.previewSize,
+            catalog: this.catalog,
+            search: this.search,
+            index: this.index,
+            tags: this.tags,
+            pkgDel: this.pkgDel,
+            org: name,
+            sink,
+            logger,
+        }) : undefined;
+
+        this.audit = new AuditLog({
+            pathname: audit.path,
+            type: audit.type,
+            org: name,
+            logger,
+            sink,
+        });
+
+        this.webhooks = new Webhooks({
+            attempts: webhooks.attempts,
+            timeout: webhooks.timeout,
+            delay: webhooks.delay,
+            hooks: webhooks.hooks,
+            org: name,
+            logger,
+        });
+
+        this.replication = new Replication({
+            pathname: replication.path ? path.join(replication.path, `${name}.json`) : '',
+            reconcile: replication.reconcile,
+            interval: replication.interval,
+            maxDelay: replication.maxDelay,
+            timeout: replication.timeout,
+            secret: replication.secret,
+            delay: replication.delay,
+            peers: replication.peers,
+            org: name,
+            logger,
+            sink,
+        });
+
+        this.journal = new Journal({ size: events.size });
+
+        this.permissions = permissions;
+        this.hostnames = hostnames;
+        this.jwtSecret = jwtSecret;
+        this.keystore = keystore;
+        this.authKey = authKey;
+        this.name = name;
+        this.sink = sink;
+    }
+
+    get metrics() {
+        const metrics = [
+            this.versionsGet.metrics,
+            this.aliasPost.metrics,
+            this.aliasDel.metrics,
+            this.aliasGet.metrics,
+            this.aliasPut.metrics,
+            this.authPost.metrics,
+            this.pkgLog.metrics,
+            this.pkgGet.metrics,
+            this.pkgPut.metrics,
+            this.mapGet.metrics,
+            this.mapPut.metrics,
+            this.mapCompose.metrics,
+            this.rangeGet.metrics,
+            this.pkgDel.metrics,
+            this.tags.metrics,
+            this.webhooks.metrics,
+            this.replication.metrics,
+        ];
+
+        if (this.precompress) {
+            metrics.push(this.precompress.metrics);
+        }
+        if (this.npmProxy) {
+            metrics.push(this.npmProxy.metrics);
+        }
+
+        return metrics;
+    }
+};
+
+export default Organization;
@@ -0,0 +1,194 @@
+import path from 'path';
+
+import * as utils from './utils.js';
+
+// Meta files of versions and aliases. Maps published before their meta
+// file was written only have the import map.
+const FILE = /^\/(pkg|npm|map)\/((?:@[^/]+\/)?[^/@][^/]*)\/([^/]+)\.(package|import-map|alias)\.json$/;
+
+const compare = (a, b) => {
+    if (a.type !== b.type) return a.type < b.type ? -1 : 1;
+    if (a.name !== b.name) return a.name < b.name ? -1 : 1;
+    return 0;
+};
+
+/**
+ * Index of every package, npm package and import map in an organization
+ * with all versions and aliases of each of them. The sink can not list
+ * its files so this is what tells what an organization holds.
+ *
+ * The index is kept in one file in the sink and updated as changes are
+ * made. Changes made in this process are written one after the other.
+ *
+ * @class PackageIndex
+ */
+const PackageIndex = class PackageIndex {
+    constructor({
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._pathname = path.join('/', org, 'index.json');
+        this._writing = Promise.resolve();
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    async _read() {
+        try {
+            const obj = await utils.readJSON(this._sink, this._pathname);
+            return new Map(obj.packages.map((entry) => [`${entry.type}/${entry.name}`, entry]));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    _change(fn) {
+        this._writing = this._writing.then(async () => {
+            const packages = await this._read();
+            if (fn(packages) === false) return;
+            const list = Array.from(packages.values()).sort(compare);
+            await utils.writeJSON(this._sink, this._pathname, { packages: list });
+        }).catch((error) => {
+            this._log.error(`index - Failed writing package index to sink - Pathname: ${this._pathname}`);
+            this._log.trace(error);
+        });
+        return this._writing;
+    }
+
+    /**
+     * Add a version or an alias of a package to the index
+     *
+     * @param {Object} change
+     * @returns {Promise}
+     */
+    add({
+        type,
+        name,
+        version = '',
+        alias = '',
+    }) {
+        return this._change((packages) => {
+            const key = `${type}/${name}`;
+            const entry = packages.get(key) || {
+                type,
+                name,
+                versions: [],
+                aliases: [],
+            };
+
+            const before = entry.versions.length + entry.aliases.length;
+            if (version && !entry.versions.includes(version)) entry.versions.push(version);
+            if (alias && !entry.aliases.includes(alias)) entry.aliases.push(alias);
+            if (packages.has(key) && before === entry.versions.length + entry.aliases.length) return false;
+
+            packages.set(key, entry);
+            return true;
+        });
+    }
+
+    removeAlias({ type, name, alias }) {
+        return this._change((packages) => {
+            const entry = packages.get(`${type}/${name}`);
+            if (!entry || !entry.aliases.includes(alias)) return false;
+            entry.aliases = entry.aliases.filter((item) => item !== alias);
+            return true;
+        });
+    }
+
+    /**
+     * Merge a list of index entries into the index
+     *
+     * @param {Array} entries
+     * @returns {Promise}
+     */
+    merge(entries = []) {
+        return this._change((packages) => {
+            entries.forEach(({
+                type,
+                name,
+                versions = [],
+                aliases = [],
+            }) => {
+                const key = `${type}/${name}`;
+                const entry = packages.get(key) || {
+                    type,
+                    name,
+                    versions: [],
+                    aliases: [],
+                };
+                entry.versions = Array.from(new Set([...entry.versions, ...versions]));
+                entry.aliases = Array.from(new Set([...entry.aliases, ...aliases]));
+                packages.set(key, entry);
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Whether the index has been written to the sink. Organizations with
+     * packages published before the index existed have none until it is
+     * rebuilt.
+     *
+     * @returns {Promise<Boolean>}
+     */
+    async exists() {
+        await this._writing;
+        try {
+            await this._sink.exist(this._pathname);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build the index from the meta files of every version and alias in
+     * the sink and merge it into the index
+     *
+     * @returns {Promise<Number|undefined>} Number of packages found in the sink, undefined if the sink can not be listed
+     */
+    async rebuild() {
+        const files = await utils.listFiles(this._sink, path.join('/', this._org));
+        if (!files) return undefined;
+
+        const packages = new Map();
+        files.forEach((file) => {
+            const match = FILE.exec(file.slice(this._org.length + 1));
+            if (!match) return;
+            const [, type, name, value, kind] = match;
+            const key = `${type}/${name}`;
+            const entry = packages.get(key) || {
+                type,
+                name,
+                versions: [],
+                aliases: [],
+            };
+            if (kind === 'alias') {
+                entry.aliases.push(value);
+            } else if (!entry.versions.includes(value) && (type === 'map' || kind === 'package')) {
+                entry.versions.push(value);
+            }
+            packages.set(key, entry);
+        });
+
+        const entries = Array.from(packages.values()).filter((entry) => entry.versions.length > 0);
+        await this.merge(entries);
+        this._log.info(`index - Rebuilt package index from sink - Packages: ${entries.length}`);
+        return entries.length;
+    }
+
+    /**
+     * Every package in the index sorted on type and name
+     *
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        await this._writing;
+        const packages = await this._read();
+        return Array.from(packages.values()).sort(compare);
+    }
+};
+
+export default PackageIndex;
@@ -0,0 +1,64 @@
+import { patternToRegExp } from './utils.js';
+
+const VERBS = ['publish', 'alias', 'delete', 'purge', 'admin'];
+
+// Purging files from the sink and administering the organization, like
+// reading the audit log, is reserved for keys explicitly given it
+const DEFAULT_VERBS = ['publish', 'alias', 'delete'];
+const TYPES = ['pkg', 'npm', 'map'];
+
+const Permissions = class Permissions {
+    constructor({ names = ['*'], types = TYPES, verbs = DEFAULT_VERBS } = {}) {
+        types.forEach((type) => {
+            if (!TYPES.includes(type)) throw new TypeError(`Unknown type in permissions: ${type}`);
+        });
+        verbs.forEach((verb) => {
+            if (!VERBS.includes(verb)) throw new TypeError(`Unknown verb in permissions: ${verb}`);
+        });
+
+        this._patterns = names.map(patternToRegExp);
+        this._names = names;
+        this._types = types;
+        this._verbs = verbs;
+    }
+
+    get names() {
+        return this._names;
+    }
+
+    get types() {
+        return this._types;
+    }
+
+    get verbs() {
+        return this._verbs;
+    }
+
+    allows({ verb = '', type = '', name = '' } = {}) {
+        if (!this._verbs.includes(verb)) return false;
+        if (!this._types.includes(type)) return false;
+        return this._patterns.some((pattern) => pattern.test(name));
+    }
+
+    // Verbs not tied to a package, like "admin"
+    permits(verb = '') {
+        return this._verbs.includes(verb);
+    }
+
+    toJSON() {
+        return {
+            names: this.names,
+            types: this.types,
+            verbs: this.verbs,
+        };
+    }
+
+    // Tokens issued before permissions were introduced carry no
+    // permissions claim and are treated as having full access
+    static fromClaim(claim) {
+        if (!claim) return new Permissions();
+        return new Permissions(claim);
+    }
+};
+
+export default Permissions;
@@ -0,0 +1,201 @@
+import { validators } from '@eik/common';
+import HttpError from 'http-errors';
+import Metrics from '@metrics/client';
+
+import * as utils from './utils.js';
+
+const PkgDel = class PkgDel {
+    constructor({
+        cacheControl,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._cacheControl = cacheControl || 'no-store';
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+        this._metrics = new Metrics();
+        this._histogram = this._metrics.histogram({
+            name: 'eik_service_pkg_delete_handler',
+            description: 'Histogram measuring time taken in PkgDel handler method',
+            labels: {
+                success: true,
+                type: 'unknown',
+            },
+            buckets: [
+                0.005,
+                0.01,
+                0.06,
+                0.1,
+                0.6,
+                1.0,
+                2.0,
+                4.0,
+            ],
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    async _exist(path) {
+        try {
+            await this._sink.exist(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Mark the version as yanked in the version listing. Only the latest
+    // version of each major is listed so older versions might not be there.
+    async _yank(incoming) {
+        const path = utils.createFilePathToVersion(incoming);
+        let versions;
+        try {
+            versions = await utils.readJSON(this._sink, path);
+        } catch (error) {
+            return;
+        }
+
+        const changed = versions.versions.some(([, entry]) => entry.version === incoming.version);
+        versions.versions = versions.versions.map(([major, entry]) => [
+            major,
+            entry.version === incoming.version ? { ...entry, yanked: true } : entry,
+        ]);
+
+        if (changed) {
+            await utils.writeJSON(this._sink, path, versions);
+            this._log.info(`pkg:delete - Marked version as yanked in version meta file - Pathname: ${path}`);
+        }
+    }
+
+    async _purge(incoming) {
+        if (incoming.type === 'map') {
+            await this._sink.delete(utils.createFilePathToImportMap(incoming));
+            try {
+                await this._sink.delete(utils.createFilePathToPackage(incoming));
+            } catch (error) {
+                // Maps published before their meta file was written
+            }
+            try {
+                await this._sink.delete(utils.createFilePathToPreload(incoming));
+            } catch (error) {
+                // Maps published without a preload list
+            }
+            return;
+        }
+
+        // Trailing slash so sinks deleting on a path prefix does not
+        // delete files of other versions or the tombstone
+        const dir = `${utils.createFilePathToVersionDirectory(incoming)}/`;
+        await this._sink.delete(dir);
+        await this._sink.delete(utils.createFilePathToPackage(incoming));
+        try {
+            await this._sink.delete(utils.createFilePathToVariants(incoming));
+        } catch (error) {
+            // Packages published without compressed variants
+        }
+    }
+
+    async isDeleted({ type, name, version }) {
+        try {
+            const pName = decodeURIComponent(name);
+            validators.version(version);
+            validators.name(pName);
+            validators.type(type);
+            return await this._exist(utils.createFilePathToTombstone({
+                org: this._org,
+                name: pName,
+                version,
+                type,
+            }));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async handler(req, user = {}, type, name, version, purge = false) {
+        const end = this._histogram.timer();
+
+        let pName;
+        try {
+            pName = decodeURIComponent(name);
+            validators.version(version);
+            validators.name(pName);
+            validators.type(type);
+        } catch (error) {
+            this._log.info(`pkg:delete - Validation failed - ${error.message}`);
+            const e = new HttpError.BadRequest();
+            end({ labels: { success: false, status: e.status } });
+            throw e;
+        }
+
+        const incoming = {
+            org: this._org,
+            name: pName,
+            version,
+            type,
+        };
+
+        const filePath = type === 'map' ? utils.createFilePathToImportMap(incoming) : utils.createFilePathToPackage(incoming);
+        const tombstonePath = utils.createFilePathToTombstone(incoming);
+
+        const [exists, deleted] = await Promise.all([
+            this._exist(filePath),
+            this._exist(tombstonePath),
+        ]);
+
+        if (!exists && !deleted) {
+            this._log.debug(`pkg:delete - Version not found - Pathname: ${filePath}`);
+            const e = new HttpError.NotFound();
+            end({ labels: { success: false, status: e.status, type } });
+            throw e;
+        }
+
+        if (deleted && (!purge || !exists)) {
+            this._log.debug(`pkg:delete - Version is already deleted - Pathname: ${tombstonePath}`);
+            const e = new HttpError.Gone();
+            end({ labels: { success: false, status: e.status, type } });
+            throw e;
+        }
+
+        try {
+            await utils.writeJSON(this._sink, tombstonePath, {
+                ...incoming,
+                deleted: Math.floor(Date.now() / 1000),
+                purged: purge,
+                author: {
+                    name: user.name || '',
+                    user: user.user || '',
+                },
+            });
+            this._log.info(`pkg:delete - Successfully wrote tombstone to sink - Pathname: ${tombstonePath}`);
+
+            await this._yank(incoming);
+
+            if (purge) {
+                await this._purge(incoming);
+                this._log.info(`pkg:delete - Successfully purged files from sink - Pathname: ${filePath}`);
+            }
+        } catch (error) {
+            this._log.error(`pkg:delete - Failed deleting version - Pathname: ${filePath}`);
+            this._log.trace(error);
+            const e = new HttpError.BadGateway();
+            end({ labels: { success: false, status: e.status, type } });
+            throw e;
+        }
+
+        end({ labels: { status: 204, type } });
+
+        return {
+            cacheControl: this._cacheControl,
+            statusCode: 204,
+            mimeType: 'text/plain',
+        };
+    }
+};
+
+export default PkgDel;
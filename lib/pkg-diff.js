@@ -0,0 +1,288 @@
+import { validators } from '@eik/common';
+import HttpError from 'http-errors';
+import crypto from 'crypto';
+import path from 'path';
+
+import { unifiedDiff } from './unified-diff.js';
+import { languageOf } from './highlight.js';
+import * as utils from './utils.js';
+
+const isText = (file) => languageOf(file.pathname, file.mimeType) !== undefined || (file.mimeType || '').startsWith('text/');
+
+const sum = (files) => files.reduce((total, file) => total + (file.size || 0), 0);
+
+// Specifiers of the imports and each scope of a map, keyed on scope and
+// specifier
+const specifiers = (map = {}) => {
+    const entries = new Map();
+    Object.entries(map.imports || {}).forEach(([specifier, address]) => {
+        entries.set(JSON.stringify(['', specifier]), { specifier, address });
+    });
+    Object.entries(map.scopes || {}).forEach(([scope, imports]) => {
+        Object.entries(imports || {}).forEach(([specifier, address]) => {
+            entries.set(JSON.stringify([scope, specifier]), { scope, specifier, address });
+        });
+    });
+    return entries;
+};
+
+/**
+ * Compare two versions of a package, npm package or import map. Files of
+ * packages are compared on the integrity in the package log of each
+ * version, specifiers of maps on their address. A unified diff of text
+ * files and maps can be included.
+ *
+ * @class PkgDiff
+ */
+const PkgDiff = class PkgDiff {
+    constructor({
+        maxSize = 1048576,
+        pkgDel,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._maxSize = maxSize;
+        this._pkgDel = pkgDel;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    async _version({ type, name, version }) {
+        if (await this._pkgDel.isDeleted({ type, name: encodeURIComponent(name), version })) {
+            throw new HttpError.Gone(`Version ${version} of ${name} is deleted`);
+        }
+        try {
+            return await utils.readJSON(this._sink, utils.createFilePathToPackage({
+                org: this._org,
+                type,
+                name,
+                version,
+            }));
+        } catch (error) {
+            if (type === 'map') return {};
+            throw new HttpError.NotFound(`Version ${version} of ${name} does not exist`);
+        }
+    }
+
+    async _map({ name, version }) {
+        try {
+            return await utils.readJSON(this._sink, utils.createFilePathToImportMap({
+                org: this._org,
+                name,
+                version,
+            }));
+        } catch (error) {
+            throw new HttpError.NotFound(`Version ${version} of ${name} does not exist`);
+        }
+    }
+
+    async _text({ type, name, version }, file) {
+        const pathname = path.join(utils.createFilePathToVersionDirectory({
+            org: this._org,
+            type,
+            name,
+            version,
+        }), file.pathname);
+        return utils.readString(this._sink, pathname);
+    }
+
+    // A unified diff of a file in one or both versions. Undefined when
+    // the file is not text or too large to compare.
+    async _patch(params, from, to) {
+        const files = [from, to].filter(Boolean);
+        if (!files.every(isText) || files.some((file) => file.size > this._maxSize)) {
+            return undefined;
+        }
+
+        const pathname = path.join('/', (from || to).pathname).slice(1);
+        const [before, after] = await Promise.all([
+            from ? this._text({ ...params, version: params.from }, from) : '',
+            to ? this._text({ ...params, version: params.to }, to) : '',
+        ]);
+        return unifiedDiff(before, after, {
+            fromLabel: from ? `${params.name}/${params.from}/${pathname}` : '/dev/null',
+            toLabel: to ? `${params.name}/${params.to}/${pathname}` : '/dev/null',
+        });
+    }
+
+    async _packages(params, unified) {
+        const { type, name } = params;
+        const [from, to] = await Promise.all([
+            this._version({ type, name, version: params.from }),
+            this._version({ type, name, version: params.to }),
+        ]);
+
+        const before = new Map(from.files.map((file) => [path.join('/', file.pathname), file]));
+        const after = new Map(to.files.map((file) => [path.join('/', file.pathname), file]));
+
+        let added = [];
+        let removed = [];
+        let changed = [];
+        let unchanged = 0;
+
+        after.forEach((file, pathname) => {
+            const old = before.get(pathname);
+            if (!old) {
+                added.push({
+                    pathname,
+                    mimeType: file.mimeType,
+                    size: file.size,
+                    integrity: file.integrity,
+                });
+            } else if (old.integrity !== file.integrity) {
+                changed.push({
+                    pathname,
+                    mimeType: file.mimeType,
+                    size: { from: old.size, to: file.size, delta: file.size - old.size },
+                    integrity: { from: old.integrity, to: file.integrity },
+                });
+            } else {
+                unchanged += 1;
+            }
+        });
+
+        before.forEach((file, pathname) => {
+            if (after.has(pathname)) return;
+            removed.push({
+                pathname,
+                mimeType: file.mimeType,
+                size: file.size,
+                integrity: file.integrity,
+            });
+        });
+
+        const byPathname = (a, b) => (a.pathname < b.pathname ? -1 : 1);
+        added.sort(byPathname);
+        removed.sort(byPathname);
+        changed.sort(byPathname);
+
+        if (unified) {
+            const patched = (entries) => Promise.all(entries.map(async (entry) => ({
+                ...entry,
+                diff: await this._patch(params, before.get(entry.pathname), after.get(entry.pathname)),
+            })));
+            [added, removed, changed] = await Promise.all([
+                patched(added),
+                patched(removed),
+                patched(changed),
+            ]);
+        }
+
+        const fromSize = sum(from.files);
+        const toSize = sum(to.files);
+
+        return {
+            type,
+            name,
+            from: { version: params.from, integrity: from.integrity },
+            to: { version: params.to, integrity: to.integrity },
+            size: { from: fromSize, to: toSize, delta: toSize - fromSize },
+            added,
+            removed,
+            changed,
+            unchanged,
+        };
+    }
+
+    async _maps(params, unified) {
+        const { type, name } = params;
+        const [fromMeta, toMeta, fromMap, toMap] = await Promise.all([
+            this._version({ type, name, version: params.from }),
+            this._version({ type, name, version: params.to }),
+            this._map({ name, version: params.from }),
+            this._map({ name, version: params.to }),
+        ]);
+
+        const before = specifiers(fromMap);
+        const after = specifiers(toMap);
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+        let unchanged = 0;
+
+        after.forEach((entry, key) => {
+            const old = before.get(key);
+            if (!old) {
+                added.push(entry);
+            } else if (old.address !== entry.address) {
+                const { address, ...rest } = entry;
+                changed.push({ ...rest, address: { from: old.address, to: address } });
+            } else {
+                unchanged += 1;
+            }
+        });
+
+        before.forEach((entry, key) => {
+            if (!after.has(key)) removed.push(entry);
+        });
+
+        const result = {
+            type,
+            name,
+            from: { version: params.from, integrity: fromMeta.integrity || null },
+            to: { version: params.to, integrity: toMeta.integrity || null },
+            added,
+            removed,
+            changed,
+            unchanged,
+        };
+
+        if (unified) {
+            result.diff = unifiedDiff(
+                `${JSON.stringify(fromMap, null, 2)}\n`,
+                `${JSON.stringify(toMap, null, 2)}\n`,
+                {
+                    fromLabel: `${name}/${params.from}`,
+                    toLabel: `${name}/${params.to}`,
+                },
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Files added, removed and changed between two versions of a package,
+     * or specifiers added, removed and changed between two versions of a
+     * map.
+     *
+     * @param {Object} params
+     * @param {String} params.type pkg, npm or map
+     * @param {String} params.name Name of the package
+     * @param {String} params.from The version to compare from
+     * @param {String} params.to The version to compare to
+     * @param {Boolean} [unified] Include a unified diff of each text file or the map
+     * @returns {Promise<Object>}
+     */
+    async diff(params, unified = false) {
+        try {
+            validators.type(params.type);
+            validators.name(params.name);
+            validators.version(params.from);
+            validators.version(params.to);
+        } catch (error) {
+            throw new HttpError.BadRequest(error.message);
+        }
+
+        if (params.type === 'map') {
+            return this._maps(params, unified);
+        }
+        return this._packages(params, unified);
+    }
+
+    /**
+     * A comparison as JSON with its etag
+     *
+     * @param {Object} result A comparison from the diff method
+     * @returns {Object} Body and etag
+     */
+    static json(result) {
+        const body = JSON.stringify(result);
+        return { body, etag: `"sha512-${crypto.createHash('sha512').update(body).digest('base64')}"` };
+    }
+};
+
+export default PkgDiff;
@@ -0,0 +1,268 @@
+import { validators } from '@eik/common';
+import { promisify } from 'util';
+import Metrics from '@metrics/client';
+import crypto from 'crypto';
+import path from 'path';
+import zlib from 'zlib';
+
+import Conditional from './conditional.js';
+import * as utils from './utils.js';
+
+const brotli = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+const COMPRESSIBLE = /^text\/|javascript|json|xml|svg|wasm/;
+
+// Content codings in order of preference, with the extension of the
+// sibling file holding the variant
+const ENCODINGS = [
+    {
+        encoding: 'br',
+        extension: '.br',
+        compress: (buffer, quality) => brotli(buffer, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: quality,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+            },
+        }),
+    },
+    {
+        encoding: 'gzip',
+        extension: '.gz',
+        compress: (buffer) => gzip(buffer),
+    },
+];
+
+const etag = (buffer) => `sha512-${crypto.createHash('sha512').update(buffer).digest('base64')}`;
+
+// Pick the content coding the client prefers among those available.
+// Equal weights are settled by the server preference.
+const negotiate = (header = '', available = []) => {
+    const weights = new Map();
+    header.split(',').forEach((part) => {
+        const [token, ...params] = part.trim().toLowerCase().split(';');
+        if (!token) return;
+        const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        weights.set(token, q ? parseFloat(q.slice(2)) || 0 : 1);
+    });
+
+    let best;
+    let weight = 0;
+    ENCODINGS.forEach(({ encoding }) => {
+        if (!available.includes(encoding)) return;
+        const q = weights.has(encoding) ? weights.get(encoding) : weights.get('*') || 0;
+        if (q > weight) {
+            best = encoding;
+            weight = q;
+        }
+    });
+    return best;
+};
+
+/**
+ * Brotli and gzip variants of the files in a package, made when the
+ * package is published so they do not have to be compressed on each
+ * request. Each variant is stored next to the file it is made from with
+ * a ".br" or ".gz" extension. A variants file next to the package meta
+ * file lists which files have variants.
+ *
+ * Variants are made after the package is published, one package at the
+ * time, so publishing does not wait on compressing. Until they are made
+ * files are compressed on request.
+ *
+ * Only files of a compressible type and larger than the threshold get
+ * variants and only variants smaller than the file are kept.
+ *
+ * @class Precompress
+ */
+const Precompress = class Precompress {
+    constructor({
+        threshold = 1024,
+        quality = 5,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._threshold = threshold;
+        this._quality = quality;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+
+        this._pending = Promise.resolve();
+
+        this._metrics = new Metrics();
+        this._histogram = this._metrics.histogram({
+            name: 'eik_service_precompress',
+            description: 'Histogram measuring time taken making variants of the files in a package',
+            labels: {
+                success: true,
+                type: 'unknown',
+            },
+            buckets: [0.1, 0.5, 1.0, 2.0, 4.0, 8.0, 16.0, 32.0],
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    _candidates(pkg) {
+        const pathnames = new Set(pkg.files.map((file) => file.pathname));
+        return pkg.files.filter((file) => COMPRESSIBLE.test(file.mimeType)
+            && file.size >= this._threshold
+            // Never overwrite a file in the package
+            && ENCODINGS.every(({ extension }) => !pathnames.has(`${file.pathname}${extension}`)));
+    }
+
+    async _encodings(pathname, file) {
+        const buffer = await utils.readBuffer(this._sink, pathname);
+        const compressed = await Promise.all(ENCODINGS.map(({ compress }) => compress(buffer, this._quality)));
+
+        // Only variants smaller than the file are kept
+        const kept = ENCODINGS
+            .map((entry, i) => ({ ...entry, buffer: compressed[i] }))
+            .filter((entry) => entry.buffer.length < buffer.length);
+        await Promise.all(kept.map(({ extension, buffer: variant }) => utils.writeString(this._sink, `${pathname}${extension}`, variant, file.mimeType)));
+
+        return kept.reduce((encodings, { encoding, buffer: variant }) => ({
+            ...encodings,
+            [encoding]: { size: variant.length, etag: etag(variant) },
+        }), {});
+    }
+
+    /**
+     * Make variants of the files in a published package
+     *
+     * @param {Object} params Type, name and version of the package
+     * @returns {Promise<Object>} The list of variants
+     */
+    async compress({ type, name, version }) {
+        const incoming = {
+            name: decodeURIComponent(name),
+            org: this._org,
+            version,
+            type,
+        };
+
+        const end = this._histogram.timer();
+        try {
+            const pkg = await utils.readJSON(this._sink, utils.createFilePathToPackage(incoming));
+            const dir = utils.createFilePathToVersionDirectory(incoming);
+
+            // One file at the time, as compressing is heavy on the CPU
+            const candidates = this._candidates(pkg);
+            const encodings = await utils.mapSeries(candidates, (file) => this._encodings(path.join(dir, file.pathname), file));
+
+            // Listed by the pathname the file is requested by
+            const files = candidates.reduce((list, file, i) => {
+                if (Object.keys(encodings[i]).length === 0) return list;
+                return {
+                    ...list,
+                    [file.pathname.replace(/^\//, '')]: { mimeType: file.mimeType, encodings: encodings[i] },
+                };
+            }, {});
+
+            const variants = { files };
+            await utils.writeJSON(this._sink, utils.createFilePathToVariants(incoming), variants);
+            end({ labels: { type } });
+            this._log.info(`precompress - Made variants of package files - Type: ${type} - Name: ${incoming.name} - Version: ${version} - Files: ${Object.keys(files).length}`);
+            return variants;
+        } catch (error) {
+            end({ labels: { success: false, type } });
+            // The package is published already. Files without variants
+            // are compressed on request.
+            this._log.error(`precompress - Failed making variants of package files - Type: ${type} - Name: ${incoming.name} - Version: ${version}`);
+            this._log.trace(error);
+            return { files: {} };
+        }
+    }
+
+    /**
+     * Make variants of the files in a published package after the
+     * packages scheduled before it
+     *
+     * @param {Object} params Type, name and version of the package
+     */
+    schedule(params) {
+        this._pending = this._pending.then(() => this.compress(params));
+    }
+
+    /**
+     * Resolves when the scheduled packages have variants
+     *
+     * @returns {Promise}
+     */
+    idle() {
+        return this._pending;
+    }
+
+    async _variants(incoming) {
+        try {
+            return await utils.readJSON(this._sink, utils.createFilePathToVariants(incoming));
+        } catch (error) {
+            return { files: {} };
+        }
+    }
+
+    /**
+     * Find the variant of a file best matching an Accept-Encoding header
+     *
+     * @param {Object} params Type, name, version and extras of the request
+     * @param {String} acceptEncoding The Accept-Encoding header of the request
+     * @returns {Promise<Object|undefined>} The variant or undefined if the file has no variants
+     */
+    async variant({
+        type,
+        name,
+        version,
+        extras,
+    }, acceptEncoding) {
+        let incoming;
+        let pathname;
+        try {
+            incoming = {
+                name: decodeURIComponent(name),
+                org: this._org,
+                version,
+                type,
+            };
+            pathname = decodeURIComponent(extras);
+            validators.version(version);
+            validators.name(incoming.name);
+            validators.type(type);
+        } catch (error) {
+            return undefined;
+        }
+
+        const variants = await this._variants(incoming);
+        if (!Object.prototype.hasOwnProperty.call(variants.files, pathname)) return undefined;
+        const file = variants.files[pathname];
+
+        const encoding = negotiate(acceptEncoding, Object.keys(file.encodings));
+        const { extension } = ENCODINGS.find((entry) => entry.encoding === encoding) || {};
+
+        return {
+            extension,
+            etag: encoding ? Conditional.etag(file.encodings[encoding].etag) : undefined,
+            size: encoding ? file.encodings[encoding].size : undefined,
+            mimeType: file.mimeType,
+            encoding,
+        };
+    }
+
+    /**
+     * Files holding the variants in a list of variants, relative to the
+     * version directory
+     *
+     * @param {Object} variants
+     * @returns {Array<Object>}
+     */
+    static files(variants = { files: {} }) {
+        return Object.entries(variants.files).flatMap(([pathname, file]) => ENCODINGS
+            .filter(({ encoding }) => file.encodings[encoding])
+            .map(({ extension }) => ({ pathname: `${pathname}${extension}`, mimeType: file.mimeType })));
+    }
+};
+
+export default Precompress;
@@ -0,0 +1,190 @@
+import { validators } from '@eik/common';
+import { pipeline } from 'stream';
+import path from 'path';
+
+import Conditional from './conditional.js';
+import * as utils from './utils.js';
+
+// Entry files of an import map are the addresses its bare specifiers map
+// to. Addresses ending with a slash map a prefix and are not a file.
+const entries = (map = {}) => Object.values(map.imports || {})
+    .filter((address) => typeof address === 'string' && !address.endsWith('/'))
+    .filter((address) => /^https?:\/\//.test(address) || address.startsWith('/'));
+
+const link = (address) => `<${address}>; rel=modulepreload`;
+
+/**
+ * Let clients fetch the entry files of an import map while they are
+ * still reading the map, either as modulepreload links in a 103 Early
+ * Hints response or pushed over HTTP/2.
+ *
+ * The files to preload are listed in a preload file next to the map when
+ * the map is published.
+ *
+ * @class Preload
+ */
+const Preload = class Preload {
+    constructor({
+        cacheControl,
+        max = 20,
+        push = false,
+        pkgDel,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._cacheControl = cacheControl || 'public, max-age=31536000, immutable';
+        this._max = max;
+        this._push = push;
+        this._pkgDel = pkgDel;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    /**
+     * List the entry files of a published import map
+     *
+     * @param {Object} params Name and version of the map
+     * @returns {Promise<Object>} The preload list
+     */
+    async write({ name, version }) {
+        const incoming = {
+            name: decodeURIComponent(name),
+            org: this._org,
+            version,
+        };
+
+        try {
+            const map = await utils.readJSON(this._sink, utils.createFilePathToImportMap(incoming));
+            const list = { files: Array.from(new Set(entries(map))).slice(0, this._max) };
+            await utils.writeJSON(this._sink, utils.createFilePathToPreload(incoming), list);
+            this._log.info(`preload - Listed entry files of import map - Name: ${incoming.name} - Version: ${version} - Files: ${list.files.length}`);
+            return list;
+        } catch (error) {
+            // The map is published already. It is served without preloading.
+            this._log.error(`preload - Failed listing entry files of import map - Name: ${incoming.name} - Version: ${version}`);
+            this._log.trace(error);
+            return { files: [] };
+        }
+    }
+
+    /**
+     * The preload list of an import map
+     *
+     * @param {Object} params Name and version of the map
+     * @returns {Promise<Array<String>>} Addresses of the entry files
+     */
+    async list({ name, version }) {
+        try {
+            const incoming = {
+                name: decodeURIComponent(name),
+                org: this._org,
+                version,
+            };
+            validators.version(version);
+            validators.name(incoming.name);
+            const list = await utils.readJSON(this._sink, utils.createFilePathToPreload(incoming));
+            return list.files;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // A file which can be pushed is a file of a published package version
+    // on the host the map is requested from
+    async _pushable(address, host) {
+        const url = new URL(address, `http://${host}`);
+        if (url.host !== host) return undefined;
+
+        const params = utils.sanitizeParameters(url.pathname);
+        let incoming;
+        try {
+            incoming = {
+                name: validators.name(decodeURIComponent(params.name)),
+                version: validators.version(params.version),
+                type: validators.type(params.type),
+                org: this._org,
+            };
+        } catch (error) {
+            return undefined;
+        }
+        if (incoming.type === 'map' || await this._pkgDel.isDeleted(params)) return undefined;
+
+        try {
+            const pkg = await utils.readJSON(this._sink, utils.createFilePathToPackage(incoming));
+            const pathname = path.join('/', decodeURIComponent(params.extras));
+            const file = pkg.files.find((entry) => path.join('/', entry.pathname) === pathname);
+            if (!file) return undefined;
+            return {
+                pathname: url.pathname,
+                filePath: path.join(utils.createFilePathToVersionDirectory(incoming), pathname),
+                mimeType: file.mimeType,
+                etag: Conditional.etag(file.integrity),
+            };
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    _pushFile(stream, file) {
+        stream.pushStream({ ':path': file.pathname }, (error, pushed) => {
+            if (error) {
+                this._log.debug(`preload - Failed pushing file - Pathname: ${file.pathname} - ${error.message}`);
+                return;
+            }
+            this._sink.read(file.filePath).then((read) => {
+                pushed.respond({
+                    ':status': 200,
+                    'content-type': file.mimeType,
+                    'cache-control': this._cacheControl,
+                    etag: file.etag,
+                });
+                pipeline(read.stream, pushed, (err) => {
+                    if (err) this._log.debug(`preload - Failed pushing file - Pathname: ${file.pathname} - ${err.message}`);
+                });
+            }).catch(() => {
+                pushed.close();
+            });
+        });
+    }
+
+    /**
+     * Preload the entry files of an import map before the map is sent.
+     * Files are pushed when push is enabled and allowed by the client,
+     * the rest are sent as early hints.
+     *
+     * @param {IncomingMessage} req Request for the map
+     * @param {ServerResponse} res Response the map is sent on
+     * @param {Object} params Name and version of the map
+     * @returns {Promise<Object>} The files pushed and hinted
+     */
+    async handler(req, res, params) {
+        const files = await this.list(params);
+        const outcome = { pushed: [], hinted: [] };
+        if (files.length === 0) return outcome;
+
+        if (this._push && req.stream && req.stream.pushAllowed) {
+            const host = req.headers[':authority'] || req.headers.host;
+            const pushable = await Promise.all(files.map((address) => this._pushable(address, host)));
+            files.forEach((address, i) => {
+                if (pushable[i]) {
+                    this._pushFile(req.stream, pushable[i]);
+                    outcome.pushed.push(address);
+                } else {
+                    outcome.hinted.push(address);
+                }
+            });
+        } else {
+            outcome.hinted = files;
+        }
+
+        if (outcome.hinted.length > 0 && typeof res.writeEarlyHints === 'function') {
+            res.writeEarlyHints({ link: outcome.hinted.map(link) });
+        }
+
+        return outcome;
+    }
+};
+
+export default Preload;
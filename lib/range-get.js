@@ -0,0 +1,139 @@
+import { validators } from '@eik/common';
+import HttpError from 'http-errors';
+import Metrics from '@metrics/client';
+import semver from 'semver';
+
+import * as utils from './utils.js';
+
+const LATEST = 'latest';
+
+/**
+ * Resolve a semver range, or "latest", in the version segment of a
+ * package, npm or map URL and redirect to the matching exact version.
+ *
+ * Ranges are resolved against the version listing of the package which
+ * holds the latest version of each major. Versions marked as yanked are
+ * never resolved to. A "latest" tag set on the package takes precedence
+ * over the highest version when resolving "latest".
+ *
+ * @class RangeGet
+ */
+const RangeGet = class RangeGet {
+    constructor({
+        cacheControl,
+        logger,
+        sink,
+        tags,
+        org,
+    } = {}) {
+        this._cacheControl = cacheControl || 'public, max-age=60';
+        this._sink = sink;
+        this._tags = tags;
+        this._org = org;
+        this._log = logger;
+        this._metrics = new Metrics();
+        this._histogram = this._metrics.histogram({
+            name: 'eik_service_range_get_handler',
+            description: 'Histogram measuring time taken in RangeGet handler method',
+            labels: {
+                success: true,
+                type: 'unknown',
+            },
+            buckets: [
+                0.005,
+                0.01,
+                0.06,
+                0.1,
+                0.6,
+                1.0,
+                2.0,
+                4.0,
+            ],
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    // Exact versions are served as is, everything else semver
+    // considers a range is resolved
+    static isRange(value = '') {
+        const version = decodeURIComponent(value);
+        if (version === LATEST) return true;
+        if (version === '' || semver.valid(version)) return false;
+        return semver.validRange(version) !== null;
+    }
+
+    async _versions({ type, name }) {
+        try {
+            const obj = await utils.readJSON(this._sink, utils.createFilePathToVersion({
+                org: this._org,
+                type,
+                name,
+            }));
+            return obj.versions
+                .map(([, entry]) => entry)
+                .filter((entry) => !entry.yanked)
+                .map((entry) => entry.version);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async resolve({ type, name, range }) {
+        if (range === LATEST && this._tags) {
+            const tags = await this._tags.list({ type, name });
+            if (tags[LATEST]) return tags[LATEST];
+        }
+
+        const versions = await this._versions({ type, name });
+        if (range === LATEST) {
+            return semver.maxSatisfying(versions, '*');
+        }
+        return semver.maxSatisfying(versions, range);
+    }
+
+    async handler(req, type, name, range, extras = '') {
+        const end = this._histogram.timer();
+
+        let pName;
+        let pRange;
+        try {
+            pName = decodeURIComponent(name);
+            pRange = decodeURIComponent(range);
+            validators.name(pName);
+            validators.type(type);
+        } catch (error) {
+            this._log.info(`range:get - Validation failed - ${error.message}`);
+            const e = new HttpError.NotFound();
+            end({ labels: { success: false, status: e.status } });
+            throw e;
+        }
+
+        const version = await this.resolve({ type, name: pName, range: pRange });
+
+        if (!version) {
+            this._log.debug(`range:get - No version satisfies range - Name: ${pName} - Range: ${pRange}`);
+            const e = new HttpError.NotFound();
+            end({ labels: { success: false, status: e.status, type } });
+            throw e;
+        }
+
+        this._log.debug(`range:get - Resolved range to version - Name: ${pName} - Range: ${pRange} - Version: ${version}`);
+
+        const { search } = new URL(req.url, 'http://localhost/');
+        const pathname = [type, pName, version, extras].filter((part) => part !== '').join('/');
+
+        end({ labels: { status: 302, type } });
+
+        return {
+            cacheControl: this._cacheControl,
+            statusCode: 302,
+            location: `/${pathname}${search}`,
+            mimeType: 'text/plain',
+        };
+    }
+};
+
+export default RangeGet;
@@ -0,0 +1,516 @@
+import Metrics from '@metrics/client';
+import crypto from 'crypto';
+import https from 'https';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import semver from 'semver';
+import fs from 'fs';
+
+import * as tarball from './tarball.js';
+import * as utils from './utils.js';
+
+// Header holding the shared secret on requests pushed to peers. Changes
+// received from a peer are not replicated again so two servers
+// replicating to each other does not bounce changes back and forth.
+const HEADER = 'x-eik-replication';
+
+const createPeer = ({ url, key = '' } = {}) => ({
+    url: new URL(url.endsWith('/') ? url : `${url}/`),
+    key,
+});
+
+// Build a form with a single field or file in it
+const multipart = (field, value, filename) => {
+    const boundary = `----eik${crypto.randomBytes(12).toString('hex')}`;
+    const disposition = filename
+        ? `form-data; name="${field}"; filename="${filename}"\r\ncontent-type: application/octet-stream`
+        : `form-data; name="${field}"`;
+    return {
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+        body: Buffer.concat([
+            Buffer.from(`--${boundary}\r\ncontent-disposition: ${disposition}\r\n\r\n`),
+            Buffer.isBuffer(value) ? value : Buffer.from(value),
+            Buffer.from(`\r\n--${boundary}--\r\n`),
+        ]),
+    };
+};
+
+/**
+ * Push published packages, import maps and alias changes to peer Eik
+ * servers. Pushes which fail are kept in a retry queue persisted to disk
+ * and retried with an increasing delay until they succeed. Reconciliation
+ * compares the version listing of each package replicated with the ones
+ * on the peers and pushes versions missing on a peer.
+ *
+ * @class Replication
+ */
+const Replication = class Replication {
+    constructor({
+        peers = [],
+        pathname = '',
+        delay = 1000,
+        maxDelay = 3600000,
+        interval = 5000,
+        reconcile = 0,
+        timeout = 10000,
+        secret = '',
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._peers = new Map(peers.map((peer) => {
+            const p = createPeer(peer);
+            return [p.url.href, p];
+        }));
+        this._pathname = pathname;
+        this._delay = delay;
+        this._maxDelay = maxDelay;
+        this._interval = interval;
+        this._reconcile = reconcile;
+        this._timeout = timeout;
+        this._secret = secret;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+        // Tokens from logging in to each peer, keyed on the URL of the peer
+        this._tokens = new Map();
+        this._timers = [];
+        this._running = false;
+        this._writing = Promise.resolve();
+
+        const state = this._load();
+        this._queue = state.queue;
+        this._packages = new Map(state.packages.map((pkg) => [`${pkg.type}/${pkg.name}`, pkg]));
+
+        this._metrics = new Metrics();
+        this._counter = this._metrics.counter({
+            name: 'eik_service_replication_pushes',
+            description: 'Counter of changes pushed to peer servers',
+            labels: {
+                success: true,
+                peer: 'unknown',
+            },
+        });
+        this._gauge = this._metrics.gauge({
+            name: 'eik_service_replication_queue',
+            description: 'Number of pushes waiting in the retry queue',
+        });
+    }
+
+    static get header() {
+        return HEADER;
+    }
+
+    /**
+     * Whether a request is a change pushed from a peer. Only requests
+     * holding the shared secret in the replication header are, so clients
+     * can not keep their changes from being replicated.
+     *
+     * @param {Object} headers Headers of the request
+     * @returns {Boolean}
+     */
+    fromPeer(headers = {}) {
+        const value = headers[HEADER];
+        if (!this._secret || typeof value !== 'string') return false;
+        const a = Buffer.from(value);
+        const b = Buffer.from(this._secret);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    get size() {
+        return this._peers.size;
+    }
+
+    get queue() {
+        return this._queue.slice();
+    }
+
+    _load() {
+        if (this._pathname) {
+            try {
+                const state = JSON.parse(fs.readFileSync(this._pathname));
+                return { queue: state.queue || [], packages: state.packages || [] };
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    this._log.error(`replication - Could not read retry queue - Pathname: ${this._pathname}`);
+                }
+            }
+        }
+        return { queue: [], packages: [] };
+    }
+
+    // Writes are chained so the file always holds the latest state
+    _save() {
+        this._gauge.set(this._queue.length);
+        if (!this._pathname) return this._writing;
+
+        const state = JSON.stringify({
+            queue: this._queue,
+            packages: Array.from(this._packages.values()),
+        });
+
+        this._writing = this._writing.then(async () => {
+            await fs.promises.mkdir(path.dirname(this._pathname), { recursive: true });
+            await fs.promises.writeFile(this._pathname, state);
+        }).catch((error) => {
+            this._log.error(`replication - Could not write retry queue - Pathname: ${this._pathname}`);
+            this._log.trace(error);
+        });
+
+        return this._writing;
+    }
+
+    _send(peer, { method, pathname, headers = {}, body }) {
+        const url = new URL(pathname.slice(1), peer.url);
+        const client = url.protocol === 'https:' ? https : http;
+        const token = this._tokens.get(peer.url.href);
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, {
+                method,
+                headers: {
+                    ...headers,
+                    'user-agent': 'eik-server',
+                    ...(this._secret ? { [HEADER]: this._secret } : {}),
+                    ...(token ? { 'authorization': `Bearer ${token}` } : {}),
+                    ...(body ? { 'content-length': body.length } : {}),
+                },
+            }, (res) => {
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => resolve({
+                    statusCode: res.statusCode,
+                    body: Buffer.concat(chunks).toString(),
+                }));
+                res.on('error', reject);
+            });
+
+            req.setTimeout(this._timeout, () => {
+                req.destroy(new Error(`Peer did not respond within ${this._timeout}ms`));
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    async _login(peer) {
+        const form = multipart('key', peer.key);
+        const res = await this._send(peer, {
+            method: 'POST',
+            pathname: '/auth/login',
+            ...form,
+        });
+        if (res.statusCode !== 200) {
+            throw new Error(`Peer responded with http status ${res.statusCode} on login`);
+        }
+        this._tokens.set(peer.url.href, JSON.parse(res.body).token);
+    }
+
+    // Log in when there is no token and again if the token is rejected
+    async _request(peer, options) {
+        if (!this._tokens.has(peer.url.href)) await this._login(peer);
+        let res = await this._send(peer, options);
+        if (res.statusCode === 401) {
+            await this._login(peer);
+            res = await this._send(peer, options);
+        }
+        return res;
+    }
+
+    async _publish(peer, { type, name, version }) {
+        const pathname = `/${type}/${name}/${version}`;
+
+        let form;
+        if (type === 'map') {
+            const map = await utils.readString(this._sink, utils.createFilePathToImportMap({ org: this._org, name, version }));
+            form = multipart('map', map, 'import-map.json');
+        } else {
+            const pkg = await utils.readJSON(this._sink, utils.createFilePathToPackage({
+                org: this._org,
+                type,
+                name,
+                version,
+            }));
+            const dir = utils.createFilePathToVersionDirectory({
+                org: this._org,
+                type,
+                name,
+                version,
+            });
+            const files = await Promise.all(pkg.files.map(async (file) => [
+                file.pathname.replace(/^\//, ''),
+                await utils.readBuffer(this._sink, path.join(dir, file.pathname)),
+            ]));
+            form = multipart('package', zlib.gzipSync(tarball.pack(files, new Date(pkg.created * 1000))), 'package.tgz');
+        }
+
+        const res = await this._request(peer, { method: 'PUT', pathname, ...form });
+
+        // Conflict means the peer already has the version
+        if (res.statusCode >= 400 && res.statusCode !== 409) {
+            throw new Error(`Peer responded with http status ${res.statusCode} on publish of ${pathname}`);
+        }
+    }
+
+    // Aliases are created or updated on the peer depending on if the
+    // peer already has the alias or not
+    async _alias(peer, {
+        method,
+        type,
+        name,
+        alias,
+        version,
+    }) {
+        const pathname = `/${type}/${name}/v${alias}`;
+
+        if (method === 'DELETE') {
+            const res = await this._request(peer, { method, pathname });
+            if (res.statusCode >= 400 && res.statusCode !== 404) {
+                throw new Error(`Peer responded with http status ${res.statusCode} on delete of ${pathname}`);
+            }
+            return;
+        }
+
+        const methods = method === 'POST' ? ['POST', 'PUT'] : ['PUT', 'POST'];
+        let res = await this._request(peer, { method: methods[0], pathname, ...multipart('version', version) });
+        if (res.statusCode === 409 || (res.statusCode === 404 && methods[0] === 'POST')) {
+            res = await this._request(peer, { method: methods[1], pathname, ...multipart('version', version) });
+        }
+        if (res.statusCode >= 400) {
+            throw new Error(`Peer responded with http status ${res.statusCode} on alias ${pathname}`);
+        }
+    }
+
+    async _push(job) {
+        const peer = this._peers.get(job.peer);
+        if (!peer) return;
+
+        try {
+            if (job.action === 'publish') {
+                await this._publish(peer, job);
+            } else {
+                await this._alias(peer, job);
+            }
+            this._counter.inc({ labels: { success: true, peer: peer.url.host } });
+        } catch (error) {
+            this._counter.inc({ labels: { success: false, peer: peer.url.host } });
+            throw error;
+        }
+    }
+
+    _schedule(job, error) {
+        const attempts = (job.attempts || 0) + 1;
+        const wait = Math.min(this._delay * (2 ** (attempts - 1)), this._maxDelay);
+        this._log.warn(`replication - Push to peer failed - Peer: ${job.peer} - Action: ${job.action} - Name: ${job.name} - ${error.message} - Retry in ${wait}ms`);
+        return {
+            ...job,
+            attempts,
+            error: error.message,
+            next: Date.now() + wait,
+        };
+    }
+
+    /**
+     * Push a change to every peer. Failed pushes are put in the retry queue.
+     *
+     * @param {Object} change
+     * @returns {Promise}
+     */
+    async replicate({
+        action = '',
+        method = '',
+        type = '',
+        name = '',
+        version = '',
+        alias = '',
+    } = {}) {
+        if (this._peers.size === 0) return;
+
+        // Only deletes of aliases are replicated
+        if (!['publish', 'alias', 'delete'].includes(action)) return;
+        if (action === 'delete' && !alias) return;
+
+        if (action === 'publish') {
+            const key = `${type}/${name}`;
+            if (!this._packages.has(key)) {
+                this._packages.set(key, { type, name });
+                this._save();
+            }
+        }
+
+        const failed = [];
+        await Promise.all(Array.from(this._peers.keys()).map(async (peer) => {
+            const job = {
+                id: crypto.randomBytes(8).toString('hex'),
+                action,
+                method,
+                type,
+                name,
+                version,
+                alias,
+                peer,
+            };
+            try {
+                await this._push(job);
+            } catch (error) {
+                failed.push(this._schedule(job, error));
+            }
+        }));
+
+        if (failed.length > 0) {
+            this._queue.push(...failed);
+            await this._save();
+        }
+    }
+
+    // Retries and reconciliations share a guard so they never run at
+    // the same time or on top of themselves. Skipped runs resolve to
+    // the given value.
+    async _exclusive(fn, skipped) {
+        if (this._running) return skipped;
+        this._running = true;
+        try {
+            return await fn();
+        } finally {
+            this._running = false;
+        }
+    }
+
+    /**
+     * Retry pushes in the queue which are due. Does nothing while a retry
+     * or reconciliation is running.
+     *
+     * @returns {Promise}
+     */
+    async retry() {
+        return this._exclusive(async () => {
+            const now = Date.now();
+            const due = this._queue.filter((job) => job.next <= now);
+
+            await utils.mapSeries(due, async (job) => {
+                let next;
+                try {
+                    await this._push(job);
+                } catch (error) {
+                    next = this._schedule(job, error);
+                }
+                const index = this._queue.findIndex((queued) => queued.id === job.id);
+                if (next) {
+                    this._queue.splice(index, 1, next);
+                } else {
+                    this._queue.splice(index, 1);
+                }
+            });
+
+            if (due.length > 0) {
+                await this._save();
+            }
+        });
+    }
+
+    async _versions(peer, { type, name }) {
+        if (peer) {
+            const res = await this._send(peer, { method: 'GET', pathname: `/${type}/${name}` });
+            if (res.statusCode === 404) return [];
+            if (res.statusCode !== 200) {
+                throw new Error(`Peer responded with http status ${res.statusCode} on version listing of ${type}/${name}`);
+            }
+            return JSON.parse(res.body).versions;
+        }
+
+        try {
+            const obj = await utils.readJSON(this._sink, utils.createFilePathToVersion({ org: this._org, type, name }));
+            return obj.versions;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Compare the version listing of each replicated package with the
+     * ones on the peers and push versions which the peers are missing.
+     * Failed pushes are put in the retry queue. Does nothing while a
+     * retry or reconciliation is running.
+     *
+     * @returns {Promise<Array>} The versions successfully pushed to peers
+     */
+    async reconcile() {
+        return this._exclusive(async () => {
+            const pushed = [];
+
+            // One package, peer and version at the time so a reconciliation
+            // does not flood the peers
+            await utils.mapSeries(Array.from(this._packages.values()), async (pkg) => {
+                const local = await this._versions(undefined, pkg);
+
+                await utils.mapSeries(Array.from(this._peers.values()), async (peer) => {
+                    let remote;
+                    try {
+                        remote = new Map(await this._versions(peer, pkg));
+                    } catch (error) {
+                        this._log.warn(`replication - Could not read version listing from peer - Peer: ${peer.url.href} - ${error.message}`);
+                        return;
+                    }
+
+                    const missing = local.filter(([major, entry]) => {
+                        if (entry.yanked) return false;
+                        const theirs = remote.get(major);
+                        return !theirs || semver.gt(entry.version, theirs.version);
+                    });
+
+                    await utils.mapSeries(missing, async ([, entry]) => {
+                        const job = {
+                            id: crypto.randomBytes(8).toString('hex'),
+                            action: 'publish',
+                            method: 'PUT',
+                            type: pkg.type,
+                            name: pkg.name,
+                            version: entry.version,
+                            peer: peer.url.href,
+                        };
+                        this._log.info(`replication - Peer is missing version - Peer: ${peer.url.href} - Name: ${pkg.name} - Version: ${entry.version}`);
+                        try {
+                            await this._push(job);
+                            pushed.push({ peer: peer.url.href, type: pkg.type, name: pkg.name, version: entry.version });
+                        } catch (error) {
+                            this._queue.push(this._schedule(job, error));
+                        }
+                    });
+                });
+            });
+
+            await this._save();
+            return pushed;
+        }, []);
+    }
+
+    start() {
+        if (this._peers.size === 0 || this._timers.length > 0) return;
+
+        const retry = setInterval(() => {
+            this.retry().catch((error) => this._log.error(error));
+        }, this._interval);
+        retry.unref();
+        this._timers.push(retry);
+
+        if (this._reconcile > 0) {
+            const reconcile = setInterval(() => {
+                this.reconcile().catch((error) => this._log.error(error));
+            }, this._reconcile);
+            reconcile.unref();
+            this._timers.push(reconcile);
+        }
+    }
+
+    async stop() {
+        this._timers.forEach((timer) => clearInterval(timer));
+        this._timers = [];
+        await this._writing;
+    }
+};
+
+export default Replication;
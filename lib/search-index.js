@@ -0,0 +1,256 @@
+import path from 'path';
+
+import * as utils from './utils.js';
+
+const key = ({ type, name, version }) => `${type}/${name}/${version}`;
+
+// Newest first. Versions published at the same time are sorted on
+// type, name and version so pages do not shift between requests.
+const newest = (a, b) => {
+    if (a.created !== b.created) return b.created - a.created;
+    return key(a) < key(b) ? -1 : 1;
+};
+
+/**
+ * Search index over the names, versions and file paths of every package,
+ * npm package and import map version in an organization. Answers
+ * questions like which versions of a package contain a given file.
+ *
+ * The index is kept in one file in the sink and updated as versions are
+ * published or deleted. It is built from the package index and the meta
+ * files in the sink when it does not exist and can be rebuilt from them
+ * at any time. Servers sharing a sink all write to the index. Each change
+ * is made to the index as read from the sink, and searches see changes
+ * made by other servers once the parsed index kept in memory expires.
+ *
+ * @class SearchIndex
+ */
+const SearchIndex = class SearchIndex {
+    constructor({
+        maxAge = 5000,
+        pkgDel,
+        index,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._pathname = path.join('/', org, 'search.json');
+        this._writing = Promise.resolve();
+        this._versions = undefined;
+        this._expires = 0;
+        this._maxAge = maxAge;
+        this._pkgDel = pkgDel;
+        this._index = index;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    // The searchable entry of a version, read from its meta file. Maps
+    // have no files and maps published before their meta file was
+    // written have no time of publish. Size is of all files in bytes.
+    async _entry({ type, name, version }) {
+        try {
+            const meta = await utils.readJSON(this._sink, utils.createFilePathToPackage({
+                org: this._org,
+                type,
+                name,
+                version,
+            }));
+            return {
+                type,
+                name,
+                version,
+                created: meta.created || 0,
+                size: (meta.files || []).reduce((sum, file) => sum + (file.size || 0), 0),
+                files: (meta.files || []).map((file) => path.join('/', file.pathname)),
+            };
+        } catch (error) {
+            if (type !== 'map') return undefined;
+            return {
+                type,
+                name,
+                version,
+                created: 0,
+                size: 0,
+                files: [],
+            };
+        }
+    }
+
+    // Versions published before the package index existed are only found
+    // by rebuilding it from the sink first
+    async _build() {
+        const entries = new Map();
+        await this._index.rebuild();
+        const packages = await this._index.list();
+
+        // One package at the time so large organizations do not open
+        // a read for every version at once
+        await utils.mapSeries(packages, ({ type, name, versions }) => Promise.all(versions.map(async (version) => {
+            const deleted = await this._pkgDel.isDeleted({ type, name: encodeURIComponent(name), version });
+            const entry = !deleted && await this._entry({ type, name, version });
+            if (entry) entries.set(key(entry), entry);
+        })));
+        return entries;
+    }
+
+    _keep(versions) {
+        this._versions = versions;
+        this._expires = Date.now() + this._maxAge;
+    }
+
+    async _write(entries) {
+        const versions = Array.from(entries.values()).sort(newest);
+        await utils.writeJSON(this._sink, this._pathname, { versions });
+        this._keep(versions);
+    }
+
+    // Read anew from the sink before each change so changes written by
+    // other servers are not lost
+    async _read() {
+        try {
+            const obj = await utils.readJSON(this._sink, this._pathname);
+            this._keep(obj.versions.sort(newest));
+            return new Map(obj.versions.map((entry) => [key(entry), entry]));
+        } catch (error) {
+            this._log.info(`search - Search index does not exist - Building it from the sink - Pathname: ${this._pathname}`);
+            const entries = await this._build();
+            await this._write(entries);
+            return entries;
+        }
+    }
+
+    // Reads and writes of the index are run one after the other so a
+    // change is never lost to another being written at the same time
+    _queue(fn) {
+        const run = this._writing.then(fn);
+        this._writing = run.catch((error) => {
+            this._log.error(`search - Failed updating search index - Pathname: ${this._pathname}`);
+            this._log.trace(error);
+        });
+        return run;
+    }
+
+    // Every version, newest first. The parsed index is kept until it
+    // expires or is written so searches neither read the sink on each
+    // request nor wait for changes being written. A missing index is
+    // built in the queue.
+    async _list() {
+        if (this._versions && this._expires > Date.now()) return this._versions;
+        const expires = this._expires;
+        try {
+            const obj = await utils.readJSON(this._sink, this._pathname);
+            // Not to replace an index written while this was read
+            if (this._expires === expires) this._keep(obj.versions.sort(newest));
+        } catch (error) {
+            await this._queue(() => this._read());
+        }
+        return this._versions;
+    }
+
+    // Changes are not to fail a publish or delete. A failure is logged.
+    _change(fn) {
+        return this._queue(async () => {
+            const entries = await this._read();
+            if (await fn(entries) === false) return;
+            await this._write(entries);
+        }).catch(() => {});
+    }
+
+    /**
+     * Add a published version to the index
+     *
+     * @param {Object} params Type, name and version of the package
+     * @returns {Promise}
+     */
+    add({ type, name, version }) {
+        return this._change(async (entries) => {
+            const entry = await this._entry({ type, name: decodeURIComponent(name), version });
+            if (!entry) return false;
+            entries.set(key(entry), entry);
+            return true;
+        });
+    }
+
+    /**
+     * Remove a deleted version from the index
+     *
+     * @param {Object} params Type, name and version of the package
+     * @returns {Promise}
+     */
+    remove({ type, name, version }) {
+        return this._change((entries) => entries.delete(key({ type, name: decodeURIComponent(name), version })));
+    }
+
+    /**
+     * Build the index anew from the package index and the meta files in
+     * the sink
+     *
+     * @returns {Promise<Number>} Number of versions in the index
+     */
+    rebuild() {
+        return this._queue(async () => {
+            const entries = await this._build();
+            await this._write(entries);
+            this._log.info(`search - Rebuilt search index - Versions: ${entries.size}`);
+            return entries.size;
+        });
+    }
+
+    /**
+     * Every version in the index, newest first
+     *
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        const versions = await this._list();
+        return versions.slice();
+    }
+
+    /**
+     * Search the names, versions and file paths of the organization. A
+     * version matches when its name, version or any of its file paths
+     * contains the query. Matching file paths are listed for each version.
+     *
+     * @param {Object} query
+     * @param {String} [query.q] Text to search for, all versions when empty
+     * @param {String} [query.type] Limit to pkg, npm or map
+     * @param {String} [query.order] "desc" for newest first or "asc" for oldest first
+     * @param {Number} [query.offset] Number of results to skip
+     * @param {Number} [query.limit] Max number of results
+     * @returns {Promise<Object>} The total number of matches and the page of results
+     */
+    async query({
+        q = '',
+        type,
+        order = 'desc',
+        offset = 0,
+        limit = 20,
+    } = {}) {
+        const versions = await this._list();
+        const needle = q.toLowerCase();
+
+        const matches = [];
+        versions.forEach((entry) => {
+            if (type && entry.type !== type) return;
+            const files = needle ? entry.files.filter((file) => file.toLowerCase().includes(needle)) : [];
+            const hit = !needle
+                || entry.name.toLowerCase().includes(needle)
+                || entry.version.toLowerCase().includes(needle)
+                || files.length > 0;
+            if (hit) matches.push({ ...entry, files });
+        });
+
+        if (order === 'asc') matches.reverse();
+
+        return {
+            total: matches.length,
+            offset,
+            limit,
+            results: matches.slice(offset, offset + limit),
+        };
+    }
+};
+
+export default SearchIndex;
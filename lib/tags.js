@@ -0,0 +1,312 @@
+import { validators } from '@eik/common';
+import HttpError from 'http-errors';
+import Metrics from '@metrics/client';
+import Busboy from 'busboy';
+import semver from 'semver';
+
+import * as utils from './utils.js';
+
+const TAG = /^[a-zA-Z][a-zA-Z0-9._-]{0,63}$/;
+
+// Read the version a tag should point to from the "version" field
+const readField = (req) => new Promise((resolve, reject) => {
+    let value;
+
+    const busboy = new Busboy({
+        headers: req.headers,
+        limits: {
+            fields: 1,
+            files: 0,
+        },
+    });
+
+    busboy.on('field', (fieldname, val) => {
+        if (fieldname === 'version') {
+            value = val;
+        }
+    });
+
+    busboy.on('finish', () => {
+        if (value === undefined) {
+            reject(new HttpError.BadRequest());
+            return;
+        }
+        resolve(value);
+    });
+
+    busboy.on('error', reject);
+
+    req.pipe(busboy);
+});
+
+/**
+ * Named tags, like "latest", "next" or "canary", pointing to a version
+ * of a package, npm package or import map. Tags live next to the numeric
+ * aliases and are all kept in one file per package so they can be listed.
+ *
+ * Changes to the tags of a package are read, modified and written one at
+ * the time by each server. Sinks have no conditional writes, so servers
+ * sharing a sink can still overwrite each other's concurrent changes to
+ * the tags of the same package.
+ *
+ * @class Tags
+ */
+const Tags = class Tags {
+    constructor({
+        cacheControl,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._cacheControl = cacheControl || 'public, max-age=1200';
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+        this._pending = new Map();
+        this._metrics = new Metrics();
+        this._histogram = this._metrics.histogram({
+            name: 'eik_service_tags_handler',
+            description: 'Histogram measuring time taken in Tags handler methods',
+            labels: {
+                success: true,
+                method: 'unknown',
+                type: 'unknown',
+            },
+            buckets: [
+                0.005,
+                0.01,
+                0.06,
+                0.1,
+                0.6,
+                1.0,
+                2.0,
+                4.0,
+            ],
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    // Tags can not be something semver considers a version or a range
+    // since those are resolved in the version segment of the URLs
+    static isTag(value = '') {
+        if (!TAG.test(value)) return false;
+        return semver.validRange(value) === null;
+    }
+
+    _validate({ type, name, tag }, method, end) {
+        try {
+            const pName = decodeURIComponent(name);
+            validators.name(pName);
+            validators.type(type);
+            if (!Tags.isTag(tag)) {
+                throw new TypeError(`The tag "${tag}" is not legal`);
+            }
+            return { org: this._org, name: pName, type, tag };
+        } catch (error) {
+            this._log.info(`tag:${method} - Validation failed - ${error.message}`);
+            const e = method === 'get' ? new HttpError.NotFound() : new HttpError.BadRequest();
+            end({ labels: { success: false, status: e.status, method } });
+            throw e;
+        }
+    }
+
+    async _read(incoming) {
+        try {
+            const obj = await utils.readJSON(this._sink, utils.createFilePathToTags(incoming));
+            return obj.tags || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async _exist(path) {
+        try {
+            await this._sink.exist(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Run changes to the tags file of a package after the changes queued
+    // before it
+    _serialize(incoming, fn) {
+        const path = utils.createFilePathToTags(incoming);
+        const current = (this._pending.get(path) || Promise.resolve()).then(fn);
+        const tail = current.catch(() => {});
+        this._pending.set(path, tail);
+        tail.then(() => {
+            if (this._pending.get(path) === tail) this._pending.delete(path);
+        });
+        return current;
+    }
+
+    async _version(req, incoming) {
+        let version;
+        try {
+            version = validators.version(await readField(req));
+        } catch (error) {
+            this._log.info(`tag:write - Input field could not be validated - ${error.message}`);
+            throw new HttpError.BadRequest();
+        }
+
+        const target = { ...incoming, version };
+        const path = incoming.type === 'map' ? utils.createFilePathToImportMap(target) : utils.createFilePathToPackage(target);
+        const [exists, deleted] = await Promise.all([
+            this._exist(path),
+            this._exist(utils.createFilePathToTombstone(target)),
+        ]);
+
+        if (!exists) {
+            this._log.info(`tag:write - Unable to locate requested published version - Version: ${incoming.name}@${version}`);
+            throw new HttpError.NotFound();
+        }
+
+        if (deleted) {
+            this._log.info(`tag:write - Requested version is deleted - Version: ${incoming.name}@${version}`);
+            throw new HttpError.Gone();
+        }
+
+        return version;
+    }
+
+    async _write(incoming, tags) {
+        const path = utils.createFilePathToTags(incoming);
+        try {
+            await utils.writeJSON(this._sink, path, { tags });
+            this._log.info(`tag:write - Successfully wrote tags to sink - Pathname: ${path}`);
+        } catch (error) {
+            this._log.error(`tag:write - Failed writing tags to sink - Pathname: ${path}`);
+            this._log.trace(error);
+            throw new HttpError.BadGateway();
+        }
+    }
+
+    // Set a tag. Creating with PUT fails on an existing tag and
+    // updating with POST fails on a tag which does not exist.
+    async _set(req, user = {}, params, create) {
+        const method = create ? 'put' : 'post';
+        const end = this._histogram.timer();
+        const incoming = this._validate(params, method, end);
+
+        try {
+            await this._serialize(incoming, async () => {
+                const tags = await this._read(incoming);
+
+                // The body is not read, drain it so the response can be sent
+                if (create && tags[incoming.tag]) {
+                    this._log.info(`tag:${method} - Tag exists - Type: ${incoming.type} - Name: ${incoming.name} - Tag: ${incoming.tag}`);
+                    req.resume();
+                    throw new HttpError.Conflict();
+                }
+
+                if (!create && !tags[incoming.tag]) {
+                    this._log.info(`tag:${method} - Tag does not exist - Type: ${incoming.type} - Name: ${incoming.name} - Tag: ${incoming.tag}`);
+                    req.resume();
+                    throw new HttpError.NotFound();
+                }
+
+                tags[incoming.tag] = {
+                    version: await this._version(req, incoming),
+                    updated: Math.floor(Date.now() / 1000),
+                    author: {
+                        name: user.name || '',
+                        user: user.user || '',
+                    },
+                };
+
+                await this._write(incoming, tags);
+            });
+        } catch (error) {
+            end({ labels: { success: false, status: error.status, method, type: incoming.type } });
+            throw error;
+        }
+
+        end({ labels: { status: 303, method, type: incoming.type } });
+
+        return {
+            cacheControl: 'no-store',
+            statusCode: 303,
+            location: `/${incoming.type}/${incoming.name}/tags/${incoming.tag}`,
+            mimeType: 'text/plain',
+        };
+    }
+
+    /**
+     * Tag names with the version each of them points to
+     *
+     * @param {Object} params
+     * @returns {Promise<Object>}
+     */
+    async list({ type, name }) {
+        const tags = await this._read({ org: this._org, type, name });
+        return Object.fromEntries(Object.entries(tags).map(([tag, entry]) => [tag, entry.version]));
+    }
+
+    async get(req, type, name, tag, extras = '') {
+        const end = this._histogram.timer();
+        const incoming = this._validate({ type, name, tag }, 'get', end);
+
+        const tags = await this._read(incoming);
+        const entry = tags[incoming.tag];
+
+        if (!entry) {
+            this._log.debug(`tag:get - Tag not found - Type: ${type} - Name: ${incoming.name} - Tag: ${incoming.tag}`);
+            const e = new HttpError.NotFound();
+            end({ labels: { success: false, status: e.status, method: 'get', type } });
+            throw e;
+        }
+
+        const pathname = [type, incoming.name, entry.version, extras].filter((part) => part !== '').join('/');
+
+        end({ labels: { status: 302, method: 'get', type } });
+
+        return {
+            cacheControl: this._cacheControl,
+            statusCode: 302,
+            location: `/${pathname}`,
+            mimeType: 'text/plain',
+        };
+    }
+
+    async put(req, user, type, name, tag) {
+        return this._set(req, user, { type, name, tag }, true);
+    }
+
+    async post(req, user, type, name, tag) {
+        return this._set(req, user, { type, name, tag }, false);
+    }
+
+    async del(req, user, type, name, tag) {
+        const end = this._histogram.timer();
+        const incoming = this._validate({ type, name, tag }, 'delete', end);
+
+        try {
+            await this._serialize(incoming, async () => {
+                const tags = await this._read(incoming);
+                if (!tags[incoming.tag]) {
+                    this._log.info(`tag:delete - Tag does not exist - Type: ${type} - Name: ${incoming.name} - Tag: ${incoming.tag}`);
+                    throw new HttpError.NotFound();
+                }
+                delete tags[incoming.tag];
+                await this._write(incoming, tags);
+            });
+        } catch (error) {
+            end({ labels: { success: false, status: error.status, method: 'delete', type } });
+            throw error;
+        }
+
+        end({ labels: { status: 204, method: 'delete', type } });
+
+        return {
+            cacheControl: 'no-store',
+            statusCode: 204,
+            mimeType: 'text/plain',
+        };
+    }
+};
+
+export default Tags;
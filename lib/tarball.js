@@ -0,0 +1,41 @@
+import tar from 'tar';
+
+// Blocks marking the end of a tar archive
+const END = Buffer.alloc(1024);
+
+// Header of a file entry in a tar archive. Paths too long for the
+// header gets an extended header in front of it.
+const header = (pathname, size, mtime = new Date()) => {
+    const head = new tar.Header({
+        path: pathname,
+        mode: 0o644,
+        type: 'File',
+        mtime,
+        size,
+    });
+    head.encode();
+    if (head.needPax) {
+        return Buffer.concat([new tar.Pax({ path: pathname, mtime }).encode(), head.block]);
+    }
+    return head.block;
+};
+
+// File contents in a tar archive are padded to whole blocks
+const padding = (size) => Buffer.alloc((512 - (size % 512)) % 512);
+
+// Pack files, as a list of [pathname, buffer], into a tar archive
+const pack = (files, mtime) => {
+    const blocks = [];
+    files.forEach(([pathname, buffer]) => {
+        blocks.push(header(pathname, buffer.length, mtime), buffer, padding(buffer.length));
+    });
+    blocks.push(END);
+    return Buffer.concat(blocks);
+};
+
+export {
+    header,
+    padding,
+    pack,
+    END,
+}
@@ -0,0 +1,360 @@
+import { validators } from '@eik/common';
+import HttpError from 'http-errors';
+import semver from 'semver';
+import path from 'path';
+
+import { escape, page } from './html.js';
+import { highlight, languageOf } from './highlight.js';
+import * as utils from './utils.js';
+
+const TYPES = ['pkg', 'npm', 'map'];
+
+const bytes = (size = 0) => {
+    if (size < 1024) return `${size} B`;
+    if (size < 1048576) return `${(size / 1024).toFixed(1)} kB`;
+    return `${(size / 1048576).toFixed(1)} MB`;
+};
+
+const date = (seconds) => (seconds ? new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 19) : '');
+
+const link = (href, text) => `<a href="${escape(href)}">${escape(text)}</a>`;
+
+// Nest a list of files into directories on their pathnames
+const tree = (files) => {
+    const root = { dirs: new Map(), files: [] };
+    files.forEach((file) => {
+        const parts = file.pathname.split('/').filter(Boolean);
+        let node = root;
+        parts.slice(0, -1).forEach((part) => {
+            if (!node.dirs.has(part)) node.dirs.set(part, { dirs: new Map(), files: [] });
+            node = node.dirs.get(part);
+        });
+        node.files.push({ ...file, basename: parts[parts.length - 1] });
+    });
+    return root;
+};
+
+/**
+ * Server rendered HTML pages for browsing the catalog, versions, files
+ * and aliases of an organization. Pages are plain HTML with inlined
+ * styles so nothing has to be built or fetched from elsewhere.
+ *
+ * @class UI
+ */
+const UI = class UI {
+    constructor({
+        prefix = '/ui',
+        previewSize = 262144,
+        catalog,
+        search,
+        index,
+        tags,
+        pkgDel,
+        logger,
+        sink,
+        org,
+    } = {}) {
+        this._prefix = prefix;
+        this._previewSize = previewSize;
+        this._catalog = catalog;
+        this._search = search;
+        this._index = index;
+        this._tags = tags;
+        this._pkgDel = pkgDel;
+        this._sink = sink;
+        this._org = org;
+        this._log = logger;
+    }
+
+    _href(...parts) {
+        return [this._prefix, ...parts.filter((part) => part !== undefined && part !== '')].join('/');
+    }
+
+    _crumbs(type, name, version, extras) {
+        const crumbs = [[this._href(), this._org]];
+        if (type) crumbs.push([this._href(type), type]);
+        if (name) crumbs.push([this._href(type, name), name]);
+        if (version) crumbs.push([this._href(type, name, version), version]);
+        if (extras) crumbs.push(['', extras]);
+        return crumbs;
+    }
+
+    static _type(type) {
+        if (!TYPES.includes(type)) throw new HttpError.NotFound();
+    }
+
+    // Names and versions are validated before they become part of a
+    // path in the sink, as on the JSON routes
+    static _validate({ type, name, version }) {
+        UI._type(type);
+        try {
+            validators.name(name);
+            if (version !== undefined) validators.version(version);
+        } catch (error) {
+            throw new HttpError.NotFound();
+        }
+    }
+
+    async _meta({ type, name, version }) {
+        try {
+            return await utils.readJSON(this._sink, utils.createFilePathToPackage({
+                org: this._org,
+                type,
+                name,
+                version,
+            }));
+        } catch (error) {
+            throw new HttpError.NotFound();
+        }
+    }
+
+    async _published({ type, name, version }) {
+        if (!semver.valid(version)) throw new HttpError.NotFound();
+        if (await this._pkgDel.isDeleted({ type, name: encodeURIComponent(name), version })) {
+            throw new HttpError.Gone();
+        }
+    }
+
+    /**
+     * Front page with links to the catalog of each type
+     *
+     * @returns {Promise<String>} HTML
+     */
+    async home() {
+        const counts = await Promise.all(TYPES.map((type) => this._catalog.list({ type, limit: 0 })));
+        const items = TYPES.map((type, i) => `<li>${link(this._href(type), `/${type}`)} - ${counts[i].total}</li>`);
+        return page({
+            title: this._org,
+            content: `<ul>${items.join('')}</ul>`,
+        });
+    }
+
+    /**
+     * A page of the catalog of a type
+     *
+     * @param {String} type pkg, npm or map
+     * @param {Object} pagination Offset and limit
+     * @returns {Promise<String>} HTML
+     */
+    async catalog(type, { offset = 0, limit = 50 } = {}) {
+        UI._type(type);
+        const result = await this._catalog.list({ type, offset, limit });
+
+        const rows = result.packages.map((pkg) => [
+            '<tr>',
+            `<td>${link(this._href(type, pkg.name), pkg.name)}</td>`,
+            `<td>${pkg.latest ? link(this._href(type, pkg.name, pkg.latest), pkg.latest) : ''}</td>`,
+            `<td>${pkg.aliases.map((alias) => `v${escape(alias)}`).join(' ')}</td>`,
+            `<td>${pkg.versions}</td>`,
+            `<td>${date(pkg.created)}</td>`,
+            `<td>${bytes(pkg.size)}</td>`,
+            '</tr>',
+        ].join(''));
+
+        const pages = [];
+        if (offset > 0) pages.push(link(`${this._href(type)}?offset=${Math.max(offset - limit, 0)}&limit=${limit}`, 'Previous'));
+        if (offset + limit < result.total) pages.push(link(`${this._href(type)}?offset=${offset + limit}&limit=${limit}`, 'Next'));
+
+        return page({
+            title: `/${type}`,
+            crumbs: this._crumbs(type),
+            content: [
+                `<p>${result.total} packages</p>`,
+                '<table>',
+                '<thead><tr><th>Name</th><th>Latest</th><th>Aliases</th><th>Versions</th><th>Last published</th><th>Size</th></tr></thead>',
+                `<tbody>${rows.join('')}</tbody>`,
+                '</table>',
+                `<nav>${pages.join(' ')}</nav>`,
+            ].join('\n'),
+        });
+    }
+
+    /**
+     * Versions, aliases and tags of a package
+     *
+     * @param {String} type pkg, npm or map
+     * @param {String} name Name of the package
+     * @returns {Promise<String>} HTML
+     */
+    async versions(type, name) {
+        UI._validate({ type, name });
+        const [entries, packages] = await Promise.all([this._search.list(), this._index.list()]);
+        const versions = entries
+            .filter((entry) => entry.type === type && entry.name === name)
+            .sort((a, b) => semver.rcompare(a.version, b.version));
+        if (versions.length === 0) throw new HttpError.NotFound();
+
+        const { aliases = [] } = packages.find((entry) => entry.type === type && entry.name === name) || {};
+        const targets = await Promise.all(aliases.map(async (alias) => {
+            try {
+                const obj = await utils.readJSON(this._sink, utils.createFilePathToAlias({
+                    org: this._org,
+                    type,
+                    name,
+                    alias,
+                }));
+                return obj.version;
+            } catch (error) {
+                return undefined;
+            }
+        }));
+        const tags = type === 'map' ? {} : await this._tags.list({ type, name });
+
+        const rows = versions.map((entry) => [
+            '<tr>',
+            `<td>${link(this._href(type, name, entry.version), entry.version)}</td>`,
+            `<td>${date(entry.created)}</td>`,
+            `<td>${type === 'map' ? '' : entry.files.length}</td>`,
+            `<td>${type === 'map' ? '' : bytes(entry.size)}</td>`,
+            '</tr>',
+        ].join(''));
+
+        const pointers = [
+            ...aliases.map((alias, i) => [`v${alias}`, targets[i]]),
+            ...Object.entries(tags),
+        ].filter(([, version]) => version);
+
+        return page({
+            title: name,
+            crumbs: this._crumbs(type, name),
+            content: [
+                pointers.length > 0 ? [
+                    '<h2>Aliases and tags</h2>',
+                    '<table>',
+                    pointers.map(([pointer, version]) => `<tr><td>${escape(pointer)}</td><td>${link(this._href(type, name, version), version)}</td></tr>`).join(''),
+                    '</table>',
+                ].join('\n') : '',
+                '<h2>Versions</h2>',
+                '<table>',
+                '<thead><tr><th>Version</th><th>Published</th><th>Files</th><th>Size</th></tr></thead>',
+                `<tbody>${rows.join('')}</tbody>`,
+                '</table>',
+                `<p>${link(`/${type}/${name}`, 'Version listing as JSON')}</p>`,
+            ].join('\n'),
+        });
+    }
+
+    _tree(node, type, name, version) {
+        const dirs = Array.from(node.dirs.entries())
+            .sort(([a], [b]) => (a < b ? -1 : 1))
+            .map(([dir, child]) => `<li>${escape(dir)}/${this._tree(child, type, name, version)}</li>`);
+        const files = node.files
+            .sort((a, b) => (a.basename < b.basename ? -1 : 1))
+            .map((file) => [
+                '<li>',
+                link(this._href(type, name, version, file.pathname.replace(/^\//, '')), file.basename),
+                ` <span>${bytes(file.size)}</span>`,
+                ` <span class="integrity">${escape(file.integrity)}</span>`,
+                '</li>',
+            ].join(''));
+        return `<ul class="tree">${[...dirs, ...files].join('')}</ul>`;
+    }
+
+    /**
+     * Files of a version of a package, or the import map of a version
+     * of a map
+     *
+     * @param {String} type pkg, npm or map
+     * @param {String} name Name of the package
+     * @param {String} version Version of the package
+     * @returns {Promise<String>} HTML
+     */
+    async files(type, name, version) {
+        UI._validate({ type, name, version });
+        await this._published({ type, name, version });
+
+        if (type === 'map') {
+            let map;
+            try {
+                map = await utils.readJSON(this._sink, utils.createFilePathToImportMap({ org: this._org, name, version }));
+            } catch (error) {
+                throw new HttpError.NotFound();
+            }
+            return page({
+                title: `${name}@${version}`,
+                crumbs: this._crumbs(type, name, version),
+                content: [
+                    UI._source(JSON.stringify(map, null, 2), 'json'),
+                    `<p>${link(`/${type}/${name}/${version}`, 'Import map as JSON')}</p>`,
+                ].join('\n'),
+            });
+        }
+
+        const meta = await this._meta({ type, name, version });
+        const size = meta.files.reduce((sum, file) => sum + file.size, 0);
+
+        return page({
+            title: `${name}@${version}`,
+            crumbs: this._crumbs(type, name, version),
+            content: [
+                '<table>',
+                `<tr><th>Published</th><td>${date(meta.created)}</td></tr>`,
+                `<tr><th>Author</th><td>${escape((meta.author && meta.author.name) || '')}</td></tr>`,
+                `<tr><th>Files</th><td>${meta.files.length}</td></tr>`,
+                `<tr><th>Size</th><td>${bytes(size)}</td></tr>`,
+                `<tr><th>Integrity</th><td class="integrity">${escape(meta.integrity)}</td></tr>`,
+                '</table>',
+                this._tree(tree(meta.files), type, name, version),
+                `<p>${link(`/${type}/${name}/${version}`, 'Package log as JSON')}</p>`,
+            ].join('\n'),
+        });
+    }
+
+    static _source(source, language) {
+        const lines = source.split('\n').map((line, i) => i + 1).join('\n');
+        return `<div class="source"><pre class="lines">${lines}</pre><pre><code>${highlight(source, language)}</code></pre></div>`;
+    }
+
+    /**
+     * Preview of a file in a package. Text files up to the preview size
+     * are shown highlighted, other files are linked to.
+     *
+     * @param {String} type pkg or npm
+     * @param {String} name Name of the package
+     * @param {String} version Version of the package
+     * @param {String} extras Path of the file in the package
+     * @returns {Promise<String>} HTML
+     */
+    async file(type, name, version, extras) {
+        UI._validate({ type, name, version });
+        await this._published({ type, name, version });
+
+        const meta = await this._meta({ type, name, version });
+        const pathname = path.join('/', extras);
+        const file = meta.files.find((entry) => path.join('/', entry.pathname) === pathname);
+        if (!file) throw new HttpError.NotFound();
+
+        const raw = `/${type}/${name}/${version}${pathname}`;
+        const language = languageOf(pathname, file.mimeType);
+        const text = language || file.mimeType.startsWith('text/');
+
+        let preview = '<p>No preview of this file.</p>';
+        if (text && file.size <= this._previewSize) {
+            const dir = utils.createFilePathToVersionDirectory({
+                org: this._org,
+                type,
+                name,
+                version,
+            });
+            preview = UI._source(await utils.readString(this._sink, path.join(dir, pathname)), language);
+        } else if (text) {
+            preview = `<p>The file is larger than ${bytes(this._previewSize)} and is not previewed.</p>`;
+        }
+
+        return page({
+            title: pathname.slice(1),
+            crumbs: this._crumbs(type, name, version, pathname.slice(1)),
+            content: [
+                '<table>',
+                `<tr><th>Type</th><td>${escape(file.mimeType)}</td></tr>`,
+                `<tr><th>Size</th><td>${bytes(file.size)}</td></tr>`,
+                `<tr><th>Integrity</th><td class="integrity">${escape(file.integrity)}</td></tr>`,
+                '</table>',
+                `<p>${link(raw, 'Raw file')}</p>`,
+                preview,
+            ].join('\n'),
+        });
+    }
+};
+
+export default UI;
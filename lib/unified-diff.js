@@ -0,0 +1,170 @@
+// Lines of a text with their line breaks, so a missing line break at the
+// end of a file is a change too
+const split = (text) => {
+    const lines = text.split('\n').map((line) => `${line}\n`);
+    const last = lines.pop().slice(0, -1);
+    if (last) lines.push(last);
+    return lines;
+};
+
+// Shortest edit script of two lists of lines, as in "An O(ND) Difference
+// Algorithm and Its Variations" by Eugene W. Myers. Undefined when more
+// than max edits are needed.
+const myers = (a, b, max) => {
+    const offset = max + 1;
+    const v = new Int32Array((2 * max) + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d += 1) {
+        // Endpoints of the previous round, for k from -d - 1 to d + 1
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x += 1;
+                y += 1;
+            }
+            v[offset + k] = x;
+
+            if (x >= a.length && y >= b.length) {
+                return trace;
+            }
+        }
+    }
+
+    return undefined;
+};
+
+// Walk the trace back from the end to get each line as kept, removed
+// or added
+const backtrack = (a, b, trace) => {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d -= 1) {
+        const previous = trace[d];
+        const at = (k) => previous[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push([' ', a[x - 1]]);
+            x -= 1;
+            y -= 1;
+        }
+        if (x === prevX) {
+            ops.push(['+', b[y - 1]]);
+        } else {
+            ops.push(['-', a[x - 1]]);
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    while (x > 0) {
+        ops.push([' ', a[x - 1]]);
+        x -= 1;
+    }
+
+    return ops.reverse();
+};
+
+// Each line as kept, removed or added. Lines in common at the start and
+// end are not part of the search. Changes too large to search through
+// are every line removed and then every line added.
+const operations = (a, b, max) => {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - end - 1] === b[b.length - end - 1]) end += 1;
+
+    const from = a.slice(start, a.length - end);
+    const to = b.slice(start, b.length - end);
+    const trace = myers(from, to, max);
+    const middle = trace
+        ? backtrack(from, to, trace)
+        : [...from.map((line) => ['-', line]), ...to.map((line) => ['+', line])];
+
+    return [
+        ...a.slice(0, start).map((line) => [' ', line]),
+        ...middle,
+        ...a.slice(a.length - end).map((line) => [' ', line]),
+    ];
+};
+
+const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+
+const line = ([op, text]) => (text.endsWith('\n')
+    ? `${op}${text}`
+    : `${op}${text}\n\\ No newline at end of file\n`);
+
+/**
+ * A unified diff of two texts, as made by "diff -u". Empty when the
+ * texts are the same.
+ *
+ * @param {String} from The old text
+ * @param {String} to The new text
+ * @param {Object} [options]
+ * @param {String} [options.fromLabel] Name of the old text in the header
+ * @param {String} [options.toLabel] Name of the new text in the header
+ * @param {Number} [options.context] Number of unchanged lines around each change
+ * @param {Number} [options.maxEdits] Max number of edits to search for the shortest diff
+ * @returns {String}
+ */
+const unifiedDiff = (from, to, {
+    fromLabel = 'a',
+    toLabel = 'b',
+    context = 3,
+    maxEdits = 2000,
+} = {}) => {
+    if (from === to) return '';
+
+    const ops = operations(split(from), split(to), maxEdits);
+
+    // Line number in each text before each operation
+    const positions = [];
+    let a = 0;
+    let b = 0;
+    ops.forEach(([op]) => {
+        positions.push([a, b]);
+        if (op !== '+') a += 1;
+        if (op !== '-') b += 1;
+    });
+    positions.push([a, b]);
+
+    // Changes closer than twice the context share a hunk
+    const groups = [];
+    ops.forEach(([op], i) => {
+        if (op === ' ') return;
+        const last = groups[groups.length - 1];
+        if (last && i - last[1] - 1 <= 2 * context) {
+            last[1] = i;
+        } else {
+            groups.push([i, i]);
+        }
+    });
+
+    const hunks = groups.map(([first, last]) => {
+        const start = Math.max(0, first - context);
+        const end = Math.min(ops.length, last + context + 1);
+        const lines = ops.slice(start, end);
+        const oldCount = lines.filter(([op]) => op !== '+').length;
+        const newCount = lines.filter(([op]) => op !== '-').length;
+        const [oldStart, newStart] = positions[start];
+        const header = `@@ -${range(oldCount ? oldStart + 1 : oldStart, oldCount)} +${range(newCount ? newStart + 1 : newStart, newCount)} @@\n`;
+        return header + lines.map(line).join('');
+    });
+
+    return `--- ${fromLabel}\n+++ ${toLabel}\n${hunks.join('')}`;
+};
+
+export {
+    unifiedDiff,
+};
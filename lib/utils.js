@@ -1,3 +1,4 @@
+import { Writable, Readable, pipeline } from 'stream';
 import path from 'path';
 
 const sanitizeExtras = (extras, version) => {
@@ -44,9 +45,113 @@ const sanitizeParameters = (url = '') => {
     };
 };
 
+// Turn a name pattern like "@podium/*" into a regular expression where
+// "*" matches any sequence of characters
+const patternToRegExp = (pattern) => {
+    const escaped = pattern
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${escaped}$`);
+};
+
+// Build file system paths to files in the sink. These mirror the
+// path builders in @eik/core which is not a part of its public API.
+
+const createFilePathToPackage = ({ org = '', type = '', name = '', version = '' } = {}) => path.join('/', org, type, name, `${version}.package.json`);
+
+const createFilePathToImportMap = ({ org = '', name = '', version = '' } = {}) => path.join('/', org, 'map', name, `${version}.import-map.json`);
+
+const createFilePathToVersionDirectory = ({ org = '', type = '', name = '', version = '' } = {}) => path.join('/', org, type, name, version);
+
+const createFilePathToVersion = ({ org = '', type = '', name = '' } = {}) => path.join('/', org, type, name, 'versions.json');
+
+const createFilePathToAlias = ({ org = '', type = '', name = '', alias = '' } = {}) => path.join('/', org, type, name, `${alias}.alias.json`);
+
+const createFilePathToTags = ({ org = '', type = '', name = '' } = {}) => path.join('/', org, type, name, 'tags.json');
+
+const createFilePathToTombstone = ({ org = '', type = '', name = '', version = '' } = {}) => path.join('/', org, type, name, `${version}.tombstone.json`);
+
+const createFilePathToVariants = ({ org = '', type = '', name = '', version = '' } = {}) => path.join('/', org, type, name, `${version}.variants.json`);
+
+const createFilePathToPreload = ({ org = '', name = '', version = '' } = {}) => path.join('/', org, 'map', name, `${version}.preload.json`);
+
+const readBuffer = async (sink, pathname) => {
+    const file = await sink.read(pathname);
+    return new Promise((resolve, reject) => {
+        const buffer = [];
+        const to = new Writable({
+            write(chunk, encoding, callback) {
+                buffer.push(chunk);
+                callback();
+            },
+        });
+
+        pipeline(file.stream, to, (error) => {
+            if (error) return reject(error);
+            return resolve(Buffer.concat(buffer));
+        });
+    });
+};
+
+const readString = async (sink, pathname) => (await readBuffer(sink, pathname)).toString();
+
+const readJSON = async (sink, pathname) => JSON.parse(await readString(sink, pathname));
+
+const writeString = async (sink, pathname, str, contentType) => {
+    const to = await sink.write(pathname, contentType);
+    return new Promise((resolve, reject) => {
+        pipeline(Readable.from([Buffer.from(str)]), to, (error) => {
+            if (error) return reject(error);
+            return resolve();
+        });
+    });
+};
+
+const writeJSON = (sink, pathname, obj) => writeString(sink, pathname, JSON.stringify(obj), 'application/json');
+
+/**
+ * Paths of every file in a sink under a prefix. The sink interface can
+ * not list files, so only sinks with the optional list method can be
+ * listed.
+ *
+ * @param {Object} sink
+ * @param {String} prefix Path files must be under
+ * @returns {Promise<Array|undefined>} Undefined when the sink can not be listed
+ */
+const listFiles = async (sink, prefix = '/') => {
+    if (typeof sink.list === 'function') {
+        return sink.list(prefix);
+    }
+    return undefined;
+};
+
+// Map each item of a list with an async function, one item at the time
+const mapSeries = (list, fn) => list.reduce(async (previous, item) => {
+    const results = await previous;
+    return [...results, await fn(item)];
+}, Promise.resolve([]));
+
 export {
     sanitizeParameters,
     sanitizeExtras,
     sanitizeAlias,
     sanitizeName,
+    patternToRegExp,
+    createFilePathToPackage,
+    createFilePathToImportMap,
+    createFilePathToVersionDirectory,
+    createFilePathToVersion,
+    createFilePathToAlias,
+    createFilePathToTags,
+    createFilePathToTombstone,
+    createFilePathToVariants,
+    createFilePathToPreload,
+    readBuffer,
+    readString,
+    readJSON,
+    writeString,
+    writeJSON,
+    listFiles,
+    mapSeries,
 }
@@ -0,0 +1,73 @@
+import { validators } from '@eik/common';
+import { Readable } from 'stream';
+import HttpError from 'http-errors';
+import crypto from 'crypto';
+import eik from '@eik/core';
+
+import Conditional from './conditional.js';
+import * as utils from './utils.js';
+
+// Version listing which also lists the tags of the package. The listing
+// is read in full, so conditional requests are answered from an etag of
+// the listing and its tags without a stream to the sink left to close.
+const VersionsGet = class VersionsGet extends eik.http.VersionsGet {
+    constructor({ tags, org, ...options } = {}) {
+        super(options);
+        this._tags = tags;
+        this._org = org;
+    }
+
+    async handler(req, type, name) {
+        let pName;
+        try {
+            pName = decodeURIComponent(name);
+            validators.name(pName);
+            validators.type(type);
+        } catch (error) {
+            return super.handler(req, type, name);
+        }
+
+        const end = this._histogram.timer();
+
+        const path = utils.createFilePathToVersion({ org: this._org, type, name: pName });
+        let str;
+        try {
+            str = await utils.readString(this._sink, path);
+        } catch (error) {
+            this._log.debug(`pkg:latest - Package log not found - Pathname: ${path}`);
+            const e = new HttpError.NotFound();
+            end({ labels: { success: false, status: e.status, type } });
+            throw e;
+        }
+
+        // Listings of packages without tags are served as they are stored
+        const tags = await this._tags.list({ type, name: pName });
+        const body = Object.keys(tags).length === 0 ? str : JSON.stringify({ ...JSON.parse(str), tags });
+        const hasher = crypto.createHash('sha512');
+        hasher.update(body);
+        const etag = `"sha512-${hasher.digest('base64')}"`;
+
+        const outgoing = {
+            cacheControl: this._cacheControl,
+            mimeType: 'application/json',
+            statusCode: 200,
+            etag: '',
+        };
+
+        if (this._etag) {
+            outgoing.etag = etag;
+        }
+
+        if (this._etag && Conditional.notModified(req.headers, { etag })) {
+            outgoing.statusCode = 304;
+        } else {
+            outgoing.stream = Readable.from([body]);
+        }
+
+        end({ labels: { status: outgoing.statusCode, type } });
+
+        return outgoing;
+    }
+};
+
+export default VersionsGet;
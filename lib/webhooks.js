@@ -0,0 +1,183 @@
+import Metrics from '@metrics/client';
+import crypto from 'crypto';
+import https from 'https';
+import http from 'http';
+
+import { patternToRegExp } from './utils.js';
+
+const EVENTS = ['publish', 'alias', 'alias:delete', 'tag', 'tag:delete', 'delete', 'purge'];
+
+const sleep = (ms) => new Promise((resolve) => {
+    setTimeout(resolve, ms).unref();
+});
+
+const sign = (secret, body) => {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(body);
+    return `sha256=${hmac.digest('hex')}`;
+};
+
+const createHook = ({
+    url = '',
+    events = EVENTS,
+    types = ['pkg', 'npm', 'map'],
+    names = ['*'],
+    secret = '',
+} = {}) => {
+    events.forEach((event) => {
+        if (!EVENTS.includes(event)) throw new TypeError(`Unknown event in webhook: ${event}`);
+    });
+
+    const patterns = names.map(patternToRegExp);
+    return {
+        url: new URL(url),
+        secret,
+        matches({ event, type, name }) {
+            if (!events.includes(event)) return false;
+            if (!types.includes(type)) return false;
+            return patterns.some((pattern) => pattern.test(name));
+        },
+    };
+};
+
+/**
+ * Notifies external systems of changes to an organization. Each change
+ * is POSTed as JSON to every hook with filters matching the change.
+ * When a hook has a secret, the body is signed with HMAC SHA-256 and the
+ * signature is sent in the "x-eik-signature" header.
+ *
+ * Deliveries happen in the background and failed deliveries are retried
+ * with exponential backoff. Deliveries are not persisted, so pending
+ * retries are lost on restart.
+ *
+ * @class Webhooks
+ */
+const Webhooks = class Webhooks {
+    constructor({
+        hooks = [],
+        attempts = 5,
+        delay = 1000,
+        timeout = 10000,
+        logger,
+        org,
+    } = {}) {
+        this._hooks = hooks.map(createHook);
+        this._attempts = attempts;
+        this._timeout = timeout;
+        this._delay = delay;
+        this._org = org;
+        this._log = logger;
+        this._metrics = new Metrics();
+        this._counter = this._metrics.counter({
+            name: 'eik_service_webhook_deliveries',
+            description: 'Counter measuring webhook delivery attempts',
+            labels: {
+                success: true,
+                event: 'unknown',
+            },
+        });
+    }
+
+    get metrics() {
+        return this._metrics;
+    }
+
+    get size() {
+        return this._hooks.length;
+    }
+
+    _send(hook, headers, body) {
+        const client = hook.url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = client.request(hook.url, {
+                method: 'POST',
+                headers: {
+                    ...headers,
+                    'content-length': Buffer.byteLength(body),
+                },
+            }, (res) => {
+                res.resume();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(res.statusCode);
+                    return;
+                }
+                reject(new Error(`Receiver responded with http status ${res.statusCode}`));
+            });
+
+            req.setTimeout(this._timeout, () => {
+                req.destroy(new Error(`Receiver did not respond within ${this._timeout}ms`));
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    async _deliver(hook, payload) {
+        const body = JSON.stringify(payload);
+        const headers = {
+            'content-type': 'application/json',
+            'user-agent': 'eik-server',
+            'x-eik-event': payload.event,
+            'x-eik-delivery': payload.id,
+        };
+
+        if (hook.secret) {
+            headers['x-eik-signature'] = sign(hook.secret, body);
+        }
+
+        const deliver = async (attempt) => {
+            if (attempt > this._attempts) {
+                this._log.error(`webhooks - Giving up delivering event to receiver - Event: ${payload.event} - URL: ${hook.url.href}`);
+                return false;
+            }
+
+            try {
+                await this._send(hook, headers, body);
+                this._counter.inc({ labels: { event: payload.event } });
+                this._log.debug(`webhooks - Delivered event to receiver - Event: ${payload.event} - URL: ${hook.url.href}`);
+                return true;
+            } catch (error) {
+                this._counter.inc({ labels: { success: false, event: payload.event } });
+                this._log.warn(`webhooks - Failed delivering event to receiver - Attempt: ${attempt} of ${this._attempts} - URL: ${hook.url.href} - ${error.message}`);
+            }
+
+            if (attempt < this._attempts) {
+                await sleep(this._delay * (2 ** (attempt - 1)));
+            }
+            return deliver(attempt + 1);
+        };
+
+        return deliver(1);
+    }
+
+    dispatch({
+        event = '',
+        type = '',
+        name = '',
+        version = '',
+        alias = '',
+        actor = {},
+    } = {}) {
+        const hooks = this._hooks.filter((hook) => hook.matches({ event, type, name }));
+        if (hooks.length === 0) return Promise.resolve([]);
+
+        const payload = {
+            id: crypto.randomBytes(16).toString('hex'),
+            event,
+            timestamp: Math.floor(Date.now() / 1000),
+            org: this._org,
+            type,
+            name,
+            version,
+            alias,
+            actor: {
+                user: actor.user || '',
+                name: actor.name || '',
+            },
+        };
+
+        return Promise.all(hooks.map((hook) => this._deliver(hook, payload)));
+    }
+};
+
+export default Webhooks;
@@ -0,0 +1,270 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import os from 'os';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+const setup = async (sink = new Sink()) => {
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    return { address, headers, sink, app };
+};
+
+const mutate = async ({ address, headers }) => {
+    const pkgFormData = new FormData();
+    pkgFormData.append('package', fs.createReadStream(FIXTURE_PKG));
+    await fetch(`${address}/pkg/@cuz/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: pkgFormData,
+        headers: { ...headers, ...pkgFormData.getHeaders() },
+        redirect: 'manual',
+    });
+
+    const aliasFormData = new FormData();
+    aliasFormData.append('version', '8.4.1');
+    await fetch(`${address}/pkg/@cuz/fuzz/v8`, {
+        method: 'PUT',
+        body: aliasFormData,
+        headers: { ...headers, ...aliasFormData.getHeaders() },
+        redirect: 'manual',
+    });
+
+    await fetch(`${address}/pkg/@cuz/fuzz/v8`, {
+        method: 'DELETE',
+        headers,
+    });
+
+    const failedFormData = new FormData();
+    failedFormData.append('package', fs.createReadStream(FIXTURE_PKG));
+    await fetch(`${address}/pkg/@cuz/fuzz/8.4.2`, {
+        method: 'PUT',
+        body: failedFormData,
+        headers: failedFormData.getHeaders(),
+        redirect: 'manual',
+    });
+};
+
+tap.before(() => {
+    config.set('basicAuth.permissions.verbs', ['publish', 'alias', 'delete', 'admin']);
+});
+
+tap.teardown(() => {
+    config.reset('basicAuth.permissions.verbs');
+});
+
+tap.test('audit - no auth token', async (t) => {
+    const { address, app } = await setup();
+
+    const res = await fetch(`${address}/audit`);
+    t.equal(res.status, 401, 'on GET, server should respond with a 401 Unauthorized');
+
+    await app.close();
+});
+
+tap.test('audit - not permitted', async (t) => {
+    config.set('basicAuth.permissions.verbs', ['publish', 'alias', 'delete']);
+    const { address, headers, app } = await setup();
+
+    const res = await fetch(`${address}/audit`, { headers });
+    t.equal(res.status, 403, 'on GET without "admin" permission, server should respond with a 403 Forbidden');
+
+    await app.close();
+    config.set('basicAuth.permissions.verbs', ['publish', 'alias', 'delete', 'admin']);
+});
+
+tap.test('audit - sink - query by package', async (t) => {
+    const context = await setup();
+    const { address, headers, sink, app } = context;
+
+    await mutate(context);
+
+    const res = await fetch(`${address}/audit?name=@cuz/fuzz`, { headers });
+    const { records } = await res.json();
+
+    t.equal(res.status, 200, 'on GET, server should respond with a 200 OK');
+    t.equal(res.headers.get('cache-control'), 'no-store', 'should contain "cache-control" set to "no-store"');
+    t.equal(records.length, 4, 'should hold one record per mutating request on the package');
+
+    const [failed, del, alias, publish] = records;
+
+    t.match(publish, {
+        org: 'local',
+        action: 'publish',
+        method: 'PUT',
+        type: 'pkg',
+        name: '@cuz/fuzz',
+        version: '8.4.1',
+        actor: { user: 'generic_user', name: 'Generic User' },
+        outcome: 'success',
+        statusCode: 303,
+    }, 'should record publish');
+    t.ok(publish.ip, 'should record client ip');
+    t.ok(publish.timestamp > 0, 'should record timestamp');
+
+    t.match(alias, { action: 'alias', method: 'PUT', alias: '8', version: '8.4.1', outcome: 'success' }, 'should record alias with version');
+    t.match(del, { action: 'delete', method: 'DELETE', alias: '8', outcome: 'success' }, 'should record alias deletion');
+    t.match(failed, { action: 'publish', version: '8.4.2', actor: { user: '' }, outcome: 'failure', statusCode: 401 }, 'should record failed requests');
+
+    const date = new Date().toISOString().slice(0, 10);
+    const files = Array.from(sink._state.keys()).filter((key) => key.includes(`/local/audit/${date}/`));
+    t.equal(files.length, 5, 'should write one file per record to the sink');
+
+    await app.close();
+});
+
+tap.test('audit - sink - tags', async (t) => {
+    const context = await setup();
+    const { address, headers, app } = context;
+
+    await mutate(context);
+
+    const tagFormData = new FormData();
+    tagFormData.append('version', '8.4.1');
+    await fetch(`${address}/pkg/@cuz/fuzz/tags/beta`, {
+        method: 'PUT',
+        body: tagFormData,
+        headers: { ...headers, ...tagFormData.getHeaders() },
+        redirect: 'manual',
+    });
+
+    await fetch(`${address}/pkg/@cuz/fuzz/tags/beta`, {
+        method: 'DELETE',
+        headers,
+    });
+
+    const res = await fetch(`${address}/audit?name=@cuz/fuzz`, { headers });
+    const { records } = await res.json();
+    const [del, tag] = records;
+
+    t.match(tag, { action: 'tag', method: 'PUT', tag: 'beta', version: '8.4.1', outcome: 'success' }, 'should record tag with version');
+    t.match(del, { action: 'delete', method: 'DELETE', tag: 'beta', outcome: 'success' }, 'should record tag deletion');
+
+    await app.close();
+});
+
+tap.test('audit - sink - instances sharing a sink', async (t) => {
+    const sink = new Sink();
+    const first = await setup(sink);
+    const second = await setup(sink);
+
+    await mutate(first);
+    await mutate(second);
+
+    const res = await fetch(`${first.address}/audit?name=@cuz/fuzz`, { headers: first.headers });
+    const { records } = await res.json();
+    t.equal(records.length, 8, 'should hold the records of both instances');
+
+    await first.app.close();
+    await second.app.close();
+});
+
+tap.test('audit - sink - dry runs', async (t) => {
+    const { address, headers, app } = await setup();
+
+    const mapFormData = new FormData();
+    mapFormData.append('map', fs.createReadStream(FIXTURE_MAP));
+    const map = await fetch(`${address}/map/buzz/4.2.2?dryRun=true`, {
+        method: 'PUT',
+        body: mapFormData,
+        headers: { ...headers, ...mapFormData.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(map.status, 200, 'should answer the dry run of a map');
+
+    const pkgFormData = new FormData();
+    pkgFormData.append('package', fs.createReadStream(FIXTURE_PKG));
+    const pkg = await fetch(`${address}/pkg/fuzz/8.4.1?dryRun=true`, {
+        method: 'PUT',
+        body: pkgFormData,
+        headers: { ...headers, ...pkgFormData.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(pkg.status, 303, 'should publish packages as dry runs only applies to maps');
+
+    const maps = await fetch(`${address}/audit?name=buzz`, { headers }).then((res) => res.json());
+    t.equal(maps.records.length, 0, 'should not record dry runs of maps');
+
+    const pkgs = await fetch(`${address}/audit?name=fuzz`, { headers }).then((res) => res.json());
+    t.match(pkgs.records, [{ action: 'publish', version: '8.4.1', outcome: 'success' }], 'should record publishes of packages with a dry run query');
+
+    await app.close();
+});
+
+tap.test('audit - sink - query by actor and action', async (t) => {
+    const context = await setup();
+    const { address, headers, app } = context;
+
+    await mutate(context);
+
+    const actor = await fetch(`${address}/audit?actor=generic_user`, { headers });
+    const byActor = await actor.json();
+    t.equal(byActor.records.length, 4, 'should list records of actor, including login');
+    t.equal(byActor.records[3].action, 'login', 'should record login');
+
+    const action = await fetch(`${address}/audit?action=publish&limit=1`, { headers });
+    const byAction = await action.json();
+    t.equal(byAction.records.length, 1, 'should limit number of records');
+    t.equal(byAction.records[0].version, '8.4.2', 'should list newest record first');
+
+    const illegal = await fetch(`${address}/audit?limit=foo`, { headers });
+    t.equal(illegal.status, 400, 'should respond with a 400 Bad Request on illegal limit');
+
+    await app.close();
+});
+
+tap.test('audit - file', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eik-audit-'));
+    const file = path.join(directory, 'audit.jsonl');
+
+    config.set('audit.type', 'file');
+    config.set('audit.path', file);
+
+    const context = await setup();
+    const { address, headers, app } = context;
+
+    await mutate(context);
+
+    const res = await fetch(`${address}/audit?name=@cuz/fuzz&action=publish`, { headers });
+    const { records } = await res.json();
+    t.equal(records.length, 2, 'should read records from file');
+
+    const lines = fs.readFileSync(file).toString().trim().split('\n');
+    t.equal(lines.length, 5, 'should append one line per mutating request');
+    t.equal(JSON.parse(lines[0]).action, 'login', 'should write records as JSON lines');
+
+    await app.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+    config.reset('audit.type');
+    config.reset('audit.path');
+});
@@ -0,0 +1,235 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+import os from 'os';
+
+import Server from '../lib/main.js';
+import Backup from '../lib/backup.js';
+import PackageIndex from '../lib/package-index.js';
+import * as tarball from '../lib/tarball.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+// Sinks can have an optional list method. Lists the files of a test sink,
+// which keeps them under "/eik".
+const listable = (sink) => Object.assign(sink, {
+    list: async (prefix) => sink.dump()
+        .map(([pathname]) => path.join('/', path.relative('/eik', pathname)))
+        .filter((pathname) => pathname.startsWith(prefix)),
+});
+
+const start = async (sink = new Sink()) => {
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+
+    return {
+        headers: { 'Authorization': `Bearer ${token}` },
+        address,
+        service,
+        sink,
+        app,
+    };
+};
+
+const upload = async ({ address, headers }, pathname, field, value) => {
+    const form = new FormData();
+    form.append(field, value);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+const backup = ({ service }) => {
+    const [org] = service.organizations;
+    return new Backup({
+        logger: service.logger,
+        index: org.index,
+        sink: org.sink,
+        org: org.name,
+    });
+};
+
+tap.beforeEach(async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eik-backup-'));
+    const source = await start();
+    const target = await start();
+
+    t.context = { // eslint-disable-line no-param-reassign
+        archive: path.join(dir, 'backup.tar'),
+        source,
+        target,
+        dir,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.source.app.close();
+    await t.context.target.app.close();
+    fs.rmSync(t.context.dir, { recursive: true, force: true });
+});
+
+tap.test('backup - export and import an organization', async (t) => {
+    const { source, target, archive } = t.context;
+
+    await upload(source, '/pkg/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(source, '/pkg/@cuz/fuzz/8.5.0', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(source, '/npm/fuzz/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(source, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+    await upload(source, '/pkg/@cuz/fuzz/v8', 'version', '8.5.0');
+    await upload(source, '/map/buzz/v4', 'version', '4.2.2');
+    await upload(source, '/pkg/@cuz/fuzz/tags/beta', 'version', '8.4.1');
+    await source.service.organizations[0].precompress.idle();
+
+    const exported = await backup(source).export(archive);
+    t.same(exported.packages.map((pkg) => `${pkg.type}/${pkg.name}`), ['map/buzz', 'npm/fuzz', 'pkg/@cuz/fuzz'], 'manifest should list every package');
+    t.ok(exported.files.every((file) => file.integrity && file.size >= 0), 'manifest should hold a checksum for every file');
+    t.ok(exported.files.some((file) => file.pathname === 'pkg/@cuz/fuzz/8.alias.json'), 'archive should hold aliases');
+    t.ok(exported.files.some((file) => file.pathname === 'pkg/@cuz/fuzz/tags.json'), 'archive should hold tags');
+    t.ok(exported.files.some((file) => file.pathname.endsWith('/main/index.js.br')), 'archive should hold compressed variants');
+
+    const imported = await backup(target).import(archive);
+    t.equal(imported.files.length, exported.files.length, 'should import every file');
+
+    const [original, copy] = await Promise.all([
+        fetch(`${source.address}/pkg/@cuz/fuzz/8.4.1/main/index.js`).then((r) => r.text()),
+        fetch(`${target.address}/pkg/@cuz/fuzz/8.4.1/main/index.js`).then((r) => r.text()),
+    ]);
+    t.equal(copy, original, 'imported package should serve the same files');
+
+    const [a, b] = await Promise.all([
+        fetch(`${source.address}/npm/fuzz/1.0.0`).then((r) => r.json()),
+        fetch(`${target.address}/npm/fuzz/1.0.0`).then((r) => r.json()),
+    ]);
+    t.equal(b.integrity, a.integrity, 'imported npm package should have same integrity');
+
+    const map = await fetch(`${target.address}/map/buzz/4.2.2`);
+    t.equal(map.status, 200, 'imported import map should be served');
+
+    const alias = await fetch(`${target.address}/pkg/@cuz/fuzz/v8/main/index.js`, { redirect: 'manual' });
+    t.equal(new URL(alias.headers.get('location')).pathname, '/pkg/@cuz/fuzz/8.5.0/main/index.js', 'imported alias should redirect');
+
+    const versions = await fetch(`${target.address}/pkg/@cuz/fuzz`).then((r) => r.json());
+    t.same(versions.versions.map(([, entry]) => entry.version), ['8.5.0'], 'imported package should list versions');
+
+    const list = await backup(target).export(path.join(t.context.dir, 'again.tar'));
+    t.same(list.packages, exported.packages, 'imported packages should be in the index');
+});
+
+tap.test('backup - archive with a checksum mismatch is rejected', async (t) => {
+    const { source, target, archive } = t.context;
+
+    await upload(source, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+    const exported = await backup(source).export(archive);
+
+    // Same manifest but different file content
+    const files = exported.files.map((file) => [
+        `files/${file.pathname}`,
+        Buffer.from(`{"tampered":"${file.pathname}"}`),
+    ]);
+    fs.writeFileSync(archive, tarball.pack([...files, ['manifest.json', Buffer.from(JSON.stringify(exported))]]));
+
+    try {
+        await backup(target).import(archive);
+        t.fail('import should throw');
+    } catch (error) {
+        t.match(error.message, /not valid/, 'should reject the archive');
+        t.ok(error.problems.some((problem) => problem.startsWith('Checksum mismatch')), 'should list the checksum mismatch');
+    }
+
+    const res = await fetch(`${target.address}/map/buzz/4.2.2`);
+    t.equal(res.status, 404, 'nothing should be written to the sink');
+});
+
+tap.test('backup - archive with paths outside the organization is rejected', async (t) => {
+    const { target, archive } = t.context;
+
+    const body = Buffer.from('{}');
+    const manifest = {
+        format: 1,
+        org: 'local',
+        packages: [],
+        files: [{
+            pathname: '../other/map/buzz/4.2.2.import-map.json', mimeType: 'application/json', size: body.length, integrity: 'sha512-x',
+        }],
+    };
+    fs.writeFileSync(archive, tarball.pack([['manifest.json', Buffer.from(JSON.stringify(manifest))]]));
+
+    try {
+        await backup(target).import(archive);
+        t.fail('import should throw');
+    } catch (error) {
+        t.same(error.problems, ['Illegal path: ../other/map/buzz/4.2.2.import-map.json'], 'should list the illegal path');
+    }
+});
+
+tap.test('backup - packages published before the package index existed are exported', async (t) => {
+    const { target, archive } = t.context;
+
+    const source = await start(listable(new Sink()));
+    t.teardown(() => source.app.close());
+
+    await upload(source, '/pkg/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(source, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+    await upload(source, '/map/buzz/v4', 'version', '4.2.2');
+    await source.sink.delete('/local/index.json');
+
+    const exported = await backup(source).export(archive);
+    t.same(exported.packages, [
+        {
+            type: 'map', name: 'buzz', versions: ['4.2.2'], aliases: ['4'],
+        },
+        {
+            type: 'pkg', name: '@cuz/fuzz', versions: ['8.4.1'], aliases: [],
+        },
+    ], 'should rebuild the index from the sink');
+
+    await backup(target).import(archive);
+    const res = await fetch(`${target.address}/pkg/@cuz/fuzz/8.4.1/main/index.js`);
+    t.equal(res.status, 200, 'should export the files of the packages');
+});
+
+tap.test('backup - export fails without a package index on a sink which can not be listed', async (t) => {
+    const { source, archive } = t.context;
+
+    await upload(source, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+    await source.sink.delete('/local/index.json');
+
+    // Only the methods of the sink interface
+    const sink = {
+        write: (...args) => source.sink.write(...args),
+        read: (...args) => source.sink.read(...args),
+        delete: (...args) => source.sink.delete(...args),
+        exist: (...args) => source.sink.exist(...args),
+    };
+    const index = new PackageIndex({ org: 'local', sink, logger: source.service.logger });
+    const exporter = new Backup({
+        logger: source.service.logger,
+        org: 'local',
+        index,
+        sink,
+    });
+
+    await t.rejects(exporter.export(archive), /has no package index/, 'should not export an empty archive');
+});
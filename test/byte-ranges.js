@@ -0,0 +1,170 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+const FILE = '/pkg/fuzz/8.4.1/main/index.js';
+
+// Raw response, not decompressed by the client
+const get = (address, pathname, headers = {}) => fetch(`${address}${pathname}`, {
+    headers: { 'accept-encoding': 'identity', ...headers },
+    compress: false,
+});
+
+const raw = async (res) => Buffer.from(await res.arrayBuffer());
+
+tap.before(async () => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+
+    const pkg = new FormData();
+    pkg.append('package', fs.createReadStream(FIXTURE_PKG));
+    await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: pkg,
+        headers: { 'Authorization': `Bearer ${token}`, ...pkg.getHeaders() },
+        redirect: 'manual',
+    });
+
+    const full = await get(address, FILE);
+    tap.context = {
+        etag: full.headers.get('etag'),
+        body: await raw(full),
+        address,
+        app,
+    };
+});
+
+tap.teardown(async () => {
+    await tap.context.app.close();
+});
+
+tap.test('byte ranges - files are served with accept-ranges', async (t) => {
+    const { address, body } = tap.context;
+    const res = await get(address, FILE);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    t.equal(res.headers.get('accept-ranges'), 'bytes', 'should accept byte ranges');
+    t.same(await raw(res), body, 'should serve the whole file');
+});
+
+tap.test('byte ranges - single range', async (t) => {
+    const { address, body } = tap.context;
+
+    const res = await get(address, FILE, { range: 'bytes=0-99' });
+    t.equal(res.status, 206, 'should respond with 206 Partial Content');
+    t.equal(res.headers.get('content-range'), `bytes 0-99/${body.length}`, 'should have the range served');
+    t.equal(res.headers.get('content-length'), '100', 'should have length of the range');
+    t.match(res.headers.get('content-type'), 'application/javascript', 'should have content type of the file');
+    t.same(await raw(res), body.subarray(0, 100), 'should serve the bytes of the range');
+
+    const suffix = await get(address, FILE, { range: 'bytes=-100' });
+    t.equal(suffix.headers.get('content-range'), `bytes ${body.length - 100}-${body.length - 1}/${body.length}`, 'should serve the last bytes of the file');
+    t.same(await raw(suffix), body.subarray(body.length - 100), 'should serve the bytes of the suffix range');
+
+    const open = await get(address, FILE, { range: 'bytes=75000-' });
+    t.same(await raw(open), body.subarray(75000), 'should serve the rest of the file');
+
+    const beyond = await get(address, FILE, { range: `bytes=75000-${body.length + 1000}` });
+    t.equal(beyond.headers.get('content-range'), `bytes 75000-${body.length - 1}/${body.length}`, 'should stop the range at the end of the file');
+    await raw(beyond);
+});
+
+tap.test('byte ranges - multiple ranges', async (t) => {
+    const { address, body } = tap.context;
+
+    const res = await get(address, FILE, { range: 'bytes=100-109, 0-9' });
+    t.equal(res.status, 206, 'should respond with 206 Partial Content');
+    const type = res.headers.get('content-type');
+    t.match(type, /^multipart\/byteranges; boundary=\w+$/, 'should be multipart/byteranges');
+
+    const boundary = type.split('boundary=')[1];
+    const text = (await raw(res)).toString('latin1');
+    t.equal(res.headers.get('content-length'), String(Buffer.byteLength(text, 'latin1')), 'should have length of the whole body');
+
+    const parts = text.split(`--${boundary}`).slice(1, -1).map((part) => {
+        const [head, ...rest] = part.split('\r\n\r\n');
+        return { head, bytes: rest.join('\r\n\r\n').slice(0, -2) };
+    });
+    t.equal(parts.length, 2, 'should have a part for each range');
+    t.match(parts[0].head, `content-range: bytes 0-9/${body.length}`, 'should sort the parts');
+    t.equal(parts[0].bytes, body.subarray(0, 10).toString('latin1'), 'should serve the bytes of the first range');
+    t.match(parts[1].head, `content-range: bytes 100-109/${body.length}`, 'should have the second range');
+    t.equal(parts[1].bytes, body.subarray(100, 110).toString('latin1'), 'should serve the bytes of the second range');
+    t.match(text.trimEnd(), new RegExp(`--${boundary}--$`), 'should end with the closing boundary');
+
+    const merged = await get(address, FILE, { range: 'bytes=0-99,50-149' });
+    t.equal(merged.headers.get('content-range'), `bytes 0-149/${body.length}`, 'should merge overlapping ranges');
+    await raw(merged);
+});
+
+tap.test('byte ranges - range not satisfiable', async (t) => {
+    const { address, body } = tap.context;
+    const res = await get(address, FILE, { range: `bytes=${body.length}-` });
+    t.equal(res.status, 416, 'should respond with 416 Range Not Satisfiable');
+    t.equal(res.headers.get('content-range'), `bytes */${body.length}`, 'should have the size of the file');
+});
+
+tap.test('byte ranges - invalid range is ignored', async (t) => {
+    const { address, body } = tap.context;
+    await Promise.all(['bytes=abc', 'bytes=10-5', 'items=0-9'].map(async (range) => {
+        const res = await get(address, FILE, { range });
+        t.equal(res.status, 200, `should serve the whole file on "${range}"`);
+        t.same(await raw(res), body, 'should serve the whole file');
+    }));
+});
+
+tap.test('byte ranges - if-range', async (t) => {
+    const { address, etag, body } = tap.context;
+
+    const matching = await get(address, FILE, { range: 'bytes=0-9', 'if-range': etag });
+    t.equal(matching.status, 206, 'should serve the range when etag matches');
+    await raw(matching);
+
+    const changed = await get(address, FILE, { range: 'bytes=0-9', 'if-range': '"sha512-other"' });
+    t.equal(changed.status, 200, 'should serve the whole file when etag does not match');
+    t.same(await raw(changed), body, 'should serve the whole file');
+
+    const { created } = await fetch(`${address}/pkg/fuzz/8.4.1`).then((r) => r.json());
+    const dated = await get(address, FILE, { range: 'bytes=0-9', 'if-range': new Date(created * 1000).toUTCString() });
+    t.equal(dated.status, 206, 'should serve the range when date matches time of publish');
+    await raw(dated);
+
+    const older = await get(address, FILE, { range: 'bytes=0-9', 'if-range': new Date((created - 60) * 1000).toUTCString() });
+    t.equal(older.status, 200, 'should serve the whole file when date does not match');
+    await raw(older);
+});
+
+tap.test('byte ranges - ranges of compressed variant', async (t) => {
+    const { address } = tap.context;
+
+    const full = await get(address, FILE, { 'accept-encoding': 'br' });
+    const compressed = await raw(full);
+
+    const res = await get(address, FILE, { 'accept-encoding': 'br', range: 'bytes=10-19' });
+    t.equal(res.status, 206, 'should respond with 206 Partial Content');
+    t.equal(res.headers.get('content-encoding'), 'br', 'should serve range of the variant');
+    t.equal(res.headers.get('content-range'), `bytes 10-19/${compressed.length}`, 'should have size of the variant');
+    t.same(await raw(res), compressed.subarray(10, 20), 'should serve the bytes of the variant');
+});
@@ -0,0 +1,178 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import CacheSink from '../lib/cache-sink.js';
+import config from '../lib/config.js';
+import * as utils from '../lib/utils.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+// Test sink which counts reads
+const createSink = () => {
+    const sink = new Sink();
+    const read = sink.read.bind(sink);
+    sink.reads = [];
+    sink.read = (filePath) => {
+        sink.reads.push(filePath);
+        return read(filePath);
+    };
+    return sink;
+};
+
+const upload = async ({ address, headers }, pathname, field, value) => {
+    const form = new FormData();
+    form.append(field, value);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+tap.beforeEach(async (t) => {
+    config.set('cache.enabled', true);
+    const sink = createSink();
+    const service = new Server({ customSink: sink });
+    config.reset('cache.enabled');
+
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+
+    t.context = { // eslint-disable-line no-param-reassign
+        headers: { 'Authorization': `Bearer ${token}` },
+        address,
+        service,
+        sink,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('cache sink - files of published versions are read from the sink once', async (t) => {
+    const { address, sink, service } = t.context;
+
+    await upload(t.context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    t.ok(service.sink instanceof CacheSink, 'should put the cache in front of the sink');
+
+    const first = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`).then((r) => r.text());
+    const second = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`).then((r) => r.text());
+    t.equal(second, first, 'should serve the same file from the cache');
+
+    const reads = sink.reads.filter((pathname) => pathname === '/local/pkg/fuzz/8.4.1/main/index.js');
+    t.equal(reads.length, 1, 'should read the file from the sink once');
+
+    const metrics = await fetch(`${address}/metrics`).then((r) => r.text());
+    t.match(metrics, /eik_service_sink_cache_reads\{[^}]*hit="true"[^}]*\} \d+/, 'should report hits');
+    t.match(metrics, /eik_service_sink_cache_reads\{[^}]*hit="false"[^}]*\} \d+/, 'should report misses');
+    t.match(metrics, '# TYPE eik_service_sink_cache_size gauge', 'should report size of the cache');
+});
+
+tap.test('cache sink - alias changes are seen at once', async (t) => {
+    const { address } = t.context;
+
+    await upload(t.context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(t.context, '/pkg/fuzz/8.5.0', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(t.context, '/pkg/fuzz/v8', 'version', '8.4.1');
+
+    const before = await fetch(`${address}/pkg/fuzz/v8/main/index.js`, { redirect: 'manual' });
+    t.equal(new URL(before.headers.get('location')).pathname, '/pkg/fuzz/8.4.1/main/index.js', 'should redirect to aliased version');
+
+    const form = new FormData();
+    form.append('version', '8.5.0');
+    await fetch(`${address}/pkg/fuzz/v8`, {
+        method: 'POST',
+        body: form,
+        headers: { ...t.context.headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+
+    const after = await fetch(`${address}/pkg/fuzz/v8/main/index.js`, { redirect: 'manual' });
+    t.equal(new URL(after.headers.get('location')).pathname, '/pkg/fuzz/8.5.0/main/index.js', 'should redirect to new version of alias');
+
+    await fetch(`${address}/pkg/fuzz/v8`, { method: 'DELETE', headers: t.context.headers });
+    const deleted = await fetch(`${address}/pkg/fuzz/v8/main/index.js`, { redirect: 'manual' });
+    t.equal(deleted.status, 404, 'should not serve deleted alias');
+});
+
+tap.test('cache sink - least recently used files are dropped when full', async (t) => {
+    const sink = createSink();
+    const cache = new CacheSink({ sink, maxSize: 10 });
+
+    await utils.writeString(cache, '/local/pkg/a/1.0.0/a.js', 'aaaa', 'text/plain');
+    await utils.writeString(cache, '/local/pkg/b/1.0.0/b.js', 'bbbb', 'text/plain');
+    await utils.writeString(cache, '/local/pkg/c/1.0.0/c.js', 'cccc', 'text/plain');
+
+    await utils.readString(cache, '/local/pkg/a/1.0.0/a.js');
+    await utils.readString(cache, '/local/pkg/b/1.0.0/b.js');
+    await utils.readString(cache, '/local/pkg/a/1.0.0/a.js');
+    t.equal(cache.size, 8, 'should keep files while there is room');
+
+    await utils.readString(cache, '/local/pkg/c/1.0.0/c.js');
+    t.equal(cache.size, 8, 'should not grow past max size');
+
+    sink.reads = [];
+    await utils.readString(cache, '/local/pkg/a/1.0.0/a.js');
+    await utils.readString(cache, '/local/pkg/b/1.0.0/b.js');
+    t.same(sink.reads, ['/local/pkg/b/1.0.0/b.js'], 'should drop the least recently used file');
+});
+
+tap.test('cache sink - files larger than max file size are not kept', async (t) => {
+    const sink = createSink();
+    const cache = new CacheSink({ sink, maxFileSize: 4 });
+
+    await utils.writeString(cache, '/local/pkg/a/1.0.0/a.js', 'too large', 'text/plain');
+    t.equal(await utils.readString(cache, '/local/pkg/a/1.0.0/a.js'), 'too large', 'should serve the whole file');
+    t.equal(await utils.readString(cache, '/local/pkg/a/1.0.0/a.js'), 'too large', 'should serve the whole file again');
+    t.equal(sink.reads.length, 2, 'should read the file from the sink each time');
+    t.equal(cache.size, 0, 'should not keep the file');
+});
+
+tap.test('cache sink - files which can change are kept for max age', async (t) => {
+    const sink = createSink();
+    const cache = new CacheSink({ sink, maxAge: 50 });
+
+    await utils.writeString(cache, '/local/pkg/a/1.alias.json', '{}', 'text/plain');
+    await utils.readString(cache, '/local/pkg/a/1.alias.json');
+    await utils.readString(cache, '/local/pkg/a/1.alias.json');
+    t.equal(sink.reads.length, 1, 'should read from the cache within max age');
+
+    await new Promise((resolve) => { setTimeout(resolve, 60); });
+    await utils.readString(cache, '/local/pkg/a/1.alias.json');
+    t.equal(sink.reads.length, 2, 'should read from the sink after max age');
+});
+
+tap.test('cache sink - deleting a directory drops files under it', async (t) => {
+    const sink = createSink();
+    const cache = new CacheSink({ sink });
+
+    await utils.writeString(cache, '/local/pkg/a/1.0.0/a.js', 'aaaa', 'text/plain');
+    await utils.readString(cache, '/local/pkg/a/1.0.0/a.js');
+    await cache.exist('/local/pkg/a/1.0.0/a.js');
+
+    await cache.delete('/local/pkg/a/1.0.0');
+    t.equal(cache.size, 0, 'should drop the files');
+    await t.rejects(cache.exist('/local/pkg/a/1.0.0/a.js'), 'should not exist after delete');
+});
@@ -0,0 +1,137 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_PKG_SMALL = path.resolve(__dirname, '../fixtures/archive-small.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+const upload = async ({ address, headers }, pathname, field, value) => {
+    const form = new FormData();
+    form.append(field, value);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+const size = async (address, pathname) => {
+    const log = await fetch(`${address}${pathname}`).then((res) => res.json());
+    return log.files.reduce((sum, file) => sum + file.size, 0);
+};
+
+tap.before(async () => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+    const context = { headers: { 'Authorization': `Bearer ${token}` }, address };
+
+    await upload(context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(context, '/pkg/fuzz/8.5.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/pkg/fuzz/v8', 'version', '8.5.0');
+    await upload(context, '/pkg/@cuz/fuzz/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/pkg/gone/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await fetch(`${address}/pkg/gone/1.0.0`, { method: 'DELETE', headers: context.headers });
+    await upload(context, '/npm/buzz/2.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+
+    tap.context = { ...context, app };
+});
+
+tap.teardown(async () => {
+    await tap.context.app.close();
+});
+
+tap.test('catalog - packages of the organization', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/pkg`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    t.match(res.headers.get('content-type'), 'application/json', 'should be JSON');
+
+    const body = await res.json();
+    t.equal(body.total, 2, 'should not list packages where every version is deleted');
+    t.same(body.packages.map((pkg) => pkg.name), ['@cuz/fuzz', 'fuzz'], 'should sort on name');
+
+    const [, fuzz] = body.packages;
+    t.equal(fuzz.latest, '8.5.0', 'should have the latest version');
+    t.same(fuzz.aliases, ['8'], 'should have the aliases');
+    t.equal(fuzz.versions, 2, 'should have the number of versions');
+    t.ok(fuzz.created > 0, 'should have the time of the last publish');
+    t.equal(fuzz.size, await size(address, '/pkg/fuzz/8.4.1') + await size(address, '/pkg/fuzz/8.5.0'), 'should have the size of all versions');
+
+    const npm = await fetch(`${address}/npm`).then((r) => r.json());
+    t.same(npm.packages.map((pkg) => pkg.name), ['buzz'], 'should list npm packages');
+
+    const map = await fetch(`${address}/map`).then((r) => r.json());
+    t.same(map.packages.map((pkg) => pkg.name), ['buzz'], 'should list import maps');
+    t.equal(map.packages[0].latest, '4.2.2', 'should have the latest version of maps');
+});
+
+tap.test('catalog - pagination', async (t) => {
+    const { address } = tap.context;
+
+    const body = await fetch(`${address}/pkg?offset=1&limit=1`).then((r) => r.json());
+    t.equal(body.total, 2, 'should count every package');
+    t.same(body.packages.map((pkg) => pkg.name), ['fuzz'], 'should list the page');
+
+    const invalid = await fetch(`${address}/pkg?limit=0`);
+    t.equal(invalid.status, 400, 'should respond with 400 on invalid limit');
+});
+
+tap.test('catalog - etag', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/pkg`);
+    const etag = res.headers.get('etag');
+    await res.arrayBuffer();
+    t.match(etag, /^"sha512-[^"]+"$/, 'should have a quoted etag');
+
+    const same = await fetch(`${address}/pkg`, { headers: { 'if-none-match': etag } });
+    t.equal(same.status, 304, 'should respond with 304 when not changed');
+
+    await upload(tap.context, '/pkg/fuzz/8.6.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    const changed = await fetch(`${address}/pkg`, { headers: { 'if-none-match': etag } });
+    t.equal(changed.status, 200, 'should respond with 200 when a package is published');
+    t.equal((await changed.json()).packages[1].latest, '8.6.0', 'should list the published version');
+});
+
+tap.test('catalog - html', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/pkg`, { headers: { accept: 'text/html,application/xhtml+xml' } });
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    t.match(res.headers.get('content-type'), 'text/html', 'should be HTML');
+    t.match(res.headers.get('vary'), 'accept', 'should vary on accept');
+
+    const html = await res.text();
+    t.match(html, '<a href="/pkg/fuzz">fuzz</a>', 'should link to the package');
+    t.match(html, '<a href="/pkg/fuzz/v8">v8</a>', 'should link to aliases');
+    t.match(html, '<a href="/pkg/@cuz/fuzz/1.0.0">1.0.0</a>', 'should link to the latest version');
+
+    const json = await fetch(`${address}/pkg`);
+    t.not(json.headers.get('etag'), res.headers.get('etag'), 'should have an etag for each rendering');
+    await json.arrayBuffer();
+});
@@ -0,0 +1,159 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+const FILE = '/pkg/fuzz/8.4.1/main/index.js';
+
+// Test sink which records reads
+const createSink = () => {
+    const sink = new Sink();
+    const read = sink.read.bind(sink);
+    sink.reads = [];
+    sink.read = (filePath) => {
+        sink.reads.push(filePath);
+        return read(filePath);
+    };
+    return sink;
+};
+
+const upload = async ({ address, headers }, pathname, field, value) => {
+    const form = new FormData();
+    form.append(field, value);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+const get = async (address, pathname, headers = {}) => {
+    const res = await fetch(`${address}${pathname}`, { headers: { 'accept-encoding': 'identity', ...headers } });
+    await res.arrayBuffer();
+    return res;
+};
+
+tap.before(async () => {
+    const sink = createSink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+    const context = { headers: { 'Authorization': `Bearer ${token}` }, address };
+
+    await upload(context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(context, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+
+    const pkg = await fetch(`${address}/pkg/fuzz/8.4.1`).then((r) => r.json());
+    tap.context = {
+        created: pkg.created,
+        address,
+        sink,
+        app,
+    };
+});
+
+tap.teardown(async () => {
+    await tap.context.app.close();
+});
+
+tap.test('conditional - package files have last-modified of the time of publish', async (t) => {
+    const { address, created } = tap.context;
+    const lastModified = new Date(created * 1000).toUTCString();
+
+    const file = await get(address, FILE);
+    t.equal(file.headers.get('last-modified'), lastModified, 'file should have last-modified');
+
+    const log = await get(address, '/pkg/fuzz/8.4.1');
+    t.equal(log.headers.get('last-modified'), lastModified, 'package log should have last-modified');
+
+    const map = await get(address, '/map/buzz/4.2.2');
+    t.ok(map.headers.get('last-modified'), 'import map should have last-modified');
+});
+
+tap.test('conditional - if-none-match', async (t) => {
+    const { address } = tap.context;
+
+    await Promise.all([FILE, '/pkg/fuzz/8.4.1', '/pkg/fuzz', '/map/buzz/4.2.2', '/map/buzz'].map(async (pathname) => {
+        const first = await get(address, pathname);
+        const etag = first.headers.get('etag');
+        t.match(etag, /^"sha512-[^"]+"$/, `${pathname} should have a quoted etag`);
+
+        const same = await get(address, pathname, { 'if-none-match': etag });
+        t.equal(same.status, 304, `${pathname} should respond with 304 on matching etag`);
+        t.equal(same.headers.get('etag'), etag, `${pathname} should have the etag on 304`);
+
+        const list = await get(address, pathname, { 'if-none-match': `"other", W/${etag}` });
+        t.equal(list.status, 304, `${pathname} should respond with 304 on list with a weak match`);
+
+        const any = await get(address, pathname, { 'if-none-match': '*' });
+        t.equal(any.status, 304, `${pathname} should respond with 304 on any etag`);
+
+        const other = await get(address, pathname, { 'if-none-match': '"sha512-other"' });
+        t.equal(other.status, 200, `${pathname} should respond with 200 on other etag`);
+    }));
+});
+
+tap.test('conditional - if-modified-since', async (t) => {
+    const { address } = tap.context;
+
+    await Promise.all([FILE, '/pkg/fuzz/8.4.1', '/map/buzz/4.2.2'].map(async (pathname) => {
+        const created = Date.parse((await get(address, pathname)).headers.get('last-modified')) / 1000;
+        const since = await get(address, pathname, { 'if-modified-since': new Date(created * 1000).toUTCString() });
+        t.equal(since.status, 304, `${pathname} should respond with 304 when not modified since`);
+        t.ok(since.headers.get('last-modified'), `${pathname} should have last-modified on 304`);
+
+        const later = await get(address, pathname, { 'if-modified-since': new Date((created + 60) * 1000).toUTCString() });
+        t.equal(later.status, 304, `${pathname} should respond with 304 for later dates`);
+
+        const earlier = await get(address, pathname, { 'if-modified-since': new Date((created - 60) * 1000).toUTCString() });
+        t.equal(earlier.status, 200, `${pathname} should respond with 200 when modified since`);
+
+        const invalid = await get(address, pathname, { 'if-modified-since': 'not a date' });
+        t.equal(invalid.status, 200, `${pathname} should ignore invalid dates`);
+    }));
+});
+
+tap.test('conditional - if-none-match takes precedence over if-modified-since', async (t) => {
+    const { address, created } = tap.context;
+    const res = await get(address, FILE, {
+        'if-none-match': '"sha512-other"',
+        'if-modified-since': new Date(created * 1000).toUTCString(),
+    });
+    t.equal(res.status, 200, 'should respond with 200 when etag does not match');
+});
+
+tap.test('conditional - not modified files are not read from the sink', async (t) => {
+    const { address, sink } = tap.context;
+    const etag = (await get(address, FILE)).headers.get('etag');
+
+    sink.reads = [];
+    const file = await get(address, FILE, { 'if-none-match': etag });
+    t.equal(file.status, 304, 'should respond with 304');
+    t.notOk(sink.reads.includes('/local/pkg/fuzz/8.4.1/main/index.js'), 'should not read the file');
+
+    const map = await get(address, '/map/buzz/4.2.2', { 'if-none-match': '*' });
+    t.equal(map.status, 304, 'should respond with 304');
+    t.notOk(sink.reads.includes('/local/map/buzz/4.2.2.import-map.json'), 'should not read the import map');
+});
@@ -0,0 +1,194 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_PKG_SMALL = path.resolve(__dirname, '../fixtures/archive-small.tgz');
+
+const upload = async ({ address, headers }, pathname, field, value, filename) => {
+    const form = new FormData();
+    form.append(field, value, filename);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+const files = (log) => new Map(log.files.map((file) => [file.pathname, file]));
+
+tap.before(async () => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+    const context = { headers: { 'Authorization': `Bearer ${token}` }, address };
+
+    await upload(context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(context, '/pkg/fuzz/8.5.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/pkg/fuzz/8.5.1', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/pkg/fuzz/8.6.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await fetch(`${address}/pkg/fuzz/8.6.0`, { method: 'DELETE', headers: context.headers });
+    await upload(context, '/pkg/@cuz/fuzz/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/pkg/@cuz/fuzz/2.0.0', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(context, '/npm/buzz/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/npm/buzz/1.1.0', 'package', fs.createReadStream(FIXTURE_PKG));
+
+    const map = (imports, scopes) => Buffer.from(JSON.stringify({ imports, scopes }));
+    await upload(context, '/map/buzz/4.2.2', 'map', map({
+        fuzz: 'http://localhost:4001/finn/pkg/fuzz/v8',
+        lit: 'http://localhost:4001/finn/npm/lit/v2',
+    }, {}), 'map.json');
+    await upload(context, '/map/buzz/4.3.0', 'map', map({
+        fuzz: 'http://localhost:4001/finn/pkg/fuzz/v9',
+        react: 'http://localhost:4001/finn/npm/react/v17',
+    }, { '/finn/legacy/': { fuzz: 'http://localhost:4001/finn/pkg/fuzz/v8' } }), 'map.json');
+
+    tap.context = { ...context, app };
+});
+
+tap.teardown(async () => {
+    await tap.context.app.close();
+});
+
+tap.test('diff - files of two package versions', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/pkg/fuzz/diff/8.4.1/8.5.0`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    t.match(res.headers.get('content-type'), 'application/json', 'should be JSON');
+    const body = await res.json();
+
+    const from = await fetch(`${address}/pkg/fuzz/8.4.1`).then((r) => r.json());
+    const to = await fetch(`${address}/pkg/fuzz/8.5.0`).then((r) => r.json());
+    const before = files(from);
+    const after = files(to);
+
+    t.same(body.from, { version: '8.4.1', integrity: from.integrity }, 'should have the version compared from');
+    t.same(body.to, { version: '8.5.0', integrity: to.integrity }, 'should have the version compared to');
+    t.same(body.added, [], 'should have no added files');
+    t.same(body.removed.map((file) => file.pathname), ['/assets.json'], 'should have the removed files');
+    t.same(body.changed.map((file) => file.pathname), [
+        '/ie11/index.js',
+        '/ie11/index.js.map',
+        '/main/index.css',
+        '/main/index.css.map',
+        '/main/index.js',
+        '/main/index.js.map',
+    ], 'should have the changed files sorted on path');
+
+    const [, , css] = body.changed;
+    t.same(css.size, {
+        from: before.get('/main/index.css').size,
+        to: after.get('/main/index.css').size,
+        delta: after.get('/main/index.css').size - before.get('/main/index.css').size,
+    }, 'should have the size delta of changed files');
+    t.same(css.integrity, {
+        from: before.get('/main/index.css').integrity,
+        to: after.get('/main/index.css').integrity,
+    }, 'should have the integrity change of changed files');
+    t.equal(body.size.delta, body.size.to - body.size.from, 'should have the size delta of the package');
+    t.notOk(css.diff, 'should not have a unified diff unless asked for');
+
+    const reverse = await fetch(`${address}/pkg/fuzz/diff/8.5.0/8.4.1`).then((r) => r.json());
+    t.same(reverse.added.map((file) => file.pathname), ['/assets.json'], 'should have added files');
+
+    const same = await fetch(`${address}/pkg/fuzz/diff/8.5.0/8.5.1`).then((r) => r.json());
+    t.equal(same.changed.length, 0, 'should have no changes between equal versions');
+    t.equal(same.unchanged, 6, 'should count unchanged files');
+});
+
+tap.test('diff - unified diff of text files', async (t) => {
+    const { address } = tap.context;
+
+    const body = await fetch(`${address}/pkg/fuzz/diff/8.4.1/8.5.0?unified=true`).then((r) => r.json());
+    const css = body.changed.find((file) => file.pathname === '/main/index.css');
+    t.match(css.diff, /^--- fuzz\/8\.4\.1\/main\/index\.css\n\+\+\+ fuzz\/8\.5\.0\/main\/index\.css\n@@ /, 'should have the headers of the diff');
+    t.match(css.diff, /\n-.*\n/, 'should have removed lines');
+    t.match(css.diff, /\n\+.*\n/, 'should have added lines');
+
+    const [removed] = body.removed;
+    t.match(removed.diff, /^--- fuzz\/8\.4\.1\/assets\.json\n\+\+\+ \/dev\/null\n/, 'should diff removed files against nothing');
+});
+
+tap.test('diff - scoped and npm packages', async (t) => {
+    const { address } = tap.context;
+
+    const scoped = await fetch(`${address}/pkg/@cuz/fuzz/diff/1.0.0/2.0.0`);
+    t.equal(scoped.status, 200, 'should respond with 200 OK on scoped packages');
+    const body = await scoped.json();
+    t.equal(body.name, '@cuz/fuzz', 'should have the name of scoped packages');
+    t.same(body.added.map((file) => file.pathname), ['/assets.json'], 'should have added files of scoped packages');
+
+    const npm = await fetch(`${address}/npm/buzz/diff/1.0.0/1.1.0`);
+    t.equal(npm.status, 200, 'should respond with 200 OK on npm packages');
+    t.equal((await npm.json()).type, 'npm', 'should have the type');
+});
+
+tap.test('diff - import maps', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/map/buzz/diff/4.2.2/4.3.0?unified=true`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    const body = await res.json();
+
+    t.same(body.added, [
+        { specifier: 'react', address: 'http://localhost:4001/finn/npm/react/v17' },
+        { scope: '/finn/legacy/', specifier: 'fuzz', address: 'http://localhost:4001/finn/pkg/fuzz/v8' },
+    ], 'should have the added specifiers');
+    t.same(body.removed, [
+        { specifier: 'lit', address: 'http://localhost:4001/finn/npm/lit/v2' },
+    ], 'should have the removed specifiers');
+    t.same(body.changed, [{
+        specifier: 'fuzz',
+        address: { from: 'http://localhost:4001/finn/pkg/fuzz/v8', to: 'http://localhost:4001/finn/pkg/fuzz/v9' },
+    }], 'should have the changed specifiers');
+    t.ok(body.from.integrity, 'should have the integrity of each version');
+    t.match(body.diff, '-    "fuzz": "http://localhost:4001/finn/pkg/fuzz/v8",\n', 'should have a unified diff of the maps');
+    t.match(body.diff, '+    "fuzz": "http://localhost:4001/finn/pkg/fuzz/v9",\n', 'should have a unified diff of the maps');
+});
+
+tap.test('diff - errors', async (t) => {
+    const { address } = tap.context;
+
+    const missing = await fetch(`${address}/pkg/fuzz/diff/8.4.1/9.0.0`);
+    t.equal(missing.status, 404, 'should respond with 404 when a version does not exist');
+
+    const deleted = await fetch(`${address}/pkg/fuzz/diff/8.4.1/8.6.0`);
+    t.equal(deleted.status, 410, 'should respond with 410 when a version is deleted');
+
+    const invalid = await fetch(`${address}/pkg/fuzz/diff/8.4.1/latest`);
+    t.equal(invalid.status, 400, 'should respond with 400 on invalid versions');
+});
+
+tap.test('diff - etag', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/pkg/fuzz/diff/8.4.1/8.5.0`);
+    const etag = res.headers.get('etag');
+    await res.arrayBuffer();
+    t.match(etag, /^"sha512-[^"]+"$/, 'should have a quoted etag');
+
+    const same = await fetch(`${address}/pkg/fuzz/diff/8.4.1/8.5.0`, { headers: { 'if-none-match': etag } });
+    t.equal(same.status, 304, 'should respond with 304 when not changed');
+});
@@ -0,0 +1,242 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import http from 'http';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+// Minimal server-sent events client collecting the events it receives
+const connect = (address, headers = {}) => new Promise((resolve, reject) => {
+    const events = [];
+    let waiting = [];
+    let buffer = '';
+
+    const req = http.get(address, { headers }, (res) => {
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            blocks.forEach((block) => {
+                const event = {};
+                block.split('\n').forEach((line) => {
+                    if (line.startsWith(':')) return;
+                    const [field, ...rest] = line.split(': ');
+                    event[field] = rest.join(': ');
+                });
+                if (event.data) {
+                    events.push({ ...event, data: JSON.parse(event.data) });
+                }
+            });
+
+            waiting = waiting.filter(({ count, done }) => {
+                if (events.length < count) return true;
+                done(events);
+                return false;
+            });
+        });
+
+        resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            events,
+            received: (count) => new Promise((done) => {
+                if (events.length >= count) {
+                    done(events);
+                    return;
+                }
+                waiting.push({ count, done });
+            }),
+            close: () => req.destroy(),
+        });
+    });
+    req.on('error', reject);
+});
+
+tap.beforeEach(async (t) => {
+    const service = new Server({ customSink: new Sink() });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const upload = (pathname, field, file) => {
+        const form = new FormData();
+        form.append(field, file);
+        return fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: form,
+            headers: { ...headers, ...form.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    t.context = { // eslint-disable-line no-param-reassign
+        address,
+        headers,
+        upload,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('events - stream changes', async (t) => {
+    const { address, headers, upload } = t.context;
+
+    const client = await connect(`${address}/events`);
+    t.equal(client.status, 200, 'server should respond with a 200 OK');
+    t.equal(client.headers['content-type'], 'text/event-stream; charset=utf-8', 'should contain "content-type" set to "text/event-stream"');
+    t.equal(client.headers['cache-control'], 'no-store', 'should contain "cache-control" set to "no-store"');
+
+    await upload('/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/pkg/fuzz/v8', 'version', '8.4.1');
+    await fetch(`${address}/pkg/fuzz/v8`, { method: 'DELETE', headers });
+    await fetch(`${address}/pkg/fuzz/8.4.1`, { method: 'DELETE', headers });
+
+    const [publish, alias, unalias, del] = await client.received(4);
+
+    t.equal(publish.event, 'publish', 'should stream publish event');
+    t.match(publish.data, { type: 'pkg', name: 'fuzz', version: '8.4.1' }, 'should stream change as data');
+    t.notOk(publish.data.actor, 'should not stream who made the change');
+    t.match(publish.id, /^[0-9a-f]+-1$/, 'should hold id of change with the epoch of the process');
+    t.equal(publish.data.id, publish.id, 'should have the same id in the data');
+    const [epoch] = publish.id.split('-');
+    t.match(alias, { event: 'alias', id: `${epoch}-2`, data: { alias: '8', version: '8.4.1' } }, 'should stream alias event');
+    t.match(unalias, { event: 'alias:delete', id: `${epoch}-3` }, 'should stream alias delete event');
+    t.match(del, { event: 'delete', id: `${epoch}-4`, data: { version: '8.4.1' } }, 'should stream delete event');
+
+    client.close();
+});
+
+tap.test('events - filter by type and name prefix', async (t) => {
+    const { address, upload } = t.context;
+
+    const client = await connect(`${address}/events?type=npm&name=@cuz/`);
+
+    await upload('/pkg/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/npm/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/npm/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+
+    const events = await client.received(1);
+    t.equal(events.length, 1, 'should only stream matching changes');
+    t.match(events[0].data, { type: 'npm', name: '@cuz/fuzz' }, 'should stream matching change');
+
+    client.close();
+});
+
+tap.test('events - illegal type', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/events?type=foo`);
+    t.equal(res.status, 400, 'server should respond with a 400 Bad Request');
+});
+
+tap.test('events - resume from Last-Event-ID', async (t) => {
+    const { address, upload } = t.context;
+
+    const first = await connect(`${address}/events`);
+    await upload('/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/pkg/fuzz/8.4.2', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/pkg/fuzz/8.4.3', 'package', fs.createReadStream(FIXTURE_PKG));
+    const [seen] = await first.received(3);
+    first.close();
+
+    const client = await connect(`${address}/events`, { 'last-event-id': seen.id });
+    const events = await client.received(2);
+    t.same(events.map((event) => event.data.version), ['8.4.2', '8.4.3'], 'should replay changes after the given id');
+
+    await upload('/pkg/fuzz/8.4.4', 'package', fs.createReadStream(FIXTURE_PKG));
+    await client.received(3);
+    t.equal(events[2].data.version, '8.4.4', 'should continue with new changes');
+
+    client.close();
+
+    const fresh = await connect(`${address}/events`);
+    await upload('/pkg/fuzz/8.4.5', 'package', fs.createReadStream(FIXTURE_PKG));
+    const live = await fresh.received(1);
+    t.equal(live[0].data.version, '8.4.5', 'should not replay changes without Last-Event-ID');
+
+    fresh.close();
+
+    const restarted = await connect(`${address}/events`, { 'last-event-id': 'abcdef-2' });
+    const replayed = await restarted.received(5);
+    t.same(replayed.map((event) => event.data.version), ['8.4.1', '8.4.2', '8.4.3', '8.4.4', '8.4.5'], 'should replay all changes on id from another epoch');
+
+    restarted.close();
+});
+
+tap.test('events - bounded journal', async (t) => {
+    config.set('events.size', 2);
+
+    const service = new Server({ customSink: new Sink() });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    await app.listen(0, 'localhost');
+
+    const [org] = service.organizations;
+    ['1.0.0', '1.0.1', '1.0.2'].forEach((version) => {
+        org.journal.append({ event: 'publish', type: 'pkg', name: 'fuzz', version });
+    });
+
+    t.equal(org.journal.size, 2, 'should only keep the configured number of changes');
+    const [epoch] = org.journal.id.split('-');
+    t.same(org.journal.since(`${epoch}-0`).map((change) => change.id), [`${epoch}-2`, `${epoch}-3`], 'should drop the oldest changes');
+    t.same(org.journal.since(`${epoch}-2`).map((change) => change.id), [`${epoch}-3`], 'should return changes after the id');
+    t.same(org.journal.since(`${epoch}-3`), [], 'should return no changes after the latest id');
+    t.same(org.journal.since('0-10').map((change) => change.id), [`${epoch}-2`, `${epoch}-3`], 'should replay all changes on id from before a restart');
+
+    await app.close();
+    config.reset('events.size');
+});
+
+tap.test('events - end streams on close', async (t) => {
+    const service = new Server({ customSink: new Sink() });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const ended = new Promise((resolve) => {
+        http.get(`${address}/events`, (res) => {
+            res.resume();
+            res.on('end', resolve);
+        });
+    });
+
+    // Let the route handler open the stream before closing
+    await new Promise((resolve) => {
+        setTimeout(resolve, 50);
+    });
+
+    await app.close();
+    await ended;
+    t.pass('should end open streams so the server can close');
+});
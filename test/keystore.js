@@ -0,0 +1,182 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import os from 'os';
+import fs from 'fs';
+
+import Keystore from '../lib/keystore.js';
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+const KEYS = `
+keys:
+  - name: pipeline-a
+    key: key_a
+  - name: pipeline-b
+    key: key_b
+    permissions:
+      names: ['@podium/*']
+  - name: pipeline-revoked
+    key: key_revoked
+    revoked: true
+  - name: pipeline-expired
+    key: key_expired
+    expires: 2000-01-01
+`;
+
+const decode = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+
+const login = async (address, key) => {
+    const formData = new FormData();
+    formData.append('key', key);
+
+    return fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+};
+
+const publish = async (address, pathname, token) => {
+    const formData = new FormData();
+    formData.append('package', fs.createReadStream(FIXTURE_PKG));
+
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: formData,
+        headers: { 'Authorization': `Bearer ${token}`, ...formData.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+tap.beforeEach(async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eik-keystore-'));
+    const keystore = path.join(directory, 'keys.yaml');
+    fs.writeFileSync(keystore, KEYS);
+
+    config.set('basicAuth.type', 'keystore');
+    config.set('basicAuth.keystore.path', keystore);
+    config.set('basicAuth.keystore.refresh', 0);
+
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    t.context = { // eslint-disable-line no-param-reassign
+        directory,
+        keystore,
+        service,
+        address,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+    fs.rmSync(t.context.directory, { recursive: true, force: true });
+    config.reset('basicAuth.type');
+    config.reset('basicAuth.keystore.path');
+    config.reset('basicAuth.keystore.refresh');
+});
+
+tap.test('keystore - auth - named key', async (t) => {
+    const { address } = t.context;
+
+    const res = await login(address, 'key_a');
+    const { token } = await res.json();
+
+    t.equal(res.status, 200, 'should respond with a 200 OK');
+    t.equal(decode(token).key, 'pipeline-a', 'should embed the name of the key in the token');
+    t.equal(decode(token).user, 'pipeline-a', 'should use the name of the key as the user');
+});
+
+tap.test('keystore - auth - illegal keys', async (t) => {
+    const { address } = t.context;
+
+    const unknown = await login(address, 'change_me');
+    t.equal(unknown.status, 401, 'should respond with a 401 Unauthorized on a key not in the keystore');
+
+    const revoked = await login(address, 'key_revoked');
+    t.equal(revoked.status, 401, 'should respond with a 401 Unauthorized on a revoked key');
+
+    const expired = await login(address, 'key_expired');
+    t.equal(expired.status, 401, 'should respond with a 401 Unauthorized on an expired key');
+});
+
+tap.test('keystore - auth - permissions of key', async (t) => {
+    const { address } = t.context;
+
+    const res = await login(address, 'key_b');
+    const { token } = await res.json();
+
+    t.same(decode(token).permissions.names, ['@podium/*'], 'should embed the permissions of the key in the token');
+
+    const denied = await publish(address, '/pkg/fuzz/8.4.1', token);
+    t.equal(denied.status, 403, 'should respond with 403 Forbidden outside of the permissions of the key');
+
+    const allowed = await publish(address, '/pkg/@podium/fuzz/8.4.1', token);
+    t.equal(allowed.status, 303, 'should publish within the permissions of the key');
+});
+
+tap.test('keystore - auth - key removed while logging in', async (t) => {
+    const { address, service } = t.context;
+
+    // As if the keystore was reloaded without the key after it was checked
+    service.organizations[0].keystore.get = () => undefined;
+
+    const res = await login(address, 'key_a');
+    t.equal(res.status, 401, 'should respond with a 401 Unauthorized');
+});
+
+tap.test('keystore - no path to the keystore', async (t) => {
+    config.set('basicAuth.keystore.path', '');
+
+    t.throws(() => new Server({ customSink: new Sink() }), /"basicAuth.keystore.path"/, 'should fail to start with a clear error');
+});
+
+tap.test('keystore - revoke key after token is issued', async (t) => {
+    const { address, keystore, service } = t.context;
+
+    const res = await login(address, 'key_a');
+    const { token } = await res.json();
+
+    const before = await publish(address, '/pkg/fuzz/8.4.1', token);
+    t.equal(before.status, 303, 'should publish with a valid key');
+
+    fs.writeFileSync(keystore, KEYS.replace('key: key_a', 'key: key_a\n    revoked: true'));
+    service.organizations[0].keystore.load();
+
+    const after = await publish(address, '/pkg/fuzz/8.4.2', token);
+    t.equal(after.status, 401, 'should respond with a 401 Unauthorized when the key is revoked');
+});
+
+tap.test('keystore - directory of secrets', async (t) => {
+    const { directory } = t.context;
+
+    const secrets = path.join(directory, 'secrets');
+    fs.mkdirSync(secrets);
+    fs.writeFileSync(path.join(secrets, 'pipeline-c'), 'key_c\n');
+    fs.writeFileSync(path.join(secrets, 'pipeline-d.json'), JSON.stringify({ key: 'key_d', revoked: true }));
+
+    const keystore = new Keystore({ pathname: secrets, refresh: 0 });
+
+    t.equal(keystore.size, 2, 'should load one key per file');
+    t.equal(keystore.match('key_c').name, 'pipeline-c', 'should use the file name as the name of the key');
+    t.ok(keystore.valid('pipeline-c'), 'should be valid');
+    t.notOk(keystore.valid('pipeline-d'), 'should read properties from JSON files');
+    t.notOk(keystore.match('key_x'), 'should not match unknown keys');
+});
@@ -0,0 +1,199 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import tap from 'tap';
+
+import Server from '../lib/main.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const FRAMEWORK = {
+    imports: {
+        'lit-element': 'http://localhost:4001/npm/lit-element/v2/lit-element.js',
+        'lit-html': 'http://localhost:4001/npm/lit-html/v1/lit-html.js',
+    },
+};
+
+const TEAM = {
+    imports: {
+        'lit-html': 'http://localhost:4001/npm/lit-html/v2/lit-html.js',
+        'fuzz': 'http://localhost:4001/pkg/fuzz/v8/main/index.js',
+    },
+    scopes: {
+        'http://localhost:4001/pkg/fuzz/': {
+            'buzz': 'http://localhost:4001/pkg/buzz/v1/main/index.js',
+        },
+    },
+};
+
+const UTILS = {
+    imports: {
+        'lit-element': 'http://localhost:4001/npm/lit-element/v2/lit-element.js',
+        'date-fns': 'http://localhost:4001/npm/date-fns/v2/index.js',
+    },
+};
+
+tap.beforeEach(async (t) => {
+    const service = new Server({ customSink: new Sink() });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const upload = async (pathname, map) => {
+        const form = new FormData();
+        form.append('map', Buffer.from(JSON.stringify(map)), { filename: 'import-map.json', contentType: 'application/json' });
+        await fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: form,
+            headers: { ...headers, ...form.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    await upload('/map/@cuz/framework/4.2.2', FRAMEWORK);
+    await upload('/map/team/1.2.3', TEAM);
+    await upload('/map/utils/1.0.0', UTILS);
+    await upload('/map/compose/1.0.0', UTILS);
+
+    const form = new FormData();
+    form.append('version', '4.2.2');
+    await fetch(`${address}/map/@cuz/framework/v4`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+
+    t.context = { // eslint-disable-line no-param-reassign
+        address,
+        headers,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('map compose - merge maps in order', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/compose?m=@cuz/framework/4.2.2&m=team/1.2.3`);
+    const body = await res.json();
+
+    t.equal(res.status, 200, 'server should respond with a 200 OK');
+    t.equal(res.headers.get('content-type'), 'application/json; charset=utf-8', 'should contain "content-type" set to "application/json"');
+    t.equal(res.headers.get('cache-control'), 'public, max-age=31536000, immutable', 'should be immutable when all maps are exact versions');
+    t.same(body, {
+        imports: {
+            'lit-element': 'http://localhost:4001/npm/lit-element/v2/lit-element.js',
+            'lit-html': 'http://localhost:4001/npm/lit-html/v2/lit-html.js',
+            'fuzz': 'http://localhost:4001/pkg/fuzz/v8/main/index.js',
+        },
+        scopes: TEAM.scopes,
+    }, 'should merge maps with later maps overriding earlier ones');
+    t.equal(res.headers.get('x-import-map-conflicts'), 'lit-html', 'should report conflicting specifiers');
+});
+
+tap.test('map compose - resolve alias', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/compose?m=@cuz/framework/v4&m=utils/1.0.0`);
+    const body = await res.json();
+
+    t.equal(res.status, 200, 'server should respond with a 200 OK');
+    t.equal(res.headers.get('cache-control'), 'public, max-age=1200', 'should use alias cache control when a map is referenced by alias');
+    t.same(Object.keys(body.imports), ['lit-element', 'lit-html', 'date-fns'], 'should merge aliased map');
+    t.notOk(res.headers.get('x-import-map-conflicts'), 'should not report equal addresses as conflicts');
+    t.notOk(body.scopes, 'should not contain empty scopes');
+});
+
+tap.test('map compose - stable etag', async (t) => {
+    const { address } = t.context;
+
+    const first = await fetch(`${address}/compose?m=@cuz/framework/v4&m=team/1.2.3`);
+    const second = await fetch(`${address}/compose?m=@cuz/framework/4.2.2&m=team/1.2.3`);
+    const reversed = await fetch(`${address}/compose?m=team/1.2.3&m=@cuz/framework/4.2.2`);
+
+    t.match(first.headers.get('etag'), /^"sha512-[^"]+"$/, 'should contain a quoted "etag" header');
+    t.equal(first.headers.get('etag'), second.headers.get('etag'), 'should have same etag for same composed map');
+    t.not(first.headers.get('etag'), reversed.headers.get('etag'), 'should have different etag for different order');
+
+    const cached = await fetch(`${address}/compose?m=@cuz/framework/v4&m=team/1.2.3`, {
+        headers: { 'if-none-match': first.headers.get('etag') },
+    });
+    t.equal(cached.status, 304, 'server should respond with a 304 Not Modified on matching etag');
+
+    const listed = await fetch(`${address}/compose?m=@cuz/framework/v4&m=team/1.2.3`, {
+        headers: { 'if-none-match': `"other", W/${first.headers.get('etag')}` },
+    });
+    t.equal(listed.status, 304, 'server should respond with a 304 Not Modified on a list with a weak match');
+});
+
+tap.test('map compose - strict', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/compose?m=@cuz/framework/4.2.2&m=team/1.2.3&strict=true`);
+    const body = await res.json();
+
+    t.equal(res.status, 409, 'server should respond with a 409 Conflict');
+    t.equal(res.headers.get('cache-control'), 'no-store', 'should contain "cache-control" set to "no-store"');
+    t.same(body.conflicts, [{
+        specifier: 'lit-html',
+        scope: '',
+        maps: [
+            { map: '@cuz/framework/4.2.2', address: 'http://localhost:4001/npm/lit-html/v1/lit-html.js' },
+            { map: 'team/1.2.3', address: 'http://localhost:4001/npm/lit-html/v2/lit-html.js' },
+        ],
+    }], 'should list conflicting specifiers and the maps mapping them');
+
+    const ok = await fetch(`${address}/compose?m=@cuz/framework/4.2.2&m=utils/1.0.0&strict=true`);
+    t.equal(ok.status, 200, 'server should respond with a 200 OK when there are no conflicts');
+});
+
+tap.test('map compose - errors', async (t) => {
+    const { address, headers } = t.context;
+
+    const none = await fetch(`${address}/compose`);
+    t.equal(none.status, 400, 'server should respond with a 400 Bad Request without maps');
+
+    const illegal = await fetch(`${address}/compose?m=team`);
+    t.equal(illegal.status, 400, 'server should respond with a 400 Bad Request on illegal reference');
+
+    const missing = await fetch(`${address}/compose?m=team/1.2.3&m=team/2.0.0`);
+    t.equal(missing.status, 404, 'server should respond with a 404 Not Found on missing version');
+
+    const alias = await fetch(`${address}/compose?m=team/v1`);
+    t.equal(alias.status, 404, 'server should respond with a 404 Not Found on missing alias');
+
+    await fetch(`${address}/map/utils/1.0.0`, { method: 'DELETE', headers });
+    const deleted = await fetch(`${address}/compose?m=utils/1.0.0`);
+    t.equal(deleted.status, 410, 'server should respond with a 410 Gone on deleted version');
+});
+
+tap.test('map compose - map named compose', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/map/compose`);
+    t.equal(res.status, 200, 'server should respond with a 200 OK');
+    const body = await res.json();
+    t.same(body.versions.map(([, entry]) => entry.version), ['1.0.0'], 'should list the versions of the map');
+
+    const composed = await fetch(`${address}/compose?m=compose/1.0.0`);
+    t.equal(composed.status, 200, 'should compose the map');
+});
@@ -0,0 +1,274 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+tap.before(() => {
+    config.set('mapValidation.enabled', true);
+});
+
+tap.teardown(() => {
+    config.reset('mapValidation.enabled');
+});
+
+tap.beforeEach(async (t) => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const pkg = new FormData();
+    pkg.append('package', fs.createReadStream(FIXTURE_PKG));
+    await fetch(`${address}/pkg/@cuz/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: pkg,
+        headers: { ...headers, ...pkg.getHeaders() },
+        redirect: 'manual',
+    });
+
+    const alias = new FormData();
+    alias.append('version', '8.4.1');
+    await fetch(`${address}/pkg/@cuz/fuzz/v8`, {
+        method: 'PUT',
+        body: alias,
+        headers: { ...headers, ...alias.getHeaders() },
+        redirect: 'manual',
+    });
+
+    const upload = (pathname, map) => {
+        const form = new FormData();
+        const file = typeof map === 'string' ? map : JSON.stringify(map);
+        form.append('map', Buffer.from(file), { filename: 'import-map.json', contentType: 'application/json' });
+        return fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: form,
+            headers: { ...headers, ...form.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    t.context = { // eslint-disable-line no-param-reassign
+        address,
+        upload,
+        sink,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('map validation - valid map', async (t) => {
+    const { address, upload, sink } = t.context;
+
+    const res = await upload('/map/buzz/4.2.2', {
+        imports: {
+            'fuzz': `${address}/pkg/@cuz/fuzz/8.4.1/main/index.js`,
+            'fuzz-alias': '/pkg/@cuz/fuzz/v8/main/index.js',
+            'fuzz/': `${address}/pkg/@cuz/fuzz/8.4.1/`,
+            'lit-html': 'https://cdn.example.com/npm/lit-html/v1/lit-html.js',
+        },
+        scopes: {
+            '/pkg/@cuz/fuzz/': {
+                'buzz': 'https://cdn.example.com/pkg/buzz/v1/main/index.js',
+            },
+        },
+    });
+
+    t.equal(res.status, 303, 'server should respond with a 303 redirect');
+    t.ok(sink.get('/local/map/buzz/4.2.2.import-map.json'), 'should write map to sink');
+});
+
+tap.test('map validation - missing targets', async (t) => {
+    const { address, upload, sink } = t.context;
+
+    const res = await upload('/map/buzz/4.2.2', {
+        imports: {
+            'missing-file': `${address}/pkg/@cuz/fuzz/8.4.1/main/missing.js`,
+            'missing-version': `${address}/pkg/@cuz/fuzz/9.0.0/main/index.js`,
+            'missing-alias': `${address}/pkg/@cuz/fuzz/v9/main/index.js`,
+            'missing-npm': '/npm/lit-html/1.0.0/lit-html.js',
+            'missing-map': '/map/other/1.0.0',
+        },
+    });
+    const body = await res.json();
+
+    t.equal(res.status, 422, 'server should respond with a 422 Unprocessable Entity');
+    t.equal(body.message, 'Import map is not valid', 'should have message');
+    t.same(body.errors.map((error) => error.specifier), [
+        'missing-file',
+        'missing-version',
+        'missing-alias',
+        'missing-npm',
+        'missing-map',
+    ], 'should list each problem');
+    t.match(body.errors[0], {
+        code: 'missing-target',
+        address: `${address}/pkg/@cuz/fuzz/8.4.1/main/missing.js`,
+        message: 'File "main/missing.js" does not exist in version "8.4.1" of "@cuz/fuzz"',
+    }, 'should describe the problem');
+    t.equal(body.errors[2].message, 'Alias "v9" of "@cuz/fuzz" does not exist', 'should describe missing alias');
+    t.notOk(sink.get('/local/map/buzz/4.2.2.import-map.json'), 'should not write map to sink');
+});
+
+tap.test('map validation - addresses on other ports', async (t) => {
+    const { address, upload } = t.context;
+    const { hostname, port } = new URL(address);
+
+    const res = await upload('/map/buzz/4.2.2', {
+        imports: {
+            'other-port': `http://${hostname}:${Number(port) + 1}/pkg/@cuz/fuzz/9.0.0/main/index.js`,
+            'default-port': `http://${hostname}/pkg/@cuz/fuzz/9.0.0/main/index.js`,
+        },
+    });
+    t.equal(res.status, 303, 'should not check addresses on other servers of the same hostname');
+});
+
+tap.test('map validation - schema', async (t) => {
+    const { upload } = t.context;
+
+    const res = await upload('/map/buzz/4.2.2', {
+        imports: {
+            'bare': 'lit-html',
+            'number': 42,
+            'prefix/': 'https://cdn.example.com/prefix',
+        },
+        scopes: {
+            'https://cdn.example.com/pkg/buzz/': [],
+        },
+        extra: {},
+    });
+    const body = await res.json();
+
+    t.equal(res.status, 422, 'server should respond with a 422 Unprocessable Entity');
+    t.same(body.errors.map((error) => error.code), [
+        'invalid-schema',
+        'invalid-schema',
+        'invalid-schema',
+        'invalid-schema',
+        'invalid-schema',
+    ], 'should list each schema problem');
+    t.same(body.errors.map((error) => error.specifier || error.scope || ''), [
+        '',
+        'bare',
+        'number',
+        'prefix/',
+        'https://cdn.example.com/pkg/buzz/',
+    ], 'should point to where each problem is');
+
+    const array = await upload('/map/buzz/4.2.3', []);
+    t.equal(array.status, 422, 'server should respond with a 422 Unprocessable Entity on map not being an object');
+
+    const broken = await upload('/map/buzz/4.2.4', '{ "imports": ');
+    t.equal(broken.status, 415, 'server should respond with a 415 Unsupported Media Type on map not being JSON');
+});
+
+tap.test('map validation - broad scopes', async (t) => {
+    const { upload } = t.context;
+
+    const res = await upload('/map/buzz/4.2.2', {
+        scopes: {
+            '/': { 'a': 'https://cdn.example.com/a.js' },
+            'https://cdn.example.com/': { 'a': 'https://cdn.example.com/a.js' },
+            '/pkg/': { 'a': 'https://cdn.example.com/a.js' },
+            '/pkg/fuzz/': { 'a': 'https://cdn.example.com/a.js' },
+            '/pkg/fuzz/8.4.1/main/index.js': { 'a': 'https://cdn.example.com/a.js' },
+        },
+    });
+    const body = await res.json();
+
+    t.equal(res.status, 422, 'server should respond with a 422 Unprocessable Entity');
+    t.same(body.errors.map((error) => [error.code, error.scope]), [
+        ['broad-scope', '/'],
+        ['broad-scope', 'https://cdn.example.com/'],
+        ['broad-scope', '/pkg/'],
+    ], 'should flag scopes with too few path segments');
+});
+
+tap.test('map validation - dry run', async (t) => {
+    const { upload, sink } = t.context;
+
+    const valid = await upload('/map/buzz/4.2.2?dryRun=true', {
+        imports: { 'fuzz': '/pkg/@cuz/fuzz/v8/main/index.js' },
+    });
+    t.equal(valid.status, 200, 'server should respond with a 200 OK on valid map');
+    t.same(await valid.json(), { valid: true, errors: [] }, 'should respond with validation result');
+    t.notOk(sink.get('/local/map/buzz/4.2.2.import-map.json'), 'should not write map to sink');
+
+    const invalid = await upload('/map/buzz/4.2.2?dryRun=true', {
+        imports: { 'fuzz': '/pkg/@cuz/fuzz/v9/main/index.js' },
+    });
+    const body = await invalid.json();
+    t.equal(invalid.status, 422, 'server should respond with a 422 Unprocessable Entity on invalid map');
+    t.equal(body.errors.length, 1, 'should list the problems');
+
+    const stored = await upload('/map/buzz/4.2.2', {
+        imports: { 'fuzz': '/pkg/@cuz/fuzz/v8/main/index.js' },
+    });
+    t.equal(stored.status, 303, 'should be able to publish the version after a dry run');
+
+    const conflict = await upload('/map/buzz/4.2.2?dryRun=true', {
+        imports: { 'fuzz': '/pkg/@cuz/fuzz/v8/main/index.js' },
+    });
+    t.equal(conflict.status, 409, 'server should respond with a 409 Conflict on a version which can not be published');
+});
+
+tap.test('map validation - disabled', async (t) => {
+    config.set('mapValidation.enabled', false);
+
+    const service = new Server({ customSink: new Sink() });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const login = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await login.json();
+
+    const form = new FormData();
+    form.append('map', Buffer.from(JSON.stringify({ imports: { 'fuzz': '/pkg/fuzz/v8/index.js' } })), { filename: 'import-map.json' });
+    const res = await fetch(`${address}/map/buzz/4.2.2`, {
+        method: 'PUT',
+        body: form,
+        headers: { 'Authorization': `Bearer ${token}`, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(res.status, 303, 'server should accept any map');
+
+    await app.close();
+    config.set('mapValidation.enabled', true);
+});
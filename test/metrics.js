@@ -0,0 +1,119 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import MetricsCollector from '../lib/metrics.js';
+import config from '../lib/config.js';
+import Server from '../lib/main.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+tap.test('metrics - collector - counters are summed per label set', async (t) => {
+    const collector = new MetricsCollector();
+    collector.collect({ name: 'foo', description: 'Foo', type: 2, value: 1, labels: [{ name: 'a', value: true }] });
+    collector.collect({ name: 'foo', description: 'Foo', type: 2, value: 2, labels: [{ name: 'a', value: true }] });
+    collector.collect({ name: 'foo', description: 'Foo', type: 2, value: 1, labels: [{ name: 'a', value: false }] });
+
+    const text = collector.toPrometheus();
+    t.match(text, '# TYPE foo counter', 'should print type of metric');
+    t.match(text, 'foo{a="true"} 3', 'should sum counter values with equal labels');
+    t.match(text, 'foo{a="false"} 1', 'should keep counter values with different labels apart');
+});
+
+tap.test('metrics - collector - histograms are bucketed', async (t) => {
+    const collector = new MetricsCollector();
+    const meta = { buckets: [0.1, 1] };
+    collector.collect({ name: 'bar', description: 'Bar', type: 5, value: 0.05, labels: [], meta });
+    collector.collect({ name: 'bar', description: 'Bar', type: 5, value: 0.5, labels: [], meta });
+    collector.collect({ name: 'bar', description: 'Bar', type: 5, value: 2, labels: [], meta });
+
+    const text = collector.toPrometheus();
+    t.match(text, '# TYPE bar histogram', 'should print type of metric');
+    t.match(text, 'bar_bucket{le="0.1"} 1', 'should count observations in lowest bucket');
+    t.match(text, 'bar_bucket{le="1"} 2', 'should count observations cumulative');
+    t.match(text, 'bar_bucket{le="+Inf"} 3', 'should count all observations in +Inf bucket');
+    t.match(text, 'bar_sum 2.55', 'should sum observations');
+    t.match(text, 'bar_count 3', 'should count observations');
+});
+
+tap.test('metrics - collector - gauges keep last value', async (t) => {
+    const collector = new MetricsCollector();
+    collector.collect({ name: 'baz', description: 'Baz', type: 1, value: 4, labels: [] });
+    collector.collect({ name: 'baz', description: 'Baz', type: 1, value: 2, labels: [] });
+
+    t.match(collector.toPrometheus(), 'baz 2', 'should print last value set');
+});
+
+tap.test('metrics - GET metrics route', async (t) => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const pkgFormData = new FormData();
+    pkgFormData.append('package', fs.createReadStream(FIXTURE_PKG));
+
+    await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: pkgFormData,
+        headers: { ...headers, ...pkgFormData.getHeaders() },
+        redirect: 'manual',
+    });
+
+    await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`);
+
+    const response = await fetch(`${address}/metrics`);
+    const text = await response.text();
+
+    t.equal(response.status, 200, 'on GET, server should respond with a 200 OK');
+    t.equal(response.headers.get('cache-control'), 'no-store', 'should contain "cache-control" set to "no-store"');
+    t.match(response.headers.get('content-type'), 'text/plain; version=0.0.4', 'should be Prometheus text format');
+    t.match(text, '# TYPE eik_core_auth_post_handler histogram', 'should contain metrics from the auth handler');
+    t.match(text, 'eik_core_pkg_put_handler_count{status="303",success="true",type="pkg"} 1', 'should contain metrics from the pkg put handler');
+    t.match(text, 'eik_core_pkg_get_handler_count{status="200",success="true",type="pkg"} 1', 'should contain metrics from the pkg get handler');
+    t.match(text, '# TYPE eik_core_sink_test counter', 'should contain metrics from the sink');
+
+    await app.close();
+});
+
+tap.test('metrics - disabled', async (t) => {
+    config.load({ metrics: false });
+    t.doesNotThrow(() => config.validate(), 'should accept a boolean in the config');
+
+    const service = new Server({ customSink: new Sink() });
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+    config.reset('metrics');
+
+    const response = await fetch(`${address}/metrics`);
+    t.equal(response.status, 404, 'should not mount the metrics route');
+
+    await app.close();
+});
@@ -0,0 +1,230 @@
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import crypto from 'crypto';
+import ssri from 'ssri';
+import tap from 'tap';
+import tar from 'tar';
+import fs from 'fs';
+import os from 'os';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+// Pack files into a tarball laid out like the ones on npm, where
+// every file is in a "package" directory
+const pack = async (files) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eik-npm-proxy-'));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    });
+
+    const chunks = [];
+    const stream = tar.c({ gzip: true, cwd: dir, prefix: 'package', portable: true }, Object.keys(files));
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    return Buffer.concat(chunks);
+};
+
+const createRegistry = async () => {
+    const tarballs = new Map();
+    const manifests = new Map();
+    const requests = [];
+
+    const publish = async (name, version, files, { integrity } = {}) => {
+        const tarball = await pack(files);
+        const filename = `${name.replace('/', '-')}-${version}.tgz`;
+        tarballs.set(filename, tarball);
+
+        const manifest = manifests.get(name) || { name, versions: {} };
+        manifest.versions[version] = {
+            name,
+            version,
+            dist: {
+                tarball: `/tarballs/${filename}`,
+                integrity: integrity || ssri.fromData(tarball, { algorithms: ['sha512'] }).toString(),
+            },
+        };
+        manifests.set(name, manifest);
+    };
+
+    const app = Fastify();
+    app.addHook('onRequest', async (request) => {
+        requests.push(request.url);
+    });
+    app.get('/tarballs/:file', async (request, reply) => {
+        if (!tarballs.has(request.params.file)) return reply.code(404).send();
+        return reply.type('application/octet-stream').send(tarballs.get(request.params.file));
+    });
+    app.get('/:name/:version', async (request, reply) => {
+        const { name, version } = request.params;
+        if (!manifests.has(name) || !manifests.get(name).versions[version]) return reply.code(404).send();
+        return manifests.get(name).versions[version];
+    });
+
+    const address = await app.listen(0, 'localhost');
+
+    return {
+        address,
+        publish,
+        requests,
+        app,
+    };
+};
+
+tap.beforeEach(async (t) => {
+    const registry = await createRegistry();
+    await registry.publish('lit-html', '1.4.1', {
+        'package.json': '{ "name": "lit-html" }',
+        'lit-html.js': 'export const html = () => {};',
+        'lib/render.js': 'export const render = () => {};',
+    });
+    await registry.publish('@lit/reactive-element', '1.0.0', {
+        'package.json': '{ "name": "@lit/reactive-element" }',
+        'reactive-element.js': 'export class ReactiveElement {}',
+    });
+    await registry.publish('lit-element', '2.5.1', {
+        'lit-element.js': 'export class LitElement {}',
+    }, { integrity: ssri.fromData('something else', { algorithms: ['sha512'] }).toString() });
+    await registry.publish('not-allowed', '1.0.0', {
+        'index.js': 'export default {};',
+    });
+
+    config.set('npmProxy.enabled', true);
+    config.set('npmProxy.registry', registry.address);
+    config.set('npmProxy.allow', ['lit-*', '@lit/*']);
+
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    t.context = { // eslint-disable-line no-param-reassign
+        registry,
+        address,
+        sink,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+    await t.context.registry.app.close();
+    config.reset('npmProxy.enabled');
+    config.reset('npmProxy.registry');
+    config.reset('npmProxy.allow');
+});
+
+tap.test('npm proxy - fetch missing package from registry', async (t) => {
+    const { address, registry, sink } = t.context;
+
+    const res = await fetch(`${address}/npm/lit-html/1.4.1/lit-html.js`);
+    t.equal(res.status, 200, 'server should respond with a 200 OK');
+    t.equal(await res.text(), 'export const html = () => {};', 'should serve file from the tarball');
+    t.ok(sink.get('/local/npm/lit-html/1.4.1/lib/render.js'), 'should store all files of the tarball in the sink');
+
+    const overview = await fetch(`${address}/npm/lit-html/1.4.1`);
+    const body = await overview.json();
+    t.equal(body.version, '1.4.1', 'should serve package overview');
+    t.same(body.files.map((file) => file.pathname).sort(), ['/lib/render.js', '/lit-html.js', '/package.json'], 'should list files without the top level directory');
+
+    const versions = await fetch(`${address}/npm/lit-html`);
+    t.same((await versions.json()).versions.map(([, entry]) => entry.version), ['1.4.1'], 'should list the fetched version');
+
+    const again = await fetch(`${address}/npm/lit-html/1.4.1/lib/render.js`);
+    t.equal(again.status, 200, 'server should respond with a 200 OK');
+    t.equal(registry.requests.length, 2, 'should only fetch manifest and tarball once');
+});
+
+tap.test('npm proxy - scoped package', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/npm/@lit/reactive-element/1.0.0/reactive-element.js`);
+    t.equal(res.status, 200, 'server should respond with a 200 OK');
+    t.equal(await res.text(), 'export class ReactiveElement {}', 'should serve file from the tarball');
+});
+
+tap.test('npm proxy - concurrent requests share one fetch', async (t) => {
+    const { address, registry } = t.context;
+
+    const responses = await Promise.all([
+        fetch(`${address}/npm/lit-html/1.4.1/lit-html.js`),
+        fetch(`${address}/npm/lit-html/1.4.1/lib/render.js`),
+        fetch(`${address}/npm/lit-html/1.4.1`),
+    ]);
+
+    t.same(responses.map((res) => res.status), [200, 200, 200], 'server should respond with a 200 OK to all');
+    t.equal(registry.requests.length, 2, 'should only fetch manifest and tarball once');
+});
+
+tap.test('npm proxy - integrity mismatch', async (t) => {
+    const { address, sink } = t.context;
+
+    const res = await fetch(`${address}/npm/lit-element/2.5.1/lit-element.js`);
+    t.equal(res.status, 502, 'server should respond with a 502 Bad Gateway');
+    t.notOk(sink.get('/local/npm/lit-element/2.5.1.package.json'), 'should not store the package');
+});
+
+tap.test('npm proxy - not allowed or not in registry', async (t) => {
+    const { address, registry } = t.context;
+
+    const denied = await fetch(`${address}/npm/not-allowed/1.0.0/index.js`);
+    t.equal(denied.status, 404, 'server should respond with a 404 Not Found on package not in allowlist');
+    t.equal(registry.requests.length, 0, 'should not ask the registry for packages not in allowlist');
+
+    const missing = await fetch(`${address}/npm/lit-html/9.9.9/lit-html.js`);
+    t.equal(missing.status, 404, 'server should respond with a 404 Not Found on version not in the registry');
+
+    const unknown = await fetch(`${address}/npm/lit-unknown/1.0.0/index.js`);
+    t.equal(unknown.status, 404, 'server should respond with a 404 Not Found on package not in the registry');
+});
+
+tap.test('npm proxy - size limits', async (t) => {
+    const { registry } = t.context;
+
+    config.set('npmProxy.maxManifestSize', 512);
+    config.set('npmProxy.maxTarballSize', 2048);
+
+    const content = crypto.randomBytes(4096).toString('hex');
+    await registry.publish('lit-large', '1.0.0', { 'index.js': content });
+
+    const service = new Server({ customSink: new Sink() });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const res = await fetch(`${address}/npm/lit-html/1.4.1/lit-html.js`);
+    t.equal(res.status, 200, 'should fetch tarballs larger than the max size of manifests');
+
+    const large = await fetch(`${address}/npm/lit-large/1.0.0/index.js`);
+    t.equal(large.status, 502, 'server should respond with a 502 Bad Gateway on tarballs larger than the max size');
+
+    await app.close();
+    config.reset('npmProxy.maxManifestSize');
+    config.reset('npmProxy.maxTarballSize');
+});
+
+tap.test('npm proxy - disabled', async (t) => {
+    config.set('npmProxy.enabled', false);
+
+    const service = new Server({ customSink: new Sink() });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const res = await fetch(`${address}/npm/lit-html/1.4.1/lit-html.js`);
+    t.equal(res.status, 404, 'server should respond with a 404 Not Found');
+    t.equal(t.context.registry.requests.length, 0, 'should not ask the registry');
+
+    await app.close();
+});
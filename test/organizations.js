@@ -0,0 +1,138 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+const login = async (address, host, key) => {
+    const formData = new FormData();
+    formData.append('key', key);
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: { ...formData.getHeaders(), 'x-forwarded-host': host },
+    });
+
+    if (res.status !== 200) {
+        return { status: res.status };
+    }
+
+    const { token } = await res.json();
+    return { status: res.status, headers: { 'Authorization': `Bearer ${token}` } };
+};
+
+const publish = async (address, host, headers) => {
+    const formData = new FormData();
+    formData.append('package', fs.createReadStream(FIXTURE_PKG));
+
+    return fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: formData,
+        headers: { ...headers, ...formData.getHeaders(), 'x-forwarded-host': host },
+        redirect: 'manual',
+    });
+};
+
+tap.beforeEach(async (t) => {
+    config.set('organizations', [
+        {
+            name: 'brand-a',
+            hostnames: ['a.example.com'],
+            basicAuth: { key: 'key_a' },
+            jwt: { secret: 'secret_a' },
+        },
+        {
+            name: 'brand-b',
+            hostnames: ['b.example.com'],
+            basicAuth: { key: 'key_b' },
+            jwt: { secret: 'secret_b' },
+        },
+    ]);
+
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    t.context = { // eslint-disable-line no-param-reassign
+        service,
+        address,
+        sink,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+    config.set('organizations', []);
+});
+
+tap.test('organizations - each organization has its own handlers', async (t) => {
+    const { service } = t.context;
+    t.equal(service.organizations.length, 2, 'should have one entry per configured organization');
+    t.same(service.organizations.map((org) => org.name), ['brand-a', 'brand-b'], 'should keep the order of the config');
+});
+
+tap.test('organizations - auth - keys are scoped to organization', async (t) => {
+    const { address } = t.context;
+
+    const a = await login(address, 'a.example.com', 'key_a');
+    t.equal(a.status, 200, 'should accept the key of the organization');
+
+    const b = await login(address, 'b.example.com', 'key_a');
+    t.equal(b.status, 401, 'should not accept the key of another organization');
+});
+
+tap.test('organizations - auth - token is not valid for another organization', async (t) => {
+    const { address } = t.context;
+
+    const { headers } = await login(address, 'a.example.com', 'key_a');
+
+    const res = await publish(address, 'b.example.com', headers);
+    t.equal(res.status, 401, 'should respond with a 401 Unauthorized');
+});
+
+tap.test('organizations - packages are isolated between organizations', async (t) => {
+    const { address, sink } = t.context;
+
+    const { headers } = await login(address, 'a.example.com', 'key_a');
+
+    const put = await publish(address, 'a.example.com', headers);
+    t.equal(put.status, 303, 'should publish in own organization');
+    t.ok(sink.get('/brand-a/pkg/fuzz/8.4.1.package.json'), 'should store files in the space of the organization');
+
+    const getA = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`, {
+        headers: { 'x-forwarded-host': 'a.example.com' },
+    });
+    t.equal(getA.status, 200, 'should serve file in own organization');
+
+    const getB = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`, {
+        headers: { 'x-forwarded-host': 'b.example.com' },
+    });
+    t.equal(getB.status, 404, 'should not serve file from another organization');
+});
+
+tap.test('organizations - unknown hostname', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`, {
+        headers: { 'x-forwarded-host': 'c.example.com' },
+    });
+    t.equal(res.status, 500, 'should respond with a 500 Internal Server Error');
+});
@@ -0,0 +1,133 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Permissions from '../lib/permissions.js';
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+tap.test('permissions - default permissions allows everything', async (t) => {
+    const permissions = new Permissions();
+    t.ok(permissions.allows({ verb: 'publish', type: 'pkg', name: 'fuzz' }), 'should allow non scoped names');
+    t.ok(permissions.allows({ verb: 'delete', type: 'map', name: '@cuz/fuzz' }), 'should allow scoped names');
+});
+
+tap.test('permissions - name patterns', async (t) => {
+    const permissions = new Permissions({ names: ['@podium/*', 'fuzz'] });
+    t.ok(permissions.allows({ verb: 'publish', type: 'pkg', name: '@podium/layout' }), 'should allow names matching wildcard');
+    t.ok(permissions.allows({ verb: 'publish', type: 'pkg', name: 'fuzz' }), 'should allow exact names');
+    t.notOk(permissions.allows({ verb: 'publish', type: 'pkg', name: '@cuz/fuzz' }), 'should not allow names in other scopes');
+    t.notOk(permissions.allows({ verb: 'publish', type: 'pkg', name: 'fuzzy' }), 'should not allow names only starting with an exact name');
+});
+
+tap.test('permissions - types and verbs', async (t) => {
+    const permissions = new Permissions({ types: ['map'], verbs: ['alias'] });
+    t.ok(permissions.allows({ verb: 'alias', type: 'map', name: 'fuzz' }), 'should allow given type and verb');
+    t.notOk(permissions.allows({ verb: 'publish', type: 'map', name: 'fuzz' }), 'should not allow other verbs');
+    t.notOk(permissions.allows({ verb: 'alias', type: 'npm', name: 'fuzz' }), 'should not allow other types');
+});
+
+tap.test('permissions - unknown verb', async (t) => {
+    t.throws(() => new Permissions({ verbs: ['destroy'] }), /Unknown verb/, 'should throw');
+});
+
+tap.test('permissions - missing claim gives full access', async (t) => {
+    const permissions = Permissions.fromClaim(undefined);
+    t.ok(permissions.allows({ verb: 'delete', type: 'npm', name: '@cuz/fuzz' }), 'should allow everything');
+});
+
+tap.test('permissions - routes', async (t) => {
+    config.set('basicAuth.permissions', {
+        names: ['@podium/*'],
+        types: ['pkg', 'map'],
+        verbs: ['publish'],
+    });
+
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const put = async (pathname) => {
+        const pkgFormData = new FormData();
+        pkgFormData.append('package', fs.createReadStream(FIXTURE_PKG));
+        return fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: pkgFormData,
+            headers: { ...headers, ...pkgFormData.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    const allowed = await put('/pkg/@podium/fuzz/8.4.1');
+    t.equal(allowed.status, 303, 'should publish package matching permissions');
+
+    const name = await put('/pkg/fuzz/8.4.1');
+    t.equal(name.status, 403, 'should respond with 403 Forbidden on name not matching permissions');
+
+    const type = await put('/npm/@podium/fuzz/8.4.1');
+    t.equal(type.status, 403, 'should respond with 403 Forbidden on type not matching permissions');
+
+    const mapFormData = new FormData();
+    mapFormData.append('map', fs.createReadStream(FIXTURE_MAP));
+    const map = await fetch(`${address}/map/@podium/buzz/4.2.2`, {
+        method: 'PUT',
+        body: mapFormData,
+        headers: { ...headers, ...mapFormData.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(map.status, 303, 'should publish map matching permissions');
+
+    const aliasFormData = new FormData();
+    aliasFormData.append('version', '8.4.1');
+    const alias = await fetch(`${address}/pkg/@podium/fuzz/v8`, {
+        method: 'PUT',
+        body: aliasFormData,
+        headers: { ...headers, ...aliasFormData.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(alias.status, 403, 'should respond with 403 Forbidden on alias when verb is not permitted');
+
+    const del = await fetch(`${address}/pkg/@podium/fuzz/v8`, {
+        method: 'DELETE',
+        headers,
+    });
+    t.equal(del.status, 403, 'should respond with 403 Forbidden on delete when verb is not permitted');
+
+    const unauthenticated = await fetch(`${address}/pkg/@podium/fuzz/v8`, {
+        method: 'DELETE',
+    });
+    t.equal(unauthenticated.status, 401, 'should still respond with 401 Unauthorized when there is no token');
+
+    await app.close();
+    config.reset('basicAuth.permissions.names');
+    config.reset('basicAuth.permissions.types');
+    config.reset('basicAuth.permissions.verbs');
+});
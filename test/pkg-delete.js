@@ -0,0 +1,238 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import * as utils from '../lib/utils.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+const login = async (address) => {
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    return { 'Authorization': `Bearer ${token}` };
+};
+
+tap.beforeEach(async (t) => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+    const headers = await login(address);
+
+    const publish = async (pathname) => {
+        const formData = new FormData();
+        formData.append('package', fs.createReadStream(FIXTURE_PKG));
+        return fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: formData,
+            headers: { ...headers, ...formData.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    t.context = { // eslint-disable-line no-param-reassign
+        publish,
+        address,
+        headers,
+        sink,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('delete package - no auth token', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'DELETE',
+    });
+
+    t.equal(res.status, 401, 'on DELETE, server should respond with a 401 Unauthorized');
+});
+
+tap.test('delete package - version does not exist', async (t) => {
+    const { address, headers } = t.context;
+
+    const res = await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'DELETE',
+        headers,
+    });
+
+    t.equal(res.status, 404, 'on DELETE, server should respond with a 404 Not Found');
+});
+
+tap.test('delete package - soft delete - non scoped', async (t) => {
+    const { address, headers, publish, sink } = t.context;
+
+    await publish('/pkg/fuzz/8.4.1');
+
+    const del = await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'DELETE',
+        headers,
+    });
+    t.equal(del.status, 204, 'on DELETE, server should respond with a 204 No Content');
+    t.equal(del.headers.get('cache-control'), 'no-store', 'should contain "cache-control" set to "no-store"');
+
+    const file = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`);
+    t.equal(file.status, 410, 'on GET of file, server should respond with a 410 Gone');
+
+    const log = await fetch(`${address}/pkg/fuzz/8.4.1`);
+    t.equal(log.status, 410, 'on GET of package log, server should respond with a 410 Gone');
+
+    const versions = await fetch(`${address}/pkg/fuzz`);
+    const body = await versions.json();
+    t.same(body.versions[0][1].yanked, true, 'on GET of versions, version should be marked as yanked');
+
+    t.ok(sink.get('/local/pkg/fuzz/8.4.1/main/index.js'), 'should keep files in sink');
+    t.ok(sink.get('/local/pkg/fuzz/8.4.1.tombstone.json'), 'should write tombstone to sink');
+
+    const again = await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'DELETE',
+        headers,
+    });
+    t.equal(again.status, 410, 'on second DELETE, server should respond with a 410 Gone');
+});
+
+tap.test('delete package - soft delete - scoped npm', async (t) => {
+    const { address, headers, publish } = t.context;
+
+    await publish('/npm/@cuz/fuzz/8.4.1');
+    await publish('/npm/@cuz/fuzz/8.4.2');
+
+    const del = await fetch(`${address}/npm/@cuz/fuzz/8.4.1`, {
+        method: 'DELETE',
+        headers,
+    });
+    t.equal(del.status, 204, 'on DELETE, server should respond with a 204 No Content');
+
+    const deleted = await fetch(`${address}/npm/@cuz/fuzz/8.4.1/main/index.js`);
+    t.equal(deleted.status, 410, 'on GET of deleted version, server should respond with a 410 Gone');
+
+    const other = await fetch(`${address}/npm/@cuz/fuzz/8.4.2/main/index.js`);
+    t.equal(other.status, 200, 'on GET of other version, server should respond with a 200 OK');
+});
+
+tap.test('delete package - purge - not permitted', async (t) => {
+    const { address, headers, publish } = t.context;
+
+    await publish('/pkg/fuzz/8.4.1');
+
+    const del = await fetch(`${address}/pkg/fuzz/8.4.1?purge=true`, {
+        method: 'DELETE',
+        headers,
+    });
+    t.equal(del.status, 403, 'on DELETE with purge, server should respond with a 403 Forbidden');
+});
+
+tap.test('delete map - soft delete', async (t) => {
+    const { address, headers } = t.context;
+
+    const formData = new FormData();
+    formData.append('map', fs.createReadStream(FIXTURE_MAP));
+    await fetch(`${address}/map/buzz/4.2.2`, {
+        method: 'PUT',
+        body: formData,
+        headers: { ...headers, ...formData.getHeaders() },
+        redirect: 'manual',
+    });
+
+    const del = await fetch(`${address}/map/buzz/4.2.2`, {
+        method: 'DELETE',
+        headers,
+    });
+    t.equal(del.status, 204, 'on DELETE, server should respond with a 204 No Content');
+
+    const map = await fetch(`${address}/map/buzz/4.2.2`);
+    t.equal(map.status, 410, 'on GET, server should respond with a 410 Gone');
+
+    const republish = new FormData();
+    republish.append('map', fs.createReadStream(FIXTURE_MAP));
+    const res = await fetch(`${address}/map/buzz/4.2.2`, {
+        method: 'PUT',
+        body: republish,
+        headers: { ...headers, ...republish.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(res.status, 409, 'on PUT of a deleted version, server should respond with a 409 Conflict');
+});
+
+tap.test('delete package - purge', async (t) => {
+    config.set('basicAuth.permissions.verbs', ['publish', 'delete', 'purge']);
+
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+    const headers = await login(address);
+
+    // One after the other as a version must be higher than the ones before it
+    await utils.mapSeries(['8.4.1', '8.4.10'], (version) => {
+        const formData = new FormData();
+        formData.append('package', fs.createReadStream(FIXTURE_PKG));
+        return fetch(`${address}/pkg/fuzz/${version}`, {
+            method: 'PUT',
+            body: formData,
+            headers: { ...headers, ...formData.getHeaders() },
+            redirect: 'manual',
+        });
+    });
+
+    const del = await fetch(`${address}/pkg/fuzz/8.4.1?purge=true`, {
+        method: 'DELETE',
+        headers,
+    });
+    t.equal(del.status, 204, 'on DELETE with purge, server should respond with a 204 No Content');
+
+    t.notOk(sink.get('/local/pkg/fuzz/8.4.1/main/index.js'), 'should delete files from sink');
+    t.notOk(sink.get('/local/pkg/fuzz/8.4.1.package.json'), 'should delete package log from sink');
+    t.ok(sink.get('/local/pkg/fuzz/8.4.1.tombstone.json'), 'should keep tombstone in sink');
+    t.ok(sink.get('/local/pkg/fuzz/8.4.10/main/index.js'), 'should not delete files of other versions');
+
+    const file = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`);
+    t.equal(file.status, 410, 'on GET of file, server should respond with a 410 Gone');
+
+    const formData = new FormData();
+    formData.append('package', fs.createReadStream(FIXTURE_PKG));
+    const republish = await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: formData,
+        headers: { ...headers, ...formData.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(republish.status, 409, 'on PUT of a purged version, server should respond with a 409 Conflict');
+    t.match((await republish.json()).message, 'is deleted and can not be published again', 'should tell why the version can not be published');
+
+    await app.close();
+    config.reset('basicAuth.permissions.verbs');
+});
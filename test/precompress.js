@@ -0,0 +1,140 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import zlib from 'zlib';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import * as utils from '../lib/utils.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+const start = async () => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+
+    const pkg = new FormData();
+    pkg.append('package', fs.createReadStream(FIXTURE_PKG));
+    await fetch(`${address}/pkg/@cuz/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: pkg,
+        headers: { 'Authorization': `Bearer ${token}`, ...pkg.getHeaders() },
+        redirect: 'manual',
+    });
+
+    // Variants are made after the package is published
+    const [org] = service.organizations;
+    if (org.precompress) await org.precompress.idle();
+
+    return { address, sink, app };
+};
+
+// Raw response, not decompressed by the client
+const get = (address, pathname, headers = {}) => fetch(`${address}${pathname}`, { headers, compress: false });
+
+const raw = async (res) => Buffer.from(await res.arrayBuffer());
+
+tap.test('precompress - serves brotli variant made at publish', async (t) => {
+    const { address, app } = await start();
+
+    const original = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', { 'accept-encoding': 'identity' });
+    const body = await raw(original);
+    t.notOk(original.headers.get('content-encoding'), 'should serve file as is when no encoding is accepted');
+    t.match(original.headers.get('vary'), 'accept-encoding', 'should vary on accept-encoding when served as is');
+
+    const res = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', { 'accept-encoding': 'gzip, deflate, br' });
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    t.equal(res.headers.get('content-encoding'), 'br', 'should prefer the brotli variant');
+    t.match(res.headers.get('vary'), 'accept-encoding', 'should vary on accept-encoding');
+    t.match(res.headers.get('content-type'), 'application/javascript', 'should have content type of the file');
+    t.equal(res.headers.get('cache-control'), 'public, max-age=31536000, immutable', 'should be cached like the file');
+    t.match(res.headers.get('etag'), /^"sha512-[^"]+"$/, 'should have a quoted etag');
+    t.not(res.headers.get('etag'), original.headers.get('etag'), 'etag should differ from the file');
+    t.same(zlib.brotliDecompressSync(await raw(res)), body, 'variant should decompress to the file');
+
+    await app.close();
+});
+
+tap.test('precompress - serves gzip variant', async (t) => {
+    const { address, app } = await start();
+
+    const original = await raw(await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', { 'accept-encoding': 'identity' }));
+    const res = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', { 'accept-encoding': 'gzip' });
+    t.equal(res.headers.get('content-encoding'), 'gzip', 'should serve the gzip variant');
+    t.same(zlib.gunzipSync(await raw(res)), original, 'variant should decompress to the file');
+
+    const weighted = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', { 'accept-encoding': 'br;q=0.5, gzip' });
+    t.equal(weighted.headers.get('content-encoding'), 'gzip', 'should respect quality values');
+
+    const refused = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', { 'accept-encoding': 'br;q=0, *' });
+    t.equal(refused.headers.get('content-encoding'), 'gzip', 'should not serve refused encodings');
+
+    await app.close();
+});
+
+tap.test('precompress - conditional request for a variant', async (t) => {
+    const { address, app } = await start();
+
+    const first = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', { 'accept-encoding': 'br' });
+    await raw(first);
+    const second = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.js', {
+        'accept-encoding': 'br',
+        'if-none-match': first.headers.get('etag'),
+    });
+    t.equal(second.status, 304, 'should respond with 304 Not Modified');
+
+    await app.close();
+});
+
+tap.test('precompress - small files get no variants', async (t) => {
+    const { address, sink, app } = await start();
+
+    const variants = await utils.readJSON(sink, '/local/pkg/@cuz/fuzz/8.4.1.variants.json');
+    t.ok(variants.files['main/index.js'], 'should list variants of large files');
+    t.notOk(variants.files['main/index.css'], 'should not make variants of files below the threshold');
+
+    const res = await get(address, '/pkg/@cuz/fuzz/8.4.1/main/index.css', { 'accept-encoding': 'identity' });
+    t.equal(res.status, 200, 'should serve the file');
+    t.notOk(res.headers.get('content-encoding'), 'should serve the file as is');
+
+    await app.close();
+});
+
+tap.test('precompress - package meta is left as published', async (t) => {
+    const { sink, app } = await start();
+
+    const pkg = await utils.readJSON(sink, '/local/pkg/@cuz/fuzz/8.4.1.package.json');
+    t.notOk(pkg.files.some((file) => file.encodings), 'should not list variants in the package meta');
+
+    await app.close();
+});
+
+tap.test('precompress - disabled', async (t) => {
+    config.set('compression.precompress', false);
+    const { sink, app } = await start();
+    config.reset('compression.precompress');
+
+    await t.rejects(sink.exist('/local/pkg/@cuz/fuzz/8.4.1.variants.json'), 'should not make variants');
+    await t.rejects(sink.exist('/local/pkg/@cuz/fuzz/8.4.1/main/index.js.br'), 'should not make variants');
+
+    await app.close();
+});
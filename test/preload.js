@@ -0,0 +1,182 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import http2 from 'http2';
+import http from 'http';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import * as utils from '../lib/utils.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+
+const upload = async ({ address, headers }, pathname, field, value, filename) => {
+    const form = new FormData();
+    form.append(field, value, filename);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+const login = async (address) => {
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+    return { 'Authorization': `Bearer ${token}` };
+};
+
+// Request over HTTP/1.1 collecting informational responses
+const request = (address, pathname) => new Promise((resolve, reject) => {
+    const informational = [];
+    const req = http.get(`${address}${pathname}`, (res) => {
+        res.resume();
+        res.on('end', () => resolve({ status: res.statusCode, informational }));
+    });
+    req.on('information', (info) => informational.push(info));
+    req.on('error', reject);
+});
+
+const start = async ({ push = false, http2: h2 = false } = {}) => {
+    config.set('preload.enabled', true);
+    config.set('preload.push', push);
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    // Same sink served over HTTP/2
+    let app2;
+    let address2;
+    if (h2) {
+        const service2 = new Server({ customSink: sink });
+        app2 = Fastify({ ignoreTrailingSlash: true, http2: true });
+        app2.register(service2.api());
+        address2 = await app2.listen(0, 'localhost');
+    }
+    config.reset('preload.enabled');
+    config.reset('preload.push');
+
+    const context = { headers: await login(address), address };
+    await upload(context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+
+    const host = address2 || address;
+    const map = {
+        imports: {
+            fuzz: `${host}/pkg/fuzz/8.4.1/main/index.js`,
+            'fuzz/': `${host}/pkg/fuzz/8.4.1/`,
+            other: 'https://cdn.example.com/other.js',
+            same: `${host}/pkg/fuzz/8.4.1/main/index.js`,
+        },
+    };
+    await upload(context, '/map/buzz/4.2.2', 'map', JSON.stringify(map), 'import-map.json');
+
+    return {
+        ...context,
+        address2,
+        sink,
+        host,
+        close: async () => {
+            await app.close();
+            if (app2) await app2.close();
+        },
+    };
+};
+
+// Early hints are only sent on Node versions where responses can write
+// them. On older versions the map is sent without them.
+const earlyHints = typeof http.ServerResponse.prototype.writeEarlyHints === 'function';
+
+tap.test('preload - entry files are listed when the map is published', async (t) => {
+    const { sink, host, close } = await start();
+    t.teardown(close);
+
+    const list = await utils.readJSON(sink, '/local/map/buzz/4.2.2.preload.json');
+    t.same(list.files, [
+        `${host}/pkg/fuzz/8.4.1/main/index.js`,
+        'https://cdn.example.com/other.js',
+    ], 'should list each entry file once and skip prefixes');
+});
+
+tap.test('preload - early hints are sent before the map', async (t) => {
+    const { address, host, close } = await start();
+    t.teardown(close);
+
+    const res = await request(address, '/map/buzz/4.2.2');
+    t.equal(res.status, 200, 'should respond with the map');
+    if (!earlyHints) {
+        t.equal(res.informational.length, 0, 'should send no informational response where early hints can not be written');
+        return;
+    }
+    t.equal(res.informational.length, 1, 'should send one informational response');
+
+    const [hints] = res.informational;
+    t.equal(hints.statusCode, 103, 'should be 103 Early Hints');
+    t.same(hints.headers.link.split(', '), [
+        `<${host}/pkg/fuzz/8.4.1/main/index.js>; rel=modulepreload`,
+        '<https://cdn.example.com/other.js>; rel=modulepreload',
+    ], 'should link to the entry files');
+});
+
+tap.test('preload - entry files are pushed over http2', async (t) => {
+    const { address2, close } = await start({ push: true, http2: true });
+    t.teardown(close);
+
+    const session = http2.connect(address2);
+    const pushed = [];
+    session.on('stream', (stream, headers) => {
+        stream.on('push', (response) => {
+            pushed.push({ path: headers[':path'], status: response[':status'], type: response['content-type'] });
+        });
+        stream.resume();
+    });
+
+    const { status, link } = await new Promise((resolve, reject) => {
+        // Organizations are resolved from the host, which HTTP/2 requests
+        // have no header for
+        const req = session.request({ ':path': '/map/buzz/4.2.2', 'x-forwarded-host': new URL(address2).host });
+        let response;
+        req.on('response', (headers) => { response = headers; });
+        req.on('data', () => {});
+        req.on('end', () => resolve({ status: response[':status'], link: response.link }));
+        req.on('error', reject);
+        req.end();
+    });
+    await new Promise((resolve) => { setTimeout(resolve, 100); });
+    session.close();
+
+    t.equal(status, 200, 'should respond with the map');
+    t.same(pushed, [{ path: '/pkg/fuzz/8.4.1/main/index.js', status: 200, type: 'application/javascript' }], 'should push files on the same host');
+    t.notOk(link, 'should not link to files on the map response');
+});
+
+tap.test('preload - disabled', async (t) => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+    t.teardown(() => app.close());
+
+    const context = { headers: await login(address), address };
+    await upload(context, '/map/buzz/4.2.2', 'map', JSON.stringify({ imports: { a: '/a.js' } }), 'import-map.json');
+
+    await t.rejects(sink.exist('/local/map/buzz/4.2.2.preload.json'), 'should not list entry files');
+    const res = await request(address, '/map/buzz/4.2.2');
+    t.equal(res.informational.length, 0, 'should not send early hints');
+});
@@ -0,0 +1,152 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import * as utils from '../lib/utils.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+// node-fetch resolves the location header to an absolute URL
+const location = (res) => {
+    const { pathname, search } = new URL(res.headers.get('location'));
+    return `${pathname}${search}`;
+};
+
+tap.beforeEach(async (t) => {
+    const service = new Server({ customSink: new Sink() });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const upload = async (pathname, field, fixture) => {
+        const form = new FormData();
+        form.append(field, fs.createReadStream(fixture));
+        await fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: form,
+            headers: { ...headers, ...form.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    // One after the other as a version must be higher than the ones before it
+    const packages = ['pkg', 'npm'].flatMap((type) => ['fuzz', '@cuz/fuzz']
+        .flatMap((name) => ['7.0.0', '8.4.1', '8.5.0'].map((version) => `/${type}/${name}/${version}`)));
+    await utils.mapSeries(packages, (pathname) => upload(pathname, 'package', FIXTURE_PKG));
+
+    const maps = ['buzz', '@cuz/buzz'].flatMap((name) => ['4.2.2', '5.0.0-beta.1'].map((version) => `/map/${name}/${version}`));
+    await utils.mapSeries(maps, (pathname) => upload(pathname, 'map', FIXTURE_MAP));
+
+    t.context = { // eslint-disable-line no-param-reassign
+        address,
+        headers,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('ranges - package file - non scoped', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/pkg/fuzz/^8.4/main/index.js`, { redirect: 'manual' });
+    t.equal(res.status, 302, 'server should respond with a 302 redirect');
+    t.equal(location(res), '/pkg/fuzz/8.5.0/main/index.js', 'should redirect to exact version');
+    t.equal(res.headers.get('cache-control'), 'public, max-age=60', 'should have a short cache TTL');
+
+    const followed = await fetch(`${address}/pkg/fuzz/^8.4/main/index.js`);
+    t.equal(followed.status, 200, 'should serve the file of the resolved version');
+});
+
+tap.test('ranges - package file - scoped', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/pkg/@cuz/fuzz/~7.0.0/main/index.js?foo=bar`, { redirect: 'manual' });
+    t.equal(res.status, 302, 'server should respond with a 302 redirect');
+    t.equal(location(res), '/pkg/@cuz/fuzz/7.0.0/main/index.js?foo=bar', 'should redirect to exact version and keep query');
+});
+
+tap.test('ranges - npm package overview', async (t) => {
+    const { address } = t.context;
+
+    const scoped = await fetch(`${address}/npm/@cuz/fuzz/${encodeURIComponent('>=7 <8')}`, { redirect: 'manual' });
+    t.equal(location(scoped), '/npm/@cuz/fuzz/7.0.0', 'should resolve encoded ranges');
+
+    const nonScoped = await fetch(`${address}/npm/fuzz/8.x`, { redirect: 'manual' });
+    t.equal(location(nonScoped), '/npm/fuzz/8.5.0', 'should resolve x ranges');
+
+    const followed = await fetch(`${address}/npm/fuzz/8.x`);
+    const body = await followed.json();
+    t.equal(body.version, '8.5.0', 'should serve the package overview of the resolved version');
+});
+
+tap.test('ranges - latest', async (t) => {
+    const { address } = t.context;
+
+    const pkg = await fetch(`${address}/pkg/@cuz/fuzz/latest/main/index.js`, { redirect: 'manual' });
+    t.equal(location(pkg), '/pkg/@cuz/fuzz/8.5.0/main/index.js', 'should resolve latest version of package');
+
+    const map = await fetch(`${address}/map/buzz/latest`, { redirect: 'manual' });
+    t.equal(location(map), '/map/buzz/4.2.2', 'should not resolve latest to a prerelease');
+});
+
+tap.test('ranges - map', async (t) => {
+    const { address } = t.context;
+
+    const res = await fetch(`${address}/map/@cuz/buzz/^4.1`, { redirect: 'manual' });
+    t.equal(res.status, 302, 'server should respond with a 302 redirect');
+    t.equal(location(res), '/map/@cuz/buzz/4.2.2', 'should redirect to exact version');
+
+    const prerelease = await fetch(`${address}/map/buzz/^5.0.0-beta.0`, { redirect: 'manual' });
+    t.equal(location(prerelease), '/map/buzz/5.0.0-beta.1', 'should resolve prerelease ranges');
+
+    const followed = await fetch(`${address}/map/@cuz/buzz/^4.1`);
+    const body = await followed.json();
+    t.ok(body.imports, 'should serve the resolved map');
+});
+
+tap.test('ranges - no satisfying version', async (t) => {
+    const { address } = t.context;
+
+    const range = await fetch(`${address}/pkg/fuzz/^9/main/index.js`, { redirect: 'manual' });
+    t.equal(range.status, 404, 'server should respond with a 404 Not Found');
+
+    const missing = await fetch(`${address}/pkg/missing/latest`, { redirect: 'manual' });
+    t.equal(missing.status, 404, 'server should respond with a 404 Not Found on unknown package');
+});
+
+tap.test('ranges - yanked versions are not resolved', async (t) => {
+    const { address, headers } = t.context;
+
+    await fetch(`${address}/pkg/fuzz/8.5.0`, { method: 'DELETE', headers });
+
+    const res = await fetch(`${address}/pkg/fuzz/latest`, { redirect: 'manual' });
+    t.equal(location(res), '/pkg/fuzz/7.0.0', 'should skip yanked versions');
+});
@@ -0,0 +1,301 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+import os from 'os';
+
+import Server from '../lib/main.js';
+import Replication from '../lib/replication.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+// Shared by the servers so changes pushed between them are not pushed again
+const SECRET = 'peer_secret';
+
+const logger = {
+    trace() {},
+    debug() {},
+    info() {},
+    warn() {},
+    error() {},
+};
+
+// Changes are pushed to peers after the response is sent
+const waitFor = async (check, timeout = 3000) => {
+    const end = Date.now() + timeout;
+    const poll = async () => {
+        if (await check()) return true;
+        if (Date.now() >= end) return false;
+        await new Promise((resolve) => { setTimeout(resolve, 20); });
+        return poll();
+    };
+    return poll();
+};
+
+const start = async (sink = new Sink()) => {
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+
+    return {
+        headers: { 'Authorization': `Bearer ${token}` },
+        address,
+        service,
+        sink,
+        app,
+    };
+};
+
+const upload = async ({ address, headers }, pathname, field, value, extra = {}) => {
+    const form = new FormData();
+    form.append(field, value);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...extra, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+tap.beforeEach(async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eik-replication-'));
+    config.set('replication.secret', SECRET);
+    const secondary = await start();
+
+    config.set('replication.path', dir);
+    config.set('replication.peers', [{ url: secondary.address, key: 'change_me' }]);
+    const primary = await start();
+    config.reset('replication.peers');
+    config.reset('replication.path');
+    config.reset('replication.secret');
+
+    t.context = { // eslint-disable-line no-param-reassign
+        secondary,
+        primary,
+        dir,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.primary.app.close();
+    await t.context.secondary.app.close();
+    fs.rmSync(t.context.dir, { recursive: true, force: true });
+});
+
+tap.test('replication - package is pushed to peer', async (t) => {
+    const { primary, secondary } = t.context;
+
+    const res = await upload(primary, '/pkg/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    t.equal(res.status, 303, 'server should respond with a 303 redirect');
+
+    const replicated = await waitFor(async () => (await fetch(`${secondary.address}/pkg/@cuz/fuzz/8.4.1`)).status === 200);
+    t.ok(replicated, 'peer should have the package');
+
+    const [original, copy] = await Promise.all([
+        fetch(`${primary.address}/pkg/@cuz/fuzz/8.4.1/main/index.js`).then((r) => r.text()),
+        fetch(`${secondary.address}/pkg/@cuz/fuzz/8.4.1/main/index.js`).then((r) => r.text()),
+    ]);
+    t.equal(copy, original, 'peer should serve the same files');
+
+    const [a, b] = await Promise.all([
+        fetch(`${primary.address}/pkg/@cuz/fuzz/8.4.1`).then((r) => r.json()),
+        fetch(`${secondary.address}/pkg/@cuz/fuzz/8.4.1`).then((r) => r.json()),
+    ]);
+    t.equal(b.integrity, a.integrity, 'package on peer should have same integrity');
+});
+
+tap.test('replication - import map and aliases are pushed to peer', async (t) => {
+    const { primary, secondary } = t.context;
+
+    await upload(primary, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+    await waitFor(async () => (await fetch(`${secondary.address}/map/buzz/4.2.2`)).status === 200);
+
+    const res = await upload(primary, '/map/buzz/v4', 'version', '4.2.2');
+    t.equal(res.status, 303, 'server should respond with a 303 redirect');
+
+    const aliased = await waitFor(async () => (await fetch(`${secondary.address}/map/buzz/v4`, { redirect: 'manual' })).status === 302);
+    t.ok(aliased, 'peer should have the alias');
+
+    const [original, copy] = await Promise.all([
+        fetch(`${primary.address}/map/buzz/4.2.2`).then((r) => r.json()),
+        fetch(`${secondary.address}/map/buzz/4.2.2`).then((r) => r.json()),
+    ]);
+    t.same(copy, original, 'peer should serve the same map');
+
+    await fetch(`${primary.address}/map/buzz/v4`, { method: 'DELETE', headers: primary.headers });
+    const deleted = await waitFor(async () => (await fetch(`${secondary.address}/map/buzz/v4`, { redirect: 'manual' })).status === 404);
+    t.ok(deleted, 'alias should be deleted on peer');
+});
+
+tap.test('replication - changes from a peer are not pushed again', async (t) => {
+    const { primary, secondary } = t.context;
+
+    await upload(primary, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP), { [Replication.header]: SECRET });
+    await new Promise((resolve) => { setTimeout(resolve, 200); });
+
+    const res = await fetch(`${secondary.address}/map/buzz/4.2.2`);
+    t.equal(res.status, 404, 'peer should not receive the change');
+});
+
+tap.test('replication - changes with a wrong secret are pushed', async (t) => {
+    const { primary, secondary } = t.context;
+
+    await upload(primary, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP), { [Replication.header]: 'local' });
+
+    const replicated = await waitFor(async () => (await fetch(`${secondary.address}/map/buzz/4.2.2`)).status === 200);
+    t.ok(replicated, 'peer should receive the change');
+});
+
+tap.test('replication - failed pushes are queued and retried', async (t) => {
+    const { primary, dir } = t.context;
+
+    // Peer which is not up yet
+    const peer = await start();
+    const { port } = new URL(peer.address);
+    await peer.app.close();
+
+    const pathname = path.join(dir, 'queue.json');
+    const replication = new Replication({
+        peers: [{ url: `http://localhost:${port}`, key: 'change_me' }],
+        sink: primary.sink,
+        org: 'local',
+        pathname,
+        logger,
+    });
+
+    await upload(primary, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await replication.replicate({
+        action: 'publish',
+        method: 'PUT',
+        type: 'pkg',
+        name: 'fuzz',
+        version: '8.4.1',
+    });
+
+    t.equal(replication.queue.length, 1, 'should queue the failed push');
+    const persisted = JSON.parse(fs.readFileSync(pathname));
+    t.equal(persisted.queue.length, 1, 'should persist the queue');
+
+    // Queue survives a restart
+    const restarted = new Replication({
+        peers: [{ url: `http://localhost:${port}`, key: 'change_me' }],
+        delay: 0,
+        sink: primary.sink,
+        org: 'local',
+        pathname,
+        logger,
+    });
+    t.equal(restarted.queue.length, 1, 'should load the queue');
+
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    await app.listen(port, 'localhost');
+
+    // Make the queued push due
+    restarted._queue[0].next = 0;
+    await restarted.retry();
+    t.equal(restarted.queue.length, 0, 'should empty the queue when the push succeeds');
+
+    const res = await fetch(`http://localhost:${port}/pkg/fuzz/8.4.1/main/index.js`);
+    t.equal(res.status, 200, 'peer should have the package');
+
+    await restarted.stop();
+    await replication.stop();
+    await app.close();
+});
+
+tap.test('replication - reconcile pushes versions missing on peer', async (t) => {
+    const { primary, secondary, dir } = t.context;
+
+    // Published with the peer header so they are not replicated
+    await upload(primary, '/pkg/fuzz/7.0.0', 'package', fs.createReadStream(FIXTURE_PKG), { [Replication.header]: SECRET });
+    await upload(primary, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG), { [Replication.header]: SECRET });
+    await upload(secondary, '/pkg/fuzz/8.0.0', 'package', fs.createReadStream(FIXTURE_PKG));
+
+    const pathname = path.join(dir, 'reconcile.json');
+    fs.writeFileSync(pathname, JSON.stringify({ queue: [], packages: [{ type: 'pkg', name: 'fuzz' }] }));
+
+    const replication = new Replication({
+        peers: [{ url: secondary.address, key: 'change_me' }],
+        sink: primary.sink,
+        org: 'local',
+        pathname,
+        logger,
+    });
+
+    const pushed = await replication.reconcile();
+    t.same(pushed.map((entry) => entry.version).sort(), ['7.0.0', '8.4.1'], 'should push versions the peer is missing or has older versions of');
+
+    const res = await fetch(`${secondary.address}/pkg/fuzz`);
+    const body = await res.json();
+    t.same(body.versions.map(([, entry]) => entry.version), ['8.4.1', '7.0.0'], 'peer should list the same versions');
+
+    const again = await replication.reconcile();
+    t.same(again, [], 'should push nothing when peers are in sync');
+
+    await replication.stop();
+});
+
+tap.test('replication - reconcile reports only successful pushes', async (t) => {
+    const { primary, secondary, dir } = t.context;
+
+    await upload(primary, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG), { [Replication.header]: SECRET });
+
+    // Listed in the version listing but the package can not be read
+    await primary.sink.delete('/local/pkg/fuzz/8.4.1.package.json');
+
+    // A failed push which is due for a retry
+    const job = {
+        id: 'due',
+        action: 'publish',
+        method: 'PUT',
+        type: 'pkg',
+        name: 'fuzz',
+        version: '8.4.1',
+        peer: `${secondary.address}/`,
+        attempts: 1,
+        next: 0,
+    };
+    const pathname = path.join(dir, 'reconcile.json');
+    fs.writeFileSync(pathname, JSON.stringify({ queue: [job], packages: [{ type: 'pkg', name: 'fuzz' }] }));
+
+    const replication = new Replication({
+        peers: [{ url: secondary.address, key: 'change_me' }],
+        sink: primary.sink,
+        org: 'local',
+        pathname,
+        logger,
+    });
+
+    const running = replication.reconcile();
+    t.same(await replication.reconcile(), [], 'should not reconcile while already reconciling');
+    await replication.retry();
+    t.equal(replication.queue[0].attempts, 1, 'should not retry while reconciling');
+
+    const pushed = await running;
+    t.same(pushed, [], 'should not report failed pushes');
+    t.equal(replication.queue.length, 2, 'should queue the failed push');
+    t.equal(replication.queue[1].version, '8.4.1', 'should queue the version which failed');
+
+    await replication.stop();
+});
@@ -0,0 +1,244 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import SearchIndex from '../lib/search-index.js';
+import Server from '../lib/main.js';
+import * as utils from '../lib/utils.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_PKG_SMALL = path.resolve(__dirname, '../fixtures/archive-small.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+const upload = async ({ address, headers }, pathname, field, value) => {
+    const form = new FormData();
+    form.append(field, value);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+const search = async (address, query) => {
+    const res = await fetch(`${address}/search?${new URLSearchParams(query)}`);
+    return { status: res.status, body: await res.json() };
+};
+
+const versions = (body) => body.results.map((result) => `${result.type}/${result.name}/${result.version}`);
+
+tap.beforeEach(async (t) => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+    const context = { headers: { 'Authorization': `Bearer ${token}` }, address };
+
+    await upload(context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(context, '/pkg/fuzz/8.5.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/npm/@cuz/buzz/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+
+    // Each version published a minute apart, fuzz 8.4.1 first
+    const org = service.organizations[0];
+    const published = [
+        ['pkg', 'fuzz', '8.4.1'],
+        ['pkg', 'fuzz', '8.5.0'],
+        ['npm', '@cuz/buzz', '1.0.0'],
+        ['map', 'buzz', '4.2.2'],
+    ];
+    await Promise.all(published.map(async ([type, name, version], i) => {
+        const pathname = utils.createFilePathToPackage({
+            org: 'local',
+            type,
+            name,
+            version,
+        });
+        const meta = await utils.readJSON(sink, pathname);
+        await utils.writeJSON(sink, pathname, { ...meta, created: 1600000000 + (i * 60) });
+    }));
+    await org.search.rebuild();
+
+    t.context = { // eslint-disable-line no-param-reassign
+        ...context,
+        service,
+        sink,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('search - versions containing a file', async (t) => {
+    const { address } = t.context;
+
+    const { status, body } = await search(address, { q: 'assets.json' });
+    t.equal(status, 200, 'should respond with 200 OK');
+    t.equal(body.total, 1, 'should find only the version with the file');
+    t.same(body.results[0], {
+        type: 'pkg',
+        name: 'fuzz',
+        version: '8.4.1',
+        created: 1600000000,
+        size: body.results[0].size,
+        files: ['/assets.json'],
+    }, 'should list the matching files of the version');
+
+    const log = await fetch(`${address}/pkg/fuzz/8.4.1`).then((res) => res.json());
+    t.equal(body.results[0].size, log.files.reduce((sum, file) => sum + file.size, 0), 'should have the size of all files of the version');
+
+    const all = await search(address, { q: 'MAIN/INDEX.JS' });
+    t.same(versions(all.body), ['npm/@cuz/buzz/1.0.0', 'pkg/fuzz/8.5.0', 'pkg/fuzz/8.4.1'], 'should match file paths in any case');
+    t.same(all.body.results[0].files, ['/main/index.js', '/main/index.js.map'], 'should list each matching file');
+});
+
+tap.test('search - names and versions', async (t) => {
+    const { address } = t.context;
+
+    const names = await search(address, { q: 'buzz' });
+    t.same(versions(names.body), ['map/buzz/4.2.2', 'npm/@cuz/buzz/1.0.0'], 'should match names');
+    t.same(names.body.results[0].files, [], 'should not list files when the name matches');
+
+    const version = await search(address, { q: '8.5' });
+    t.same(versions(version.body), ['pkg/fuzz/8.5.0'], 'should match versions');
+
+    const typed = await search(address, { q: 'buzz', type: 'map' });
+    t.same(versions(typed.body), ['map/buzz/4.2.2'], 'should filter on type');
+});
+
+tap.test('search - sorted on time of publish and paginated', async (t) => {
+    const { address } = t.context;
+
+    const first = await search(address, { limit: 2 });
+    t.equal(first.body.total, 4, 'should count every match');
+    t.same(versions(first.body), ['map/buzz/4.2.2', 'npm/@cuz/buzz/1.0.0'], 'should list newest first');
+
+    const second = await search(address, { limit: 2, offset: 2 });
+    t.same(versions(second.body), ['pkg/fuzz/8.5.0', 'pkg/fuzz/8.4.1'], 'should list the next page');
+    t.equal(second.body.offset, 2, 'should have the offset of the page');
+
+    const oldest = await search(address, { order: 'asc', limit: 1 });
+    t.same(versions(oldest.body), ['pkg/fuzz/8.4.1'], 'should list oldest first');
+});
+
+tap.test('search - index is updated on publish and delete', async (t) => {
+    const { address } = t.context;
+
+    await upload(t.context, '/pkg/fuzz/8.6.0', 'package', fs.createReadStream(FIXTURE_PKG));
+    const published = await search(address, { q: 'assets.json' });
+    t.same(versions(published.body), ['pkg/fuzz/8.6.0', 'pkg/fuzz/8.4.1'], 'should find the published version');
+
+    await fetch(`${address}/pkg/fuzz/8.6.0`, { method: 'DELETE', headers: t.context.headers });
+    const deleted = await search(address, { q: 'assets.json' });
+    t.same(versions(deleted.body), ['pkg/fuzz/8.4.1'], 'should not find the deleted version');
+});
+
+// Sinks can have an optional list method. Lists the files of a test sink,
+// which keeps them under "/eik".
+const listable = (sink) => Object.assign(sink, {
+    list: async (prefix) => sink.dump()
+        .map(([pathname]) => path.join('/', path.relative('/eik', pathname)))
+        .filter((pathname) => pathname.startsWith(prefix)),
+});
+
+// A server started on a sink without a search index, like one holding
+// packages published before the index existed
+const restart = async (t, sink) => {
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+    t.teardown(() => app.close());
+    return { address, service };
+};
+
+tap.test('search - index is built from the sink when missing', async (t) => {
+    const { sink } = t.context;
+
+    await sink.delete('/local/search.json');
+    const { address } = await restart(t, sink);
+    const { body } = await search(address, { q: 'fuzz' });
+    t.same(versions(body), ['pkg/fuzz/8.5.0', 'pkg/fuzz/8.4.1'], 'should build the index');
+    await t.resolves(sink.exist('/local/search.json'), 'should write the built index');
+});
+
+tap.test('search - index is rebuilt from the sink without a package index', async (t) => {
+    const sink = listable(t.context.sink);
+
+    await sink.delete('/local/search.json');
+    await sink.delete('/local/index.json');
+    const { service } = await restart(t, sink);
+
+    const size = await service.organizations[0].search.rebuild();
+    t.equal(size, 4, 'should find every version in the sink');
+});
+
+tap.test('search - index is kept in memory between writes', async (t) => {
+    const { address, sink } = t.context;
+
+    await search(address, { q: 'fuzz' });
+    const read = sink.read.bind(sink);
+    const reads = [];
+    sink.read = (pathname) => {
+        reads.push(pathname);
+        return read(pathname);
+    };
+
+    await search(address, { q: 'fuzz' });
+    t.notOk(reads.includes('/local/search.json'), 'should not read the index for each search');
+
+    await upload(t.context, '/pkg/fuzz/8.6.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    const { body } = await search(address, { q: 'fuzz' });
+    t.equal(versions(body)[0], 'pkg/fuzz/8.6.0', 'should search the index as last written');
+});
+
+tap.test('search - index written by another server is read once expired', async (t) => {
+    const { service, sink, headers } = t.context;
+    const [org] = service.organizations;
+    const index = new SearchIndex({
+        maxAge: 0,
+        pkgDel: org.pkgDel,
+        index: org.index,
+        logger: service.logger,
+        org: 'local',
+        sink,
+    });
+
+    t.equal((await index.list()).length, 4, 'should read the index');
+
+    const other = await restart(t, sink);
+    await upload({ address: other.address, headers }, '/pkg/fuzz/8.6.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+
+    const list = await index.list();
+    t.equal(list.length, 5, 'should read the index as written by the other server');
+    t.ok(list.some((entry) => entry.version === '8.6.0'), 'should hold the version published on the other server');
+});
+
+tap.test('search - invalid query parameters', async (t) => {
+    const { address } = t.context;
+
+    await Promise.all([{ limit: 0 }, { limit: 101 }, { offset: -1 }, { type: 'foo' }, { order: 'random' }].map(async (query) => {
+        const { status } = await search(address, query);
+        t.equal(status, 400, `should respond with 400 on ${JSON.stringify(query)}`);
+    }));
+});
@@ -0,0 +1,107 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import ModuleSink from '../lib/module-sink.js';
+import config from '../lib/config.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const SINK_MODULE = path.resolve(__dirname, '../node_modules/@eik/core/lib/sinks/test.js');
+
+const logger = {
+    trace() {},
+    debug() {},
+    info() {},
+    warn() {},
+    error() {},
+};
+
+tap.afterEach(async () => {
+    config.reset('sink.type');
+    config.reset('sink.module');
+    config.reset('sink.options');
+});
+
+tap.test('sink module - server stores files in sink loaded from module', async (t) => {
+    config.set('sink.type', 'module');
+    config.set('sink.module', SINK_MODULE);
+    config.set('sink.options', { rootPath: '/custom' });
+
+    const service = new Server();
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+
+    t.ok(service.sink instanceof ModuleSink, 'should use the sink from the module');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const login = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await login.json();
+
+    const form = new FormData();
+    form.append('package', fs.createReadStream(FIXTURE_PKG));
+    const uploaded = await fetch(`${address}/pkg/fuzz/8.4.1`, {
+        method: 'PUT',
+        body: form,
+        headers: { 'Authorization': `Bearer ${token}`, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+    t.equal(uploaded.status, 303, 'should publish to the sink');
+
+    const res = await fetch(`${address}/pkg/fuzz/8.4.1/main/index.js`);
+    t.equal(res.status, 200, 'should serve files from the sink');
+
+    const sink = await service.sink._sink;
+    const stored = Array.from(sink._state.keys());
+    t.ok(stored.length > 0 && stored.every((pathname) => pathname.startsWith('/custom/')), 'should pass options to the sink');
+
+    await app.close();
+});
+
+tap.test('sink module - relative path is resolved from working directory', async (t) => {
+    const sink = new ModuleSink({
+        specifier: `./${path.relative(process.cwd(), SINK_MODULE)}`,
+        logger,
+    });
+    await sink.ready();
+
+    const writer = await sink.write('/local/file.txt', 'text/plain');
+    writer.end('hello');
+    await new Promise((resolve) => { writer.on('finish', resolve); });
+    await sink.exist('/local/file.txt');
+    t.pass('should load the module and hand operations over to it');
+});
+
+tap.test('sink module - module not implementing the sink interface is rejected', async (t) => {
+    const sink = new ModuleSink({ specifier: 'events', logger });
+    await t.rejects(sink.ready(), /does not implement the sink interface - Missing: write, read, delete, exist, metrics/, 'should list what is missing');
+    await t.rejects(sink.exist('/local/file.txt'), /does not implement the sink interface/, 'operations should fail');
+});
+
+tap.test('sink module - module which can not be loaded fails server start', async (t) => {
+    config.set('sink.type', 'module');
+    config.set('sink.module', './does-not-exist.js');
+
+    const service = new Server();
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    await t.rejects(app.ready(), /Cannot find module/, 'server should not start');
+    await app.close();
+});
+
+tap.test('sink module - no module configured', async (t) => {
+    const sink = new ModuleSink({ logger });
+    await t.rejects(sink.ready(), /No module to load the sink from is configured/, 'should tell what to configure');
+});
@@ -0,0 +1,196 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import * as utils from '../lib/utils.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+// node-fetch resolves the location header to an absolute URL
+const location = (res) => new URL(res.headers.get('location')).pathname;
+
+tap.beforeEach(async (t) => {
+    const service = new Server({ customSink: new Sink() });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const upload = async (pathname, field, fixture) => {
+        const form = new FormData();
+        form.append(field, fs.createReadStream(fixture));
+        await fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: form,
+            headers: { ...headers, ...form.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    // One after the other as a version must be higher than the ones before it
+    const packages = ['pkg', 'npm'].flatMap((type) => ['fuzz', '@cuz/fuzz']
+        .flatMap((name) => ['8.4.1', '9.0.0-beta.1'].map((version) => `/${type}/${name}/${version}`)));
+    await utils.mapSeries(packages, (pathname) => upload(pathname, 'package', FIXTURE_PKG));
+
+    const maps = ['buzz', '@cuz/buzz'].flatMap((name) => ['4.2.2', '5.0.0-beta.1'].map((version) => `/map/${name}/${version}`));
+    await utils.mapSeries(maps, (pathname) => upload(pathname, 'map', FIXTURE_MAP));
+
+    const tag = (method, pathname, version) => {
+        const form = new FormData();
+        if (version) form.append('version', version);
+        return fetch(`${address}${pathname}`, {
+            method,
+            body: form,
+            headers: { ...headers, ...form.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    t.context = { // eslint-disable-line no-param-reassign
+        address,
+        headers,
+        tag,
+        app,
+    };
+});
+
+tap.afterEach(async (t) => {
+    await t.context.app.close();
+});
+
+tap.test('tags - package - put and get', async (t) => {
+    const { address, tag } = t.context;
+
+    const put = await tag('PUT', '/pkg/@cuz/fuzz/tags/next', '9.0.0-beta.1');
+    t.equal(put.status, 303, 'server should respond with a 303 redirect');
+    t.equal(location(put), '/pkg/@cuz/fuzz/tags/next', 'should redirect to the tag');
+
+    const res = await fetch(`${address}/pkg/@cuz/fuzz/tags/next`, { redirect: 'manual' });
+    t.equal(res.status, 302, 'server should respond with a 302 redirect');
+    t.equal(location(res), '/pkg/@cuz/fuzz/9.0.0-beta.1', 'should redirect to tagged version');
+    t.equal(res.headers.get('cache-control'), 'public, max-age=1200', 'should have same cache TTL as aliases');
+
+    const file = await fetch(`${address}/pkg/@cuz/fuzz/tags/next/main/index.js`, { redirect: 'manual' });
+    t.equal(location(file), '/pkg/@cuz/fuzz/9.0.0-beta.1/main/index.js', 'should redirect to file in tagged version');
+
+    const followed = await fetch(`${address}/pkg/@cuz/fuzz/tags/next/main/index.js`);
+    t.equal(followed.status, 200, 'should serve the file of the tagged version');
+
+    const conflict = await tag('PUT', '/pkg/@cuz/fuzz/tags/next', '8.4.1');
+    t.equal(conflict.status, 409, 'server should respond with a 409 Conflict on existing tag');
+});
+
+tap.test('tags - npm package - post', async (t) => {
+    const { address, tag } = t.context;
+
+    const missing = await tag('POST', '/npm/fuzz/tags/beta', '9.0.0-beta.1');
+    t.equal(missing.status, 404, 'server should respond with a 404 Not Found when updating a tag which does not exist');
+
+    await tag('PUT', '/npm/fuzz/tags/beta', '8.4.1');
+    const post = await tag('POST', '/npm/fuzz/tags/beta', '9.0.0-beta.1');
+    t.equal(post.status, 303, 'server should respond with a 303 redirect');
+
+    const res = await fetch(`${address}/npm/fuzz/tags/beta`, { redirect: 'manual' });
+    t.equal(location(res), '/npm/fuzz/9.0.0-beta.1', 'should redirect to updated version');
+});
+
+tap.test('tags - map - delete', async (t) => {
+    const { address, tag } = t.context;
+
+    await tag('PUT', '/map/buzz/tags/canary', '5.0.0-beta.1');
+
+    const res = await fetch(`${address}/map/buzz/tags/canary`, { redirect: 'manual' });
+    t.equal(location(res), '/map/buzz/5.0.0-beta.1', 'should redirect to tagged map');
+
+    const del = await tag('DELETE', '/map/buzz/tags/canary');
+    t.equal(del.status, 204, 'server should respond with a 204 No Content');
+
+    const gone = await fetch(`${address}/map/buzz/tags/canary`, { redirect: 'manual' });
+    t.equal(gone.status, 404, 'server should respond with a 404 Not Found on deleted tag');
+
+    const again = await tag('DELETE', '/map/buzz/tags/canary');
+    t.equal(again.status, 404, 'server should respond with a 404 Not Found when deleting a tag which does not exist');
+});
+
+tap.test('tags - latest takes precedence over highest version', async (t) => {
+    const { address, tag } = t.context;
+
+    const before = await fetch(`${address}/map/@cuz/buzz/latest`, { redirect: 'manual' });
+    t.equal(location(before), '/map/@cuz/buzz/4.2.2', 'should resolve to highest version without a tag');
+
+    await tag('PUT', '/map/@cuz/buzz/tags/latest', '5.0.0-beta.1');
+
+    const after = await fetch(`${address}/map/@cuz/buzz/latest`, { redirect: 'manual' });
+    t.equal(location(after), '/map/@cuz/buzz/5.0.0-beta.1', 'should resolve to the version tagged as latest');
+});
+
+tap.test('tags - listed in version listing', async (t) => {
+    const { address, tag } = t.context;
+
+    const untagged = await fetch(`${address}/pkg/fuzz`);
+    t.notOk((await untagged.json()).tags, 'should not list tags when there are none');
+
+    await tag('PUT', '/pkg/fuzz/tags/latest', '8.4.1');
+    await tag('PUT', '/pkg/fuzz/tags/next', '9.0.0-beta.1');
+
+    const res = await fetch(`${address}/pkg/fuzz`);
+    const body = await res.json();
+    t.equal(res.status, 200, 'server should respond with a 200 OK');
+    t.same(body.tags, { latest: '8.4.1', next: '9.0.0-beta.1' }, 'should list tags');
+    t.ok(body.versions, 'should still list versions');
+
+    const cached = await fetch(`${address}/pkg/fuzz`, {
+        headers: { 'if-none-match': res.headers.get('etag') },
+    });
+    t.equal(cached.status, 304, 'server should respond with a 304 Not Modified on matching etag');
+
+    await tag('POST', '/pkg/fuzz/tags/next', '8.4.1');
+    const changed = await fetch(`${address}/pkg/fuzz`, {
+        headers: { 'if-none-match': res.headers.get('etag') },
+    });
+    t.equal(changed.status, 200, 'server should respond with a 200 OK when a tag has moved');
+});
+
+tap.test('tags - validation', async (t) => {
+    const { address, headers, tag } = t.context;
+
+    const range = await tag('PUT', '/pkg/fuzz/tags/v8', '8.4.1');
+    t.equal(range.status, 400, 'server should respond with a 400 Bad Request on tag which is a semver range');
+
+    const version = await tag('PUT', '/pkg/fuzz/tags/next', '1.0.0');
+    t.equal(version.status, 404, 'server should respond with a 404 Not Found on version which is not published');
+
+    const field = await tag('PUT', '/pkg/fuzz/tags/next');
+    t.equal(field.status, 400, 'server should respond with a 400 Bad Request without version field');
+
+    await fetch(`${address}/pkg/fuzz/8.4.1`, { method: 'DELETE', headers });
+    const deleted = await tag('PUT', '/pkg/fuzz/tags/next', '8.4.1');
+    t.equal(deleted.status, 410, 'server should respond with a 410 Gone on deleted version');
+
+    const unauthorized = await fetch(`${address}/pkg/fuzz/tags/next`, { method: 'DELETE' });
+    t.equal(unauthorized.status, 401, 'server should respond with a 401 Unauthorized without token');
+});
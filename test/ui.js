@@ -0,0 +1,188 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_PKG_SMALL = path.resolve(__dirname, '../fixtures/archive-small.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+const upload = async ({ address, headers }, pathname, field, value) => {
+    const form = new FormData();
+    form.append(field, value);
+    return fetch(`${address}${pathname}`, {
+        method: 'PUT',
+        body: form,
+        headers: { ...headers, ...form.getHeaders() },
+        redirect: 'manual',
+    });
+};
+
+const start = async () => {
+    const sink = new Sink();
+    const service = new Server({ customSink: sink });
+    const app = Fastify({ ignoreTrailingSlash: true });
+    app.register(service.api());
+    const address = await app.listen(0, 'localhost');
+    return { app, address };
+};
+
+tap.before(async () => {
+    config.set('ui.enabled', true);
+    config.set('ui.prefix', '/browse');
+    const { app, address } = await start();
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+    const { token } = await res.json();
+    const context = { headers: { 'Authorization': `Bearer ${token}` }, address };
+
+    await upload(context, '/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload(context, '/pkg/fuzz/8.5.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/pkg/fuzz/v8', 'version', '8.5.0');
+    await upload(context, '/pkg/@cuz/fuzz/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await upload(context, '/pkg/gone/1.0.0', 'package', fs.createReadStream(FIXTURE_PKG_SMALL));
+    await fetch(`${address}/pkg/gone/1.0.0`, { method: 'DELETE', headers: context.headers });
+    await upload(context, '/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+
+    tap.context = { ...context, app };
+});
+
+tap.teardown(async () => {
+    await tap.context.app.close();
+});
+
+tap.test('ui - front page', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/browse`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    t.match(res.headers.get('content-type'), 'text/html', 'should be HTML');
+    t.equal(res.headers.get('cache-control'), 'no-cache', 'should not be cached without revalidation');
+
+    const html = await res.text();
+    t.match(html, '<a href="/browse/pkg">/pkg</a> - 2', 'should link to the catalog of packages');
+    t.match(html, '<a href="/browse/map">/map</a> - 1', 'should link to the catalog of import maps');
+    t.notMatch(html, /<script|<link/, 'should not load anything else');
+});
+
+tap.test('ui - catalog', async (t) => {
+    const { address } = tap.context;
+
+    const html = await fetch(`${address}/browse/pkg`).then((res) => res.text());
+    t.match(html, '<a href="/browse/pkg/@cuz/fuzz">@cuz/fuzz</a>', 'should link to scoped packages');
+    t.match(html, '<a href="/browse/pkg/fuzz/8.5.0">8.5.0</a>', 'should link to the latest version');
+    t.notMatch(html, 'gone', 'should not list deleted packages');
+
+    const paged = await fetch(`${address}/browse/pkg?limit=1`).then((res) => res.text());
+    t.match(paged, '<a href="/browse/pkg?offset=1&amp;limit=1">Next</a>', 'should link to the next page');
+
+    const unknown = await fetch(`${address}/browse/foo`);
+    t.equal(unknown.status, 404, 'should respond with 404 on unknown types');
+});
+
+tap.test('ui - versions and aliases', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/browse/pkg/fuzz`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    const html = await res.text();
+    t.ok(html.indexOf('>8.5.0</a>') < html.indexOf('>8.4.1</a>'), 'should list the newest version first');
+    t.match(html, '<td>v8</td><td><a href="/browse/pkg/fuzz/8.5.0">8.5.0</a></td>', 'should list aliases with their version');
+    t.match(html, '<a href="/pkg/fuzz">', 'should link to the JSON listing');
+
+    const scoped = await fetch(`${address}/browse/pkg/@cuz/fuzz`);
+    t.equal(scoped.status, 200, 'should respond with 200 OK on scoped packages');
+
+    const missing = await fetch(`${address}/browse/pkg/missing`);
+    t.equal(missing.status, 404, 'should respond with 404 on unknown packages');
+});
+
+tap.test('ui - file tree', async (t) => {
+    const { address } = tap.context;
+
+    const log = await fetch(`${address}/pkg/fuzz/8.4.1`).then((res) => res.json());
+    const file = log.files.find((entry) => entry.pathname === '/main/index.js');
+
+    const res = await fetch(`${address}/browse/pkg/fuzz/8.4.1`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    const html = await res.text();
+    t.match(html, 'main/<ul class="tree">', 'should nest files in directories');
+    t.match(html, '<a href="/browse/pkg/fuzz/8.4.1/main/index.js">index.js</a>', 'should link to each file');
+    t.match(html, `<span class="integrity">${file.integrity}</span>`, 'should have the integrity of each file');
+    t.match(html, '<span>73.4 kB</span>', 'should have the size of each file');
+
+    const gone = await fetch(`${address}/browse/pkg/gone/1.0.0`);
+    t.equal(gone.status, 410, 'should respond with 410 on deleted versions');
+
+    const missing = await fetch(`${address}/browse/pkg/fuzz/9.0.0`);
+    t.equal(missing.status, 404, 'should respond with 404 on unknown versions');
+});
+
+tap.test('ui - import map', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/browse/map/buzz/4.2.2`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    const html = await res.text();
+    t.match(html, '<span class="property">&quot;imports&quot;</span>', 'should highlight the import map');
+});
+
+tap.test('ui - file preview', async (t) => {
+    const { address } = tap.context;
+
+    const res = await fetch(`${address}/browse/pkg/@cuz/fuzz/1.0.0/main/index.js`);
+    t.equal(res.status, 200, 'should respond with 200 OK');
+    const html = await res.text();
+    t.match(html, '<pre class="lines">1', 'should number the lines');
+    t.match(html, /<span class="keyword">\w+<\/span>/, 'should highlight the source');
+    t.match(html, '<a href="/pkg/@cuz/fuzz/1.0.0/main/index.js">Raw file</a>', 'should link to the raw file');
+
+    const large = await fetch(`${address}/browse/pkg/fuzz/8.4.1/main/index.js.map`).then((r) => r.text());
+    t.match(large, 'is not previewed', 'should not preview files larger than the preview size');
+    t.notMatch(large, '<pre class="lines">', 'should not include the source of large files');
+
+    const missing = await fetch(`${address}/browse/pkg/fuzz/8.4.1/main/missing.js`);
+    t.equal(missing.status, 404, 'should respond with 404 on unknown files');
+});
+
+tap.test('ui - illegal names and versions', async (t) => {
+    const { address } = tap.context;
+
+    const traversal = await fetch(`${address}/browse/pkg/..%2F..%2Flocal%2Fpkg%2Ffuzz/8.4.1`);
+    t.equal(traversal.status, 404, 'should respond with 404 on names leading out of the package');
+
+    const file = await fetch(`${address}/browse/pkg/..%2Fpkg%2Ffuzz/8.4.1/main/index.js`);
+    t.equal(file.status, 404, 'should respond with 404 on files of illegal names');
+
+    const versions = await fetch(`${address}/browse/pkg/..%2F..%2Flocal%2Fpkg%2Ffuzz`);
+    t.equal(versions.status, 404, 'should respond with 404 on versions of illegal names');
+
+    const version = await fetch(`${address}/browse/pkg/fuzz/..%2F8.4.1`);
+    t.equal(version.status, 404, 'should respond with 404 on illegal versions');
+});
+
+tap.test('ui - disabled', async (t) => {
+    config.set('ui.enabled', false);
+    const { app, address } = await start();
+
+    const res = await fetch(`${address}/browse`);
+    t.equal(res.status, 404, 'should not serve pages when disabled');
+
+    await app.close();
+    config.set('ui.enabled', true);
+});
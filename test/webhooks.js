@@ -0,0 +1,225 @@
+import FormData from 'form-data';
+import Fastify from 'fastify';
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import http from 'http';
+import path from 'path';
+import tap from 'tap';
+import url from 'url';
+import fs from 'fs';
+
+import Server from '../lib/main.js';
+import config from '../lib/config.js';
+import Sink from '../node_modules/@eik/core/lib/sinks/test.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const FIXTURE_PKG = path.resolve(__dirname, '../fixtures/archive.tgz');
+const FIXTURE_MAP = path.resolve(__dirname, '../fixtures/import-map.json');
+
+// Local HTTP server receiving webhooks. Responds with the given status
+// codes in turn and 200 OK when there are no more of them.
+const createReceiver = async (statusCodes = []) => {
+    const codes = [...statusCodes];
+    const deliveries = [];
+    let waiting = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString();
+            deliveries.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+            res.statusCode = codes.shift() || 200;
+            res.end();
+
+            waiting = waiting.filter(({ count, resolve }) => {
+                if (deliveries.length < count) return true;
+                resolve(deliveries);
+                return false;
+            });
+        });
+    });
+
+    await new Promise((resolve) => {
+        server.listen(0, 'localhost', resolve);
+    });
+
+    return {
+        url: `http://localhost:${server.address().port}/hook`,
+        deliveries,
+        received: (count) => new Promise((resolve) => {
+            if (deliveries.length >= count) {
+                resolve(deliveries);
+                return;
+            }
+            waiting.push({ count, resolve });
+        }),
+        close: () => new Promise((resolve) => {
+            server.close(resolve);
+        }),
+    };
+};
+
+const setup = async (hooks) => {
+    config.set('webhooks.hooks', hooks);
+    config.set('webhooks.delay', 10);
+
+    const service = new Server({ customSink: new Sink() });
+
+    const app = Fastify({
+        ignoreTrailingSlash: true,
+    });
+    app.register(service.api());
+
+    const address = await app.listen(0, 'localhost');
+
+    const formData = new FormData();
+    formData.append('key', 'change_me');
+
+    const res = await fetch(`${address}/auth/login`, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    const { token } = await res.json();
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const upload = (pathname, field, file, head = headers) => {
+        const form = new FormData();
+        form.append(field, file);
+        return fetch(`${address}${pathname}`, {
+            method: 'PUT',
+            body: form,
+            headers: { ...head, ...form.getHeaders() },
+            redirect: 'manual',
+        });
+    };
+
+    return { address, headers, upload, app };
+};
+
+tap.afterEach(async () => {
+    config.reset('webhooks.hooks');
+    config.reset('webhooks.delay');
+});
+
+tap.test('webhooks - publish package - signed body', async (t) => {
+    const receiver = await createReceiver();
+    const { upload, app } = await setup([{ url: receiver.url, secret: 'hush' }]);
+
+    await upload('/pkg/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+
+    const [delivery] = await receiver.received(1);
+
+    t.match(delivery.body, {
+        event: 'publish',
+        org: 'local',
+        type: 'pkg',
+        name: '@cuz/fuzz',
+        version: '8.4.1',
+        actor: { user: 'generic_user', name: 'Generic User' },
+    }, 'should POST the change to the receiver');
+    t.ok(delivery.body.id, 'should hold a delivery id');
+    t.equal(delivery.headers['x-eik-event'], 'publish', 'should contain "x-eik-event" header');
+    t.equal(delivery.headers['x-eik-delivery'], delivery.body.id, 'should contain "x-eik-delivery" header');
+    t.equal(delivery.headers['content-type'], 'application/json', 'should contain "content-type" header');
+
+    const hmac = crypto.createHmac('sha256', 'hush').update(delivery.raw).digest('hex');
+    t.equal(delivery.headers['x-eik-signature'], `sha256=${hmac}`, 'should sign the body with the secret');
+
+    await app.close();
+    await receiver.close();
+});
+
+tap.test('webhooks - publish map and move alias', async (t) => {
+    const receiver = await createReceiver();
+    const { address, headers, upload, app } = await setup([{ url: receiver.url }]);
+
+    await upload('/map/buzz/4.2.2', 'map', fs.createReadStream(FIXTURE_MAP));
+    await receiver.received(1);
+
+    await upload('/map/buzz/v4', 'version', '4.2.2');
+    await receiver.received(2);
+
+    await fetch(`${address}/map/buzz/v4`, {
+        method: 'DELETE',
+        headers,
+    });
+
+    const [publish, alias, unalias] = await receiver.received(3);
+
+    t.match(publish.body, { event: 'publish', type: 'map', name: 'buzz', version: '4.2.2' }, 'should notify of published map');
+    t.match(alias.body, { event: 'alias', type: 'map', name: 'buzz', alias: '4', version: '4.2.2' }, 'should notify of alias with version');
+    t.match(unalias.body, { event: 'alias:delete', type: 'map', name: 'buzz', alias: '4' }, 'should notify of deleted alias');
+    t.notOk(publish.headers['x-eik-signature'], 'should not sign body without secret');
+
+    await app.close();
+    await receiver.close();
+});
+
+tap.test('webhooks - filters', async (t) => {
+    const receiver = await createReceiver();
+    const { upload, app } = await setup([{
+        url: receiver.url,
+        events: ['alias'],
+        types: ['pkg'],
+        names: ['@cuz/*'],
+    }]);
+
+    await upload('/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/pkg/fuzz/v8', 'version', '8.4.1');
+    await upload('/npm/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/npm/@cuz/fuzz/v8', 'version', '8.4.1');
+    await upload('/pkg/@cuz/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+    await upload('/pkg/@cuz/fuzz/v8', 'version', '8.4.1');
+
+    const deliveries = await receiver.received(1);
+
+    t.equal(deliveries.length, 1, 'should only notify of matching changes');
+    t.match(deliveries[0].body, { event: 'alias', type: 'pkg', name: '@cuz/fuzz' }, 'should notify of matching change');
+
+    await app.close();
+    await receiver.close();
+});
+
+tap.test('webhooks - failed requests are not notified', async (t) => {
+    const receiver = await createReceiver();
+    const { upload, app } = await setup([{ url: receiver.url }]);
+
+    const res = await upload('/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG), {});
+    t.equal(res.status, 401, 'should respond with a 401 Unauthorized');
+
+    await upload('/pkg/fuzz/8.4.2', 'package', fs.createReadStream(FIXTURE_PKG));
+    const deliveries = await receiver.received(1);
+
+    t.equal(deliveries.length, 1, 'should only notify of the successful change');
+    t.equal(deliveries[0].body.version, '8.4.2', 'should notify of the successful change');
+
+    await app.close();
+    await receiver.close();
+});
+
+tap.test('webhooks - retry failed deliveries', async (t) => {
+    const receiver = await createReceiver([500, 503]);
+    const { upload, app } = await setup([{ url: receiver.url }]);
+
+    await upload('/pkg/fuzz/8.4.1', 'package', fs.createReadStream(FIXTURE_PKG));
+
+    const deliveries = await receiver.received(3);
+    const ids = new Set(deliveries.map((delivery) => delivery.body.id));
+
+    t.equal(deliveries.length, 3, 'should retry until the receiver responds with a 2xx');
+    t.equal(ids.size, 1, 'should retry the same delivery');
+
+    await app.close();
+    await receiver.close();
+});
+
+tap.test('webhooks - invalid config', async (t) => {
+    t.throws(() => {
+        config.set('webhooks.hooks', [{ url: 'not a url' }]);
+        config.validate();
+    }, /is not a valid URL/, 'should throw on invalid URL');
+});